@@ -6,20 +6,20 @@
 // Application State
 const AppState = {
     conversations: [],
+    // Deleted conversations, kept until emptied or purged after settings.trashRetentionDays
+    trash: [],
     currentConversationId: null,
     isProcessing: false,
     theme: localStorage.getItem('theme') || 'dark',
-    settings: {
-        autoSave: true,
-        enterToSend: false,
-        showTimestamps: true,
-        messageLimit: 100,
-        contextLength: 10
-    },
+    // Filled from CONFIG.SETTINGS_SCHEMA in loadState()
+    settings: {},
     stats: {
         totalMessages: 0,
         totalTokens: 0,
-        sessionsCount: 0
+        sessionsCount: 0,
+        // { 'YYYY-MM-DD': { modelId: { requests, input, output } } }, see UsageTracker
+        daily: {},
+        budgetAlerts: {}
     }
 };
 
@@ -28,7 +28,71 @@ class ClaudeAIApp {
     constructor() {
         this.state = AppState;
         this.elements = {};
-        this.puterReady = false;
+        this.abortController = null;
+        this.outboxCount = 0;
+        this.i18n = new I18n();
+        this.models = new ModelRegistry({ i18n: this.i18n });
+        this.attachments = new AttachmentManager({ generateId: () => this.generateId(), i18n: this.i18n });
+        this.pendingAttachments = [];
+        this.contextBuilder = new ContextBuilder({
+            getModel: (id) => this.models.get(id),
+            estimateAttachmentTokens: (attachment) => this.attachments.estimateTokens(attachment),
+            i18n: this.i18n
+        });
+        this.providers = new ProviderRegistry({ getSettings: () => this.state.settings, i18n: this.i18n });
+        this.retry = new RetryPolicy();
+        this.health = new HealthMonitor({
+            check: () => this.providers.check(this.currentProvider().id),
+            requiresNetwork: () => this.currentProvider().requiresNetwork,
+            onChange: (state) => this.renderHealth(state),
+            retry: this.retry
+        });
+        this.settingsManager = new SettingsManager({ getModel: (id) => this.models.get(id), i18n: this.i18n });
+        this.usage = new UsageTracker({ getModel: (id) => this.models.get(id) });
+        this.titler = new ConversationTitler({
+            // Background work goes to the conversation's provider, on the cheapest model it offers
+            complete: (messages, conversation) => {
+                const provider = this.providers.forConversation(conversation);
+                const model = provider.usesRegistryModels ? this.models.cheapest().id : conversation.model;
+                return this.complete(provider, messages, { model });
+            },
+            i18n: this.i18n
+        });
+        this.titling = new Set();
+        this.markdown = new MarkdownRenderer({ i18n: this.i18n });
+        this.searchIndex = new SearchIndex();
+        this.tree = new ConversationTree({ generateId: () => this.generateId() });
+        this.transfer = new ConversationTransfer({
+            generateId: () => this.generateId(),
+            getModelName: (id) => this.models.get(id).name,
+            i18n: this.i18n
+        });
+        this.searchFilters = { model: '', group: '' };
+        this.vault = new Vault({ i18n: this.i18n });
+        this.sync = new TabSync({
+            onMessage: (message) => this.handleSyncMessage(message),
+            onBusyChange: (conversationId) => this.handleBusyChange(conversationId)
+        });
+        this.storage = new StorageManager({
+            vault: this.vault,
+            onChange: (change) => this.sync.post(change),
+            onError: (error, isQuota) => this.handleStorageError(error, isQuota)
+        });
+        this.templates = new TemplateLibrary({
+            storage: this.storage,
+            generateId: () => this.generateId(),
+            i18n: this.i18n
+        });
+        this.organizer = new ConversationOrganizer({
+            storage: this.storage,
+            generateId: () => this.generateId(),
+            i18n: this.i18n
+        });
+        this.selectedConversations = new Set();
+        this.undoStack = new UndoStack();
+        this.keybindings = new KeybindingRegistry({ i18n: this.i18n });
+        this.palette = new CommandPalette();
+        this.tour = new OnboardingTour();
         this.init();
     }
 
@@ -38,25 +102,46 @@ class ClaudeAIApp {
         
         // Cache DOM elements
         this.cacheElements();
+        this.createStopButton();
+        this.createAttachmentControls();
+        this.createExportMenu();
+        this.createSystemPromptButton();
+        this.createLockButton();
         
-        // Load saved data
-        this.loadState();
+        // Nothing can be read until the vault is open
+        if (this.vault.isEnabled()) await this.showLockScreen();
         
-        // Apply theme
+        // Load saved data, then follow what other tabs change
+        await this.loadState();
+        this.sync.start();
+        
+        // Apply language, theme and settings
+        this.applyLanguage();
         this.applyTheme(this.state.theme);
+        this.applySettings();
+        this.renderModelSelect();
         
         // Setup event listeners
         this.setupEventListeners();
+        this.setupAutoLock();
+        this.registerServiceWorker();
         
-        // Check Puter.js
-        await this.checkPuterConnection();
+        // Check the AI provider, then keep watching it
+        await this.checkConnection();
+        this.health.start();
         
         // Initialize UI
         this.initializeUI();
+        await this.handleLaunchAction();
+        
+        // Send anything composed while offline in a previous session
+        this.outboxCount = (await this.storage.getQueue()).length;
+        this.flushOutbox();
         
-        // Hide loading screen
+        // Hide loading screen; first-time users get the tour
         setTimeout(() => {
             this.hideLoadingScreen();
+            if (!this.tour.hasStarted() && this.state.conversations.length === 0) this.showTutorial();
         }, 1000);
     }
 
@@ -72,19 +157,29 @@ class ClaudeAIApp {
             // Header
             menuToggle: document.getElementById('menuToggle'),
             searchInput: document.getElementById('searchInput'),
+            providerSelect: document.getElementById('providerSelect'),
             modelSelect: document.getElementById('modelSelect'),
             themeToggle: document.getElementById('themeToggle'),
             settingsBtn: document.getElementById('settingsBtn'),
+            usageBtn: document.getElementById('usageBtn'),
             
             // Sidebar
             sidebar: document.getElementById('sidebar'),
             newChatBtn: document.getElementById('newChatBtn'),
             conversationsList: document.getElementById('conversationsList'),
+            groupingSwitch: document.getElementById('groupingSwitch'),
+            archiveToggle: document.getElementById('archiveToggle'),
+            newFolderBtn: document.getElementById('newFolderBtn'),
+            newTagBtn: document.getElementById('newTagBtn'),
+            trashToggle: document.getElementById('trashToggle'),
+            bulkBar: document.getElementById('bulkBar'),
             importBtn: document.getElementById('importBtn'),
             exportAllBtn: document.getElementById('exportAllBtn'),
+            templatesBtn: document.getElementById('templatesBtn'),
             
             // Chat
             chatTitle: document.getElementById('chatTitle'),
+            editTitleBtn: document.getElementById('editTitleBtn'),
             chatMeta: document.getElementById('chatMeta'),
             messagesArea: document.getElementById('messagesArea'),
             messagesWrapper: document.getElementById('messagesWrapper'),
@@ -106,279 +201,4288 @@ class ClaudeAIApp {
         // Header events
         this.elements.menuToggle?.addEventListener('click', () => this.toggleSidebar());
         this.elements.searchInput?.addEventListener('input', (e) => this.handleSearch(e.target.value));
-        this.elements.modelSelect?.addEventListener('change', () => this.updateModelStatus());
+        this.elements.searchInput?.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
+        this.elements.searchInput?.addEventListener('focus', () => this.runSearch());
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#searchBar')) this.closeSearch();
+        });
+        this.elements.providerSelect?.addEventListener('change', () => this.handleProviderChange());
+        this.elements.modelSelect?.addEventListener('change', () => this.handleModelChange());
         this.elements.themeToggle?.addEventListener('click', () => this.toggleTheme());
         this.elements.settingsBtn?.addEventListener('click', () => this.showSettings());
+        this.elements.usageBtn?.addEventListener('click', () => this.showUsageDashboard());
+        
+        // Chat header events
+        this.elements.editTitleBtn?.addEventListener('click', () => this.editTitle());
+        this.elements.chatTitle?.addEventListener('dblclick', () => this.editTitle());
         
         // Sidebar events
         this.elements.newChatBtn?.addEventListener('click', () => this.createNewChat());
         this.elements.importBtn?.addEventListener('click', () => this.importConversations());
         this.elements.exportAllBtn?.addEventListener('click', () => this.exportAllConversations());
+        this.elements.templatesBtn?.addEventListener('click', () => this.showTemplateLibrary());
+        this.elements.groupingSwitch?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-grouping]');
+            if (!button) return;
+            this.organizer.setGrouping(button.dataset.grouping);
+            this.renderConversationsList();
+        });
+        this.elements.archiveToggle?.addEventListener('click', () => this.toggleView('archived'));
+        this.elements.trashToggle?.addEventListener('click', () => this.toggleView('trash'));
+        this.elements.newFolderBtn?.addEventListener('click', () => this.showNameDialog(this.t('organizer.newFolder'), '', (name) => {
+            this.organizer.addFolder(name);
+            this.organizer.setGrouping('folder');
+            this.renderConversationsList();
+        }));
+        this.elements.newTagBtn?.addEventListener('click', () => this.showTagDialog(() => {
+            this.organizer.setGrouping('tag');
+            this.renderConversationsList();
+        }));
         
         // Input events
         this.elements.messageInput?.addEventListener('input', () => this.handleInputResize());
         this.elements.messageInput?.addEventListener('keydown', (e) => this.handleInputKeydown(e));
+        this.elements.messageInput?.addEventListener('paste', (e) => {
+            const files = [...(e.clipboardData?.files || [])];
+            if (files.length === 0) return;
+            e.preventDefault();
+            this.addAttachments(files);
+        });
+        this.elements.chatView?.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            this.elements.chatView.classList.add('drag-over');
+        });
+        this.elements.chatView?.addEventListener('dragleave', (e) => {
+            if (!this.elements.chatView.contains(e.relatedTarget)) {
+                this.elements.chatView.classList.remove('drag-over');
+            }
+        });
+        this.elements.chatView?.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.elements.chatView.classList.remove('drag-over');
+            this.addAttachments([...e.dataTransfer.files]);
+        });
         this.elements.sendBtn?.addEventListener('click', () => this.sendMessage());
+        this.elements.stopBtn?.addEventListener('click', () => this.stopGeneration());
+        this.elements.messagesWrapper?.addEventListener('click', (e) => this.handleCodeAction(e));
+        this.elements.messagesWrapper?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') this.handleCodeAction(e);
+        });
         
         // Window events
         window.addEventListener('resize', () => this.handleResize());
-        window.addEventListener('beforeunload', () => this.saveState());
+        window.addEventListener('beforeunload', () => this.persistState());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.persistState();
+        });
+        window.addEventListener('online', () => this.flushOutbox());
+        // Settings, stats, theme and custom models live in localStorage, which notifies other tabs by itself
+        window.addEventListener('storage', (e) => this.handleStorageEvent(e));
+        navigator.serviceWorker?.addEventListener('message', (e) => {
+            if (e.data?.type === 'FLUSH_OUTBOX') this.flushOutbox();
+        });
+        
+        // Keyboard shortcuts; bound keys are taken before any other handler sees them
+        this.registerCommands();
+        window.addEventListener('keydown', (e) => this.keybindings.handle(e), { capture: true });
+    }
+
+    // Service Worker
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        // Reload once the new version has taken over, but only when the user asked for it
+        navigator.serviceWorker.addEventListener('controllerchange', async () => {
+            if (!this.updateRequested) return;
+            await this.persistState();
+            window.location.reload();
+        });
+        
+        try {
+            // Relative, so the app also works from a subpath such as GitHub Pages
+            const registration = await navigator.serviceWorker.register('sw.js');
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+            
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+        } catch (error) {
+            console.warn('⚠️ Service worker registration failed:', error);
+        }
+    }
+
+    // The new version waits until the user reloads, so an open conversation is never swapped mid-reply
+    showUpdatePrompt(worker) {
+        document.querySelector('.update-notification')?.remove();
+        
+        const toast = document.createElement('div');
+        toast.className = 'notification info update-notification';
+        toast.setAttribute('role', 'status');
+        toast.innerHTML = `
+            <div class="notification-icon"><i class="fas fa-arrows-rotate"></i></div>
+            <div class="notification-content">
+                <div class="notification-message">${this.t('update.available')}</div>
+            </div>
+            <button type="button" class="undo-btn" data-action="reload">${this.t('update.reload')}</button>
+            <button type="button" class="update-dismiss" data-action="dismiss" aria-label="${this.t('common.close')}"><i class="fas fa-xmark"></i></button>
+        `;
+        
+        toast.querySelector('[data-action="reload"]').addEventListener('click', () => {
+            if (this.state.isProcessing) {
+                this.showNotification(this.t('update.waitForReply'), 'warning');
+                return;
+            }
+            this.updateRequested = true;
+            toast.remove();
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+        toast.querySelector('[data-action="dismiss"]').addEventListener('click', () => toast.remove());
         
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => this.handleGlobalKeydown(e));
+        document.body.appendChild(toast);
     }
 
     // Load State
-    loadState() {
+    async loadState() {
         // Load conversations
-        const savedConversations = localStorage.getItem('claudeConversations');
-        if (savedConversations) {
-            this.state.conversations = JSON.parse(savedConversations);
+        try {
+            await this.storage.open();
+            const saved = await this.storage.loadConversations();
+            saved.forEach(conv => this.tree.restore(conv));
+            this.state.conversations = saved.filter(conv => !conv.deletedAt);
+            this.state.trash = saved.filter(conv => conv.deletedAt);
+            await this.templates.load();
+            await this.organizer.load();
+        } catch (error) {
+            console.error('❌ Failed to load conversations:', error);
+            this.showNotification(this.t('storage.loadFailed'), 'error');
         }
         
         // Load settings
-        const savedSettings = localStorage.getItem('claudeSettings');
-        if (savedSettings) {
-            this.state.settings = { ...this.state.settings, ...JSON.parse(savedSettings) };
-        }
+        this.state.settings = this.settingsManager.load(await this.readSettings());
         
         // Load stats
         const savedStats = localStorage.getItem('claudeStats');
         if (savedStats) {
             this.state.stats = { ...this.state.stats, ...JSON.parse(savedStats) };
         }
+        this.state.stats.sessionsCount++;
+        this.usage.prune(this.state.stats);
+        this.purgeExpiredTrash();
     }
 
     // Save State
     saveState() {
-        localStorage.setItem('claudeConversations', JSON.stringify(this.state.conversations));
-        localStorage.setItem('claudeSettings', JSON.stringify(this.state.settings));
-        localStorage.setItem('claudeStats', JSON.stringify(this.state.stats));
+        if (!this.state.settings.autoSave) return;
+        this.persistState();
     }
 
-    // Initialize UI
-    initializeUI() {
-        // Render conversations list
-        this.renderConversationsList();
+    // Writes regardless of autoSave; used when the page is hidden or closed
+    // Resolves once the conversations and settings are written, for callers about to leave the page
+    persistState() {
+        // The page is about to reload (vault locked or re-keyed) and what's in memory must not be written
+        if (this.discarding) return Promise.resolve();
         
-        // Update status bar
-        this.updateStatusBar();
+        const saved = this.storage.saveConversations([...this.state.conversations, ...this.state.trash]);
+        const settings = this.persistSettings();
         
-        // Load last conversation or show welcome
-        if (this.state.conversations.length > 0) {
-            const lastConv = this.state.conversations[0];
-            this.loadConversation(lastConv.id);
-        } else {
-            this.showWelcomeScreen();
+        try {
+            localStorage.setItem('claudeStats', JSON.stringify(this.state.stats));
+        } catch (error) {
+            this.handleStorageError(error, StorageManager.isQuotaError(error));
         }
+        return Promise.all([saved, settings]);
     }
 
-    // Hide Loading Screen
-    hideLoadingScreen() {
-        this.elements.loadingScreen.style.display = 'none';
-        this.elements.app.style.display = 'flex';
+    // Settings hold API keys, so they're encrypted too; writes are chained so a slower,
+    // older encryption never lands after a newer one
+    persistSettings() {
+        const raw = this.settingsManager.serialize(this.state.settings);
+        this.settingsWrite = (this.settingsWrite || Promise.resolve())
+            .then(() => this.vault.isUnlocked() ? this.vault.sealText(raw) : raw)
+            .then(value => localStorage.setItem('claudeSettings', value))
+            .catch(error => this.handleStorageError(error, StorageManager.isQuotaError(error)));
+        return this.settingsWrite;
     }
 
-    // Check Puter Connection
-    async checkPuterConnection() {
+    async readSettings() {
+        const stored = localStorage.getItem('claudeSettings');
         try {
-            if (typeof puter === 'undefined') {
-                throw new Error('Puter.js not loaded');
-            }
-            
-            // Test connection with a simple call
-            const test = await puter.ai.chat('test', {
-                model: 'claude-3-haiku-20240307',
-                stream: false
-            });
-            
-            this.puterReady = true;
-            console.log('✅ Puter.js connection successful');
-            this.updateConnectionStatus('connected');
-            
+            return Vault.isSealedText(stored) ? await this.vault.openText(stored) : stored;
         } catch (error) {
-            console.error('❌ Puter.js connection failed:', error);
-            this.puterReady = false;
-            this.updateConnectionStatus('error');
-            this.showNotification('Connessione a Puter.js fallita', 'error');
+            console.warn('⚠️ Stored settings cannot be decrypted, using defaults:', error);
+            return null;
         }
     }
 
-    // Theme Management
-    applyTheme(theme) {
-        this.state.theme = theme;
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
+    handleStorageError(error, isQuota) {
+        // Avoid a burst of identical toasts while the quota stays exceeded
+        const now = Date.now();
+        if (now - (this.lastStorageErrorAt || 0) < 10000) return;
+        this.lastStorageErrorAt = now;
         
-        const icon = this.elements.themeToggle?.querySelector('i');
-        if (icon) {
-            icon.className = theme === 'dark' ? 'fas fa-moon' : 'fas fa-sun';
+        if (isQuota) {
+            this.showNotification(this.t('storage.quotaExceeded'), 'error');
+        } else {
+            this.showNotification(this.t('storage.saveFailed'), 'error');
         }
     }
 
-    toggleTheme() {
-        const newTheme = this.state.theme === 'dark' ? 'light' : 'dark';
-        this.applyTheme(newTheme);
-        this.showNotification(`Tema ${newTheme === 'dark' ? 'scuro' : 'chiaro'} attivato`, 'success');
+    // Tab Sync
+    async handleSyncMessage(message) {
+        switch (message.type) {
+            case 'conversations':
+                await this.applyRemoteConversations(message);
+                break;
+            case 'templates':
+                await this.templates.load();
+                break;
+            case 'meta':
+                if (message.key === ConversationOrganizer.META_KEY) {
+                    await this.organizer.load();
+                    this.renderConversationsList();
+                }
+                break;
+            case 'lock':
+                this.lockVault();
+                break;
+            case 'vault':
+                // Our key is stale: anything written with it now would be unreadable
+                this.discarding = true;
+                window.location.reload();
+                break;
+        }
     }
 
-    // Sidebar Management
-    toggleSidebar() {
-        this.elements.sidebar.classList.toggle('open');
+    /*
+     * Another tab saved some conversations. Ours are replaced in place (a reply may be
+     * streaming into the same object), unless they also have unsaved changes: then both
+     * copies are merged, and the merge is saved back for the other tab to pick up.
+     */
+    async applyRemoteConversations({ changed = [], removed = [] }) {
+        const all = [...this.state.conversations, ...this.state.trash];
+        const local = new Map(all.map(conv => [conv.id, conv]));
+        // Before loading: that resets what counts as saved
+        const dirty = new Set(all.filter(conv => this.storage.isDirty(conv)).map(conv => conv.id));
         
-        // Create overlay if mobile
-        if (window.innerWidth <= 768) {
-            let overlay = document.querySelector('.sidebar-overlay');
-            if (!overlay) {
-                overlay = document.createElement('div');
-                overlay.className = 'sidebar-overlay';
-                overlay.addEventListener('click', () => this.toggleSidebar());
-                document.body.appendChild(overlay);
-            }
-            overlay.classList.toggle('active');
+        let remote;
+        try {
+            remote = await this.storage.loadConversationsById(changed);
+        } catch (error) {
+            console.error('❌ Failed to load conversations changed in another tab:', error);
+            return;
         }
-    }
-
-    // Conversation Management
-    createNewChat() {
-        const conversation = {
-            id: this.generateId(),
-            title: 'Nuova Conversazione',
-            messages: [],
-            model: this.elements.modelSelect.value,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
         
-        this.state.conversations.unshift(conversation);
-        this.state.currentConversationId = conversation.id;
+        const merged = [];
+        remote.forEach(conv => {
+            this.tree.restore(conv);
+            const mine = local.get(conv.id);
+            if (!mine) {
+                local.set(conv.id, conv);
+            } else if (dirty.has(conv.id)) {
+                this.tree.merge(mine, conv);
+                merged.push(mine);
+            } else {
+                Object.keys(mine).forEach(key => delete mine[key]);
+                Object.assign(mine, conv);
+            }
+        });
         
-        this.saveState();
+        // Deleted elsewhere but edited here: ours is saved again
+        const gone = removed.filter(id => !dirty.has(id));
+        gone.forEach(id => local.delete(id));
+        this.storage.forget(gone);
+        
+        const conversations = [...local.values()].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        this.state.conversations = conversations.filter(conv => !conv.deletedAt);
+        this.state.trash = conversations.filter(conv => conv.deletedAt);
         this.renderConversationsList();
-        this.loadConversation(conversation.id);
         
-        // Close sidebar on mobile
-        if (window.innerWidth <= 768) {
-            this.toggleSidebar();
+        const currentId = this.state.currentConversationId;
+        if (currentId && !this.getCurrentConversation()) {
+            this.leaveConversation();
+        } else if ((changed.includes(currentId) || merged.length) && !this.state.isProcessing) {
+            this.loadConversation(currentId);
         }
         
-        this.showNotification('Nuova chat creata', 'success');
+        if (merged.length > 0) {
+            this.saveState();
+            this.showNotification(this.t('sync.merged', { count: merged.length, title: merged[0].title }), 'warning');
+        }
     }
 
-    loadConversation(id) {
-        const conversation = this.state.conversations.find(c => c.id === id);
-        if (!conversation) return;
-        
-        this.state.currentConversationId = id;
+    async handleStorageEvent(e) {
+        switch (e.key) {
+            case 'claudeSettings': {
+                const language = this.state.settings.language;
+                this.state.settings = this.settingsManager.load(await this.readSettings());
+                if (this.state.settings.language !== language) this.applyLanguage();
+                this.applySettings();
+                break;
+            }
+            case 'claudeStats':
+                if (e.newValue) this.state.stats = { ...this.state.stats, ...JSON.parse(e.newValue) };
+                break;
+            case 'theme':
+                if (e.newValue) this.applyTheme(e.newValue);
+                break;
+            case CONFIG.STORAGE_KEYS.CUSTOM_MODELS:
+                this.models.custom = this.models.loadCustom();
+                this.renderModelSelect();
+                break;
+        }
+    }
+
+    handleBusyChange(conversationId) {
+        if (conversationId === this.state.currentConversationId) this.updateBusyIndicator();
+    }
+
+    // The send button dims while another tab replies in the open conversation; trying to send says why
+    updateBusyIndicator() {
+        this.elements.sendBtn?.classList.toggle('busy-elsewhere', this.sync.isBusyElsewhere(this.state.currentConversationId));
+    }
+
+    checkBusyElsewhere(conversation) {
+        if (!conversation || !this.sync.isBusyElsewhere(conversation.id)) return false;
+        this.showNotification(this.t('sync.busyElsewhere'), 'warning');
+        return true;
+    }
+
+    // Vault
+    // Covers the loading screen until the passphrase is right; resolves once unlocked
+    showLockScreen() {
+        // Settings (and with them the language) are encrypted, so go by the browser for now
+        this.i18n.setLocale('auto');
         
-        // Update UI
-        this.hideWelcomeScreen();
-        this.showChatView();
+        return new Promise(resolve => {
+            const screen = document.createElement('div');
+            screen.className = 'vault-lock';
+            screen.innerHTML = `
+                <form class="modal vault-lock-card" role="dialog" aria-modal="true" aria-labelledby="vaultLockTitle">
+                    <div class="vault-lock-icon"><i class="fas fa-lock"></i></div>
+                    <h2 class="modal-title" id="vaultLockTitle">${this.t('vault.lock.title')}</h2>
+                    <p class="settings-description">${this.t('vault.lock.description')}</p>
+                    <input class="settings-input" type="password" name="passphrase" required autocomplete="current-password" aria-label="${this.t('vault.passphrase')}" placeholder="${this.t('vault.passphrase')}">
+                    <p class="settings-error" role="alert"></p>
+                    <div class="settings-footer">
+                        <button type="button" class="secondary-btn" data-action="erase">${this.t('vault.lock.forgot')}</button>
+                        <button type="submit" class="primary-btn"><i class="fas fa-unlock"></i> ${this.t('vault.lock.unlock')}</button>
+                    </div>
+                </form>
+            `;
+            
+            const form = screen.querySelector('form');
+            const error = form.querySelector('.settings-error');
+            const submit = form.querySelector('[type="submit"]');
+            
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                // Key derivation takes a moment on purpose
+                submit.disabled = true;
+                try {
+                    await this.vault.unlock(form.elements.passphrase.value);
+                    screen.remove();
+                    resolve();
+                } catch (err) {
+                    error.textContent = err.message;
+                    form.elements.passphrase.select();
+                } finally {
+                    submit.disabled = false;
+                }
+            });
+            form.querySelector('[data-action="erase"]').addEventListener('click', async () => {
+                if (!confirm(this.t('vault.lock.confirmErase'))) return;
+                try {
+                    await this.eraseLocalData();
+                } catch (err) {
+                    console.error('❌ Erasing local data failed:', err);
+                    error.textContent = this.t('vault.lock.eraseFailed');
+                }
+            });
+            
+            document.body.appendChild(screen);
+            form.elements.passphrase.focus();
+        });
+    }
+
+    // The only way forward without the passphrase: start over with nothing
+    async eraseLocalData() {
+        await this.storage.destroy();
+        ['claudeSettings', 'claudeStats', CONFIG.STORAGE_KEYS.CUSTOM_MODELS, CONFIG.STORAGE_KEYS.VAULT]
+            .forEach(key => localStorage.removeItem(key));
+        window.location.reload();
+    }
+
+    createLockButton() {
+        const settingsBtn = this.elements.settingsBtn;
+        if (!settingsBtn) return;
         
-        // Update chat header
-        this.elements.chatTitle.textContent = conversation.title;
-        this.elements.chatMeta.textContent = `${conversation.messages.length} messaggi`;
+        const button = document.createElement('button');
+        button.className = 'icon-btn';
+        button.id = 'lockBtn';
+        button.dataset.i18nAttr = 'aria-label:vault.lockNow;title:vault.lockNow';
+        button.setAttribute('aria-label', this.t('vault.lockNow'));
+        button.title = this.t('vault.lockNow');
+        button.innerHTML = '<i class="fas fa-lock"></i>';
+        button.addEventListener('click', () => this.lockVault({ everywhere: true }));
         
-        // Clear and load messages
-        this.clearMessages();
-        conversation.messages.forEach(msg => {
-            this.addMessageToUI(msg.content, msg.role, false);
+        settingsBtn.before(button);
+        this.elements.lockBtn = button;
+        this.updateLockButton();
+    }
+
+    updateLockButton() {
+        if (this.elements.lockBtn) this.elements.lockBtn.hidden = !this.vault.isEnabled();
+    }
+
+    setupAutoLock() {
+        this.lastActivityAt = Date.now();
+        ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => { this.lastActivityAt = Date.now(); }, { passive: true });
         });
+        setInterval(() => this.checkAutoLock(), CONFIG.VAULT.AUTO_LOCK_CHECK_INTERVAL);
+    }
+
+    checkAutoLock() {
+        const minutes = this.state.settings.autoLockMinutes;
+        if (!this.vault.isUnlocked() || !minutes || this.state.isProcessing) return;
+        if (Date.now() - this.lastActivityAt >= minutes * 60 * 1000) this.lockVault();
+    }
+
+    // Reloading is the only sure way to drop every decrypted copy held by the page.
+    // Locking by hand locks every tab; auto-lock follows each tab's own inactivity
+    async lockVault({ everywhere = false } = {}) {
+        if (!this.vault.isUnlocked() || this.locking) return;
+        this.locking = true;
+        if (everywhere) this.sync.post({ type: 'lock' });
         
-        // Update conversations list
-        this.renderConversationsList();
+        await this.waitUntilIdle();
+        await this.persistState();
+        this.vault.lock();
+        this.discarding = true;
+        window.location.reload();
+    }
+
+    // Status and actions for the settings panel's security section
+    createVaultControls(onChange) {
+        const enabled = this.vault.isEnabled();
         
-        // Focus input
-        this.elements.messageInput.focus();
+        const row = document.createElement('div');
+        row.className = 'settings-field vault-controls';
+        row.innerHTML = `
+            <span class="settings-label">
+                <span class="settings-label-text">${this.t('vault.title')}</span>
+                <span class="settings-description">${this.t(enabled ? 'vault.status.enabled' : 'vault.status.disabled')}</span>
+            </span>
+            <div class="vault-actions"></div>
+        `;
+        
+        const actions = enabled
+            ? [['change', 'fa-key', 'vault.change.title'], ['disable', 'fa-lock-open', 'vault.disable.title']]
+            : [['enable', 'fa-lock', 'vault.enable.title']];
+        actions.forEach(([mode, icon, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'secondary-btn';
+            button.innerHTML = `<i class="fas ${icon}"></i> ${this.t(label)}`;
+            button.addEventListener('click', () => this.showVaultDialog(mode, onChange));
+            row.querySelector('.vault-actions').appendChild(button);
+        });
+        
+        return row;
     }
 
-    deleteConversation(id) {
-        if (!confirm('Vuoi davvero eliminare questa conversazione?')) return;
+    // mode: 'enable' (new passphrase), 'change' (current and new) or 'disable' (current)
+    showVaultDialog(mode, onDone) {
+        const field = (name, label, autocomplete) => `
+            <label class="settings-field">
+                <span class="settings-label"><span class="settings-label-text">${this.t(label)}</span></span>
+                <input class="settings-input" type="password" name="${name}" required autocomplete="${autocomplete}">
+            </label>
+        `;
         
-        const index = this.state.conversations.findIndex(c => c.id === id);
-        if (index === -1) return;
+        const form = document.createElement('form');
+        form.className = 'settings-form';
+        form.innerHTML = `
+            <p class="settings-description">${this.t(`vault.${mode}.description`)}</p>
+            ${mode !== 'enable' ? field('current', 'vault.currentPassphrase', 'current-password') : ''}
+            ${mode !== 'disable' ? field('next', 'vault.newPassphrase', 'new-password') : ''}
+            ${mode !== 'disable' ? field('confirm', 'vault.confirmPassphrase', 'new-password') : ''}
+            <p class="settings-error" role="alert"></p>
+            <div class="settings-footer">
+                <button type="submit" class="primary-btn">${this.t(`vault.${mode}.submit`)}</button>
+            </div>
+        `;
         
-        this.state.conversations.splice(index, 1);
+        const modal = this.openModal(this.t(`vault.${mode}.title`), form);
+        const error = form.querySelector('.settings-error');
+        const submit = form.querySelector('[type="submit"]');
         
-        // If deleting current conversation, load another or show welcome
-        if (this.state.currentConversationId === id) {
-            if (this.state.conversations.length > 0) {
-                this.loadConversation(this.state.conversations[0].id);
-            } else {
-                this.showWelcomeScreen();
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const { current, next, confirm: repeated } = form.elements;
+            if (next && next.value !== repeated.value) {
+                error.textContent = this.t('vault.errors.mismatch');
+                return;
             }
-        }
-        
-        this.saveState();
-        this.renderConversationsList();
-        this.showNotification('Conversazione eliminata', 'success');
+            
+            submit.disabled = true;
+            try {
+                if (current && !(await this.vault.verify(current.value))) {
+                    throw new Error(this.t('vault.errors.wrongPassphrase'));
+                }
+                await this.rekeyVault(next ? await this.vault.create(next.value) : null);
+            } catch (err) {
+                console.error('❌ Vault update failed:', err);
+                error.textContent = err.message;
+                submit.disabled = false;
+                return;
+            }
+            
+            modal.close();
+            this.updateLockButton();
+            this.showNotification(this.t(`vault.${mode}.done`), 'success');
+            onDone?.();
+        });
     }
 
-    renderConversationsList() {
-        const list = this.elements.conversationsList;
-        list.innerHTML = '';
+    // Switches to a new key (or to none) and rewrites everything stored under it.
+    // Plaintext records read fine with a header, encrypted ones don't without it, so the
+    // header is written before encrypting and removed only after decrypting
+    async rekeyVault(next) {
+        await this.waitUntilIdle();
         
-        // Group conversations by date
-        const grouped = this.groupConversationsByDate(this.state.conversations);
+        const previous = this.vault.current();
+        // Templates and metadata aren't kept in memory; read them while the old key still opens them
+        const extras = await this.storage.loadExtras();
+        this.vault.activate(next);
+        try {
+            if (next) this.vault.saveHeader();
+            await this.storage.rewrite([...this.state.conversations, ...this.state.trash], extras);
+            if (!next) this.vault.saveHeader();
+        } catch (error) {
+            this.vault.activate(previous);
+            this.vault.saveHeader();
+            throw error;
+        }
+        await this.persistSettings();
         
-        Object.entries(grouped).forEach(([label, conversations]) => {
-            // Add group label
-            const groupLabel = document.createElement('div');
-            groupLabel.className = 'conversation-group-label';
-            groupLabel.textContent = label;
-            list.appendChild(groupLabel);
+        // Other tabs still hold the old key
+        this.sync.post({ type: 'vault' });
+    }
+
+    // Modal asking for one passphrase; resolves to it, or null if dismissed
+    promptPassphrase(title, description) {
+        return new Promise(resolve => {
+            const form = document.createElement('form');
+            form.className = 'settings-form';
+            form.innerHTML = `
+                <p class="settings-description"></p>
+                <input class="settings-input" type="password" name="passphrase" required autocomplete="off" aria-label="${this.t('vault.passphrase')}" placeholder="${this.t('vault.passphrase')}">
+                <div class="settings-footer">
+                    <button type="submit" class="primary-btn"><i class="fas fa-unlock"></i> ${this.t('vault.lock.unlock')}</button>
+                </div>
+            `;
+            form.querySelector('.settings-description').textContent = description;
             
-            // Add conversations
-            conversations.forEach(conv => {
-                const item = this.createConversationItem(conv);
-                list.appendChild(item);
+            let passphrase = null;
+            // Closed by submitting, the close button, Escape or a click outside
+            const modal = this.openModal(title, form, { onClose: () => resolve(passphrase) });
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                passphrase = form.elements.passphrase.value;
+                modal.close();
             });
         });
     }
 
-    createConversationItem(conversation) {
-        const item = document.createElement('div');
-        item.className = 'conversation-item';
-        if (conversation.id === this.state.currentConversationId) {
-            item.classList.add('active');
+    // Initialize UI
+    initializeUI() {
+        // Render conversations list
+        this.renderConversationsList();
+        
+        // Update status bar
+        this.updateStatusBar();
+        
+        // Load last conversation or show welcome
+        if (this.state.conversations.length > 0) {
+            const lastConv = this.state.conversations[0];
+            this.loadConversation(lastConv.id);
+        } else {
+            this.showWelcomeScreen();
         }
+    }
+
+    /*
+     * Actions in the launch URL: manifest shortcuts (?action=new-chat), links to a conversation
+     * (?action=open&id=…), searches (?action=search&q=…) and the share target (?action=share&share=…),
+     * which the service worker redirects to after storing the shared content.
+     */
+    async handleLaunchAction(params = new URLSearchParams(window.location.search)) {
+        const action = params.get('action');
+        if (!action) return;
         
-        const date = new Date(conversation.updatedAt);
-        const timeStr = this.formatRelativeTime(date);
+        // A reload shouldn't repeat the action
+        const url = new URL(window.location.href);
+        ['action', 'id', 'q', 'share'].forEach(name => url.searchParams.delete(name));
+        history.replaceState(history.state, '', url);
         
-        item.innerHTML = `
-            <div class="conversation-content">
-                <div class="conversation-title">${this.escapeHtml(conversation.title)}</div>
-                <div class="conversation-meta">
-                    <i class="fas fa-clock"></i> ${timeStr} • ${conversation.messages.length} messaggi
+        switch (action) {
+            case 'new-chat':
+                this.createNewChat();
+                break;
+            case 'open':
+                if (this.state.conversations.some(conv => conv.id === params.get('id'))) {
+                    this.loadConversation(params.get('id'));
+                } else {
+                    this.showNotification(this.t('conversations.notFound'), 'warning');
+                }
+                break;
+            case 'search':
+                this.elements.searchInput.value = params.get('q') || '';
+                this.elements.searchInput.focus();
+                this.runSearch();
+                break;
+            case 'share':
+                this.openShare(params.get('share') ? await this.takeShare(params.get('share')) : null);
+                break;
+            default:
+                console.warn(`⚠️ Unknown launch action: ${action}`);
+        }
+    }
+
+    // Onboarding Tour
+    // Highlights each step's element with a popover beside it. Closing keeps the place for
+    // next time; finishing or skipping marks the tour done, and it then starts over when reopened
+    showTutorial({ restart = false } = {}) {
+        this.tourSession?.close();
+        this.paletteModal?.close();
+        if (restart || this.tour.isCompleted()) this.tour.restart();
+        
+        const root = document.createElement('div');
+        root.className = 'tour';
+        root.innerHTML = `
+            <div class="tour-spotlight"></div>
+            <div class="tour-popover" role="dialog" aria-modal="true" aria-labelledby="tourTitle" aria-describedby="tourText">
+                <div class="tour-header">
+                    <span class="tour-progress"></span>
+                    <button type="button" class="modal-close tour-close" aria-label="${this.t('tour.close')}" title="${this.t('tour.close')}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <h2 class="tour-title" id="tourTitle"></h2>
+                <p class="tour-text" id="tourText"></p>
+                <div class="tour-actions">
+                    <button type="button" class="secondary-btn tour-skip">${this.t('tour.skip')}</button>
+                    <button type="button" class="secondary-btn tour-back">${this.t('tour.back')}</button>
+                    <button type="button" class="primary-btn tour-next"></button>
                 </div>
-            </div>
-            <div class="conversation-actions">
-                <button class="conversation-action" onclick="app.deleteConversation('${conversation.id}')">
-                    <i class="fas fa-trash"></i>
-                </button>
             </div>
         `;
         
-        item.addEventListener('click', (e) => {
-            if (!e.target.closest('.conversation-actions')) {
-                this.loadConversation(conversation.id);
-            }
+        const spotlight = root.querySelector('.tour-spotlight');
+        const popover = root.querySelector('.tour-popover');
+        const back = root.querySelector('.tour-back');
+        const next = root.querySelector('.tour-next');
+        let index = this.tour.resumeStep;
+        
+        // Elements hidden by the current view or layout have nothing to point at
+        const target = () => {
+            const selector = this.tour.step(index).target;
+            const element = selector && document.querySelector(selector);
+            if (!element || element.getClientRects().length === 0) return null;
+            
+            const rect = element.getBoundingClientRect();
+            const onScreen = rect.right > 0 && rect.left < window.innerWidth && rect.width > 0;
+            return onScreen ? element : null;
+        };
+        
+        // Below the element if the popover fits there, otherwise above, always inside the viewport
+        const place = () => {
+            const element = target();
+            root.classList.toggle('centered', !element);
+            popover.style.top = '';
+            popover.style.left = '';
+            if (!element) return;
+            
+            const pad = CONFIG.TOUR.SPOTLIGHT_PADDING;
+            const margin = 12;
+            const rect = element.getBoundingClientRect();
+            Object.assign(spotlight.style, {
+                top: `${rect.top - pad}px`,
+                left: `${rect.left - pad}px`,
+                width: `${rect.width + pad * 2}px`,
+                height: `${rect.height + pad * 2}px`
+            });
+            
+            const box = popover.getBoundingClientRect();
+            const below = rect.bottom + pad + margin;
+            const top = below + box.height <= window.innerHeight - margin
+                ? below
+                : Math.max(rect.top - pad - margin - box.height, margin);
+            const left = Math.min(
+                Math.max(rect.left + rect.width / 2 - box.width / 2, margin),
+                window.innerWidth - box.width - margin
+            );
+            popover.style.top = `${top}px`;
+            popover.style.left = `${left}px`;
+        };
+        
+        const show = (step) => {
+            index = step;
+            this.tour.goTo(index);
+            
+            const { id } = this.tour.step(index);
+            const last = index === this.tour.length - 1;
+            root.querySelector('.tour-progress').textContent = this.t('tour.progress', { current: index + 1, total: this.tour.length });
+            root.querySelector('.tour-title').textContent = this.t(`tour.steps.${id}.title`);
+            root.querySelector('.tour-text').textContent = this.t(`tour.steps.${id}.text`, {
+                palette: this.keybindings.format(this.keybindings.keysFor('palette.open')),
+                shortcuts: this.keybindings.format(this.keybindings.keysFor('help.show'))
+            });
+            back.hidden = index === 0;
+            next.textContent = this.t(last ? 'tour.finish' : 'tour.next');
+            
+            target()?.scrollIntoView({ block: 'nearest' });
+            place();
+            next.focus();
+        };
+        
+        const close = () => {
+            root.remove();
+            window.removeEventListener('resize', place);
+            window.removeEventListener('scroll', place, true);
+            document.removeEventListener('keydown', onKeydown, true);
+            this.tourSession = null;
+        };
+        
+        const finish = () => {
+            this.tour.complete();
+            close();
+            this.showNotification(this.t('tour.completed'), 'success');
+        };
+        
+        const onKeydown = (e) => {
+            const moves = {
+                Escape: close,
+                ArrowRight: () => index < this.tour.length - 1 && show(index + 1),
+                ArrowLeft: () => index > 0 && show(index - 1)
+            };
+            if (!moves[e.key]) return;
+            e.preventDefault();
+            e.stopPropagation();
+            moves[e.key]();
+        };
+        
+        root.querySelector('.tour-close').addEventListener('click', close);
+        root.querySelector('.tour-skip').addEventListener('click', () => {
+            this.tour.complete();
+            close();
         });
+        back.addEventListener('click', () => show(index - 1));
+        next.addEventListener('click', () => index === this.tour.length - 1 ? finish() : show(index + 1));
+        window.addEventListener('resize', place);
+        window.addEventListener('scroll', place, true);
+        document.addEventListener('keydown', onKeydown, true);
         
-        return item;
+        document.body.appendChild(root);
+        this.tourSession = { close };
+        show(index);
     }
 
-    groupConversationsByDate(conversations) {
-        const groups = {
-            'Oggi': [],
-            'Ieri': [],
-            'Ultimi 7 giorni': [],
-            'Ultimi 30 giorni': [],
-            'Più vecchie': []
-        };
-        
-        const now = new Date();
-        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        const yesterday = new Date(today);
-        yesterday.setDate(yesterday
+    // Settings row to take the tour again
+    createTourControls() {
+        const row = document.createElement('div');
+        row.className = 'settings-field';
+        row.innerHTML = `
+            <span class="settings-label">
+                <span class="settings-label-text">${this.t('tour.title')}</span>
+                <span class="settings-description">${this.t(this.tour.isCompleted() ? 'tour.status.completed' : 'tour.status.notCompleted')}</span>
+            </span>
+            <button type="button" class="secondary-btn"><i class="fas fa-route"></i> ${this.t('tour.restart')}</button>
+        `;
+        row.querySelector('button').addEventListener('click', () => {
+            this.settingsModal?.close();
+            this.showTutorial({ restart: true });
+        });
+        return row;
+    }
+
+    // Shared content waits in the service worker's cache until the app claims it
+    async takeShare(id) {
+        try {
+            const registration = await navigator.serviceWorker?.ready;
+            if (!registration?.active) return null;
+            
+            return await new Promise((resolve, reject) => {
+                const channel = new MessageChannel();
+                const timer = setTimeout(() => reject(new Error('Service worker did not answer')), CONFIG.SHARE.TIMEOUT);
+                channel.port1.onmessage = (e) => {
+                    clearTimeout(timer);
+                    if (e.data.success) {
+                        resolve(e.data.share);
+                    } else {
+                        reject(new Error(e.data.error));
+                    }
+                };
+                registration.active.postMessage({ type: 'TAKE_SHARE', payload: { id } }, [channel.port2]);
+            });
+        } catch (error) {
+            console.error('❌ Failed to read shared content:', error);
+            return null;
+        }
+    }
+
+    // A new conversation with the shared title, text and link in the input, ready to send
+    openShare(share) {
+        if (!share) {
+            this.showNotification(this.t('share.unavailable'), 'error');
+            return;
+        }
+        
+        // Apps often repeat the link in the text, or the title as the text
+        const text = share.text.trim();
+        const parts = [
+            share.title.trim() !== text ? share.title.trim() : '',
+            text,
+            share.url && !text.includes(share.url) ? share.url : ''
+        ];
+        
+        this.createNewChat();
+        this.elements.messageInput.value = parts.filter(Boolean).join('\n\n');
+        this.handleInputResize();
+        this.elements.messageInput.focus();
+        
+        if (share.files.length > 0) this.addAttachments(share.files);
+    }
+
+    // Hide Loading Screen
+    hideLoadingScreen() {
+        this.elements.loadingScreen.style.display = 'none';
+        this.elements.app.style.display = 'flex';
+    }
+
+    // Providers
+    // The open conversation's provider, or the one picked for the next new chat
+    currentProvider() {
+        const conversation = this.getCurrentConversation();
+        return conversation
+            ? this.providers.forConversation(conversation)
+            : this.providers.get(this.elements.providerSelect?.value);
+    }
+
+    // Health check; providers with their own models also refresh the model list
+    async checkConnection(provider = this.currentProvider()) {
+        try {
+            const models = await this.providers.check(provider.id);
+            if (!provider.usesRegistryModels) {
+                this.models.setDiscovered(provider.id, models);
+                if (provider === this.currentProvider()) this.renderModelSelect();
+            }
+            
+            console.log(`✅ ${provider.name} connection successful`);
+            if (provider === this.currentProvider()) this.health.reportSuccess();
+            return true;
+        } catch (error) {
+            console.error(`❌ ${provider.name} connection failed:`, error);
+            if (provider === this.currentProvider()) this.health.reportFailure(error, { check: true });
+            this.showNotification(this.t('connection.failed', { provider: provider.name }), 'error');
+            return false;
+        }
+    }
+
+    // Status bar dot and text; waits and rate limits count down while they last
+    renderHealth(state = this.health.state) {
+        clearTimeout(this.healthTimer);
+        const { statusIndicator, statusText } = this.elements;
+        
+        const level = { online: '', checking: 'warning', retrying: 'warning', rateLimited: 'warning' }[state.status] ?? 'error';
+        statusIndicator?.classList.remove('warning', 'error');
+        if (level) statusIndicator?.classList.add(level);
+        
+        const seconds = state.until ? Math.max(Math.ceil((state.until - Date.now()) / 1000), 0) : 0;
+        const key = state.status === 'rateLimited' && !seconds ? 'health.status.rateLimitedNoWait' : `health.status.${state.status}`;
+        if (statusText) {
+            statusText.textContent = this.t(key, {
+                provider: this.currentProvider().name,
+                seconds,
+                attempt: state.attempt,
+                max: state.maxRetries
+            });
+        }
+        
+        if (seconds > 0) this.healthTimer = setTimeout(() => this.renderHealth(state), 1000);
+    }
+
+    // A toast that says why a request failed, with the wait when the provider gave one
+    describeFailure(error, provider) {
+        const kind = error?.kind || RetryPolicy.classify(error);
+        const params = { provider: provider.name, seconds: error?.retryAfter };
+        
+        if (kind === 'rateLimit' && error?.retryAfter) return this.t('health.errors.rateLimitRetryAfter', params);
+        if (['rateLimit', 'overloaded', 'auth', 'server', 'network', 'offline'].includes(kind)) {
+            return this.t(`health.errors.${kind}`, params);
+        }
+        return this.t('chat.generationFailed');
+    }
+
+    // Checks a provider the first time it's used, then trusts the result until settings change
+    async ensureProvider(provider) {
+        return this.providers.isReady(provider.id) || this.checkConnection(provider);
+    }
+
+    renderProviderSelect() {
+        const select = this.elements.providerSelect;
+        if (!select) return;
+        
+        const current = this.currentProvider();
+        select.innerHTML = this.providers.list().map(provider => {
+            const label = provider.isConfigured()
+                ? provider.name
+                : this.t('providers.notConfigured', { provider: provider.name });
+            // The current provider stays selectable so the selector never lies
+            const disabled = !provider.isConfigured() && provider !== current;
+            return `<option value="${provider.id}"${disabled ? ' disabled' : ''}>${this.escapeHtml(label)}</option>`;
+        }).join('');
+        select.value = current.id;
+    }
+
+    async handleProviderChange() {
+        const provider = this.providers.get(this.elements.providerSelect.value);
+        
+        const conversation = this.getCurrentConversation();
+        if (conversation && conversation.provider !== provider.id) {
+            conversation.provider = provider.id;
+            this.saveState();
+        }
+        
+        // Endpoints list their models only once checked
+        if (this.providers.isReady(provider.id)) {
+            this.health.reportSuccess();
+        } else {
+            await this.checkConnection(provider);
+        }
+        
+        // Keep the model only if the new provider offers it, or has nothing to offer instead
+        const offers = provider.usesRegistryModels || this.models.discoveredFor(provider.id).length > 0;
+        this.renderModelSelect(conversation?.model || this.elements.modelSelect.value, { keep: !offers });
+        this.handleModelChange();
+    }
+
+    // Models
+    // `keep` offers the selected model even when the provider doesn't list it (e.g. older conversations)
+    renderModelSelect(selected = this.getCurrentConversation()?.model || this.elements.modelSelect.value, { keep = true } = {}) {
+        this.renderProviderSelect();
+        
+        const provider = this.currentProvider();
+        this.models.populateSelect(this.elements.modelSelect, {
+            selected,
+            extraId: keep ? selected : null,
+            addOption: true,
+            source: provider.usesRegistryModels
+                ? null
+                : { label: provider.name, models: this.models.discoveredFor(provider.id) }
+        });
+        this.selectedModel = this.elements.modelSelect.value;
+        this.updateModelStatus();
+    }
+
+    handleModelChange() {
+        const select = this.elements.modelSelect;
+        
+        if (select.value === ModelRegistry.ADD_OPTION) {
+            select.value = this.selectedModel;
+            this.showAddModelDialog();
+            return;
+        }
+        
+        this.selectedModel = select.value;
+        
+        // The selector always reflects, and changes, the open conversation's model
+        const conversation = this.getCurrentConversation();
+        if (conversation && conversation.model !== select.value) {
+            conversation.model = select.value;
+            this.saveState();
+            this.updateChatMeta(conversation);
+        }
+        
+        this.updateModelStatus();
+    }
+
+    showAddModelDialog(onAdded) {
+        const form = document.createElement('form');
+        form.className = 'settings-form';
+        form.innerHTML = `
+            <label class="settings-field">
+                <span class="settings-label"><span class="settings-label-text">${this.t('models.add.id')}</span></span>
+                <input class="settings-input" name="id" required placeholder="claude-3-5-sonnet-20240620">
+            </label>
+            <label class="settings-field">
+                <span class="settings-label"><span class="settings-label-text">${this.t('models.add.name')}</span></span>
+                <input class="settings-input" name="name" placeholder="Claude 3.5 Sonnet">
+            </label>
+            <label class="settings-field settings-field-number">
+                <span class="settings-label"><span class="settings-label-text">${this.t('models.add.contextWindow')}</span></span>
+                <input class="settings-input" name="contextWindow" type="number" min="1" value="200000">
+            </label>
+            <label class="settings-field settings-field-number">
+                <span class="settings-label"><span class="settings-label-text">${this.t('models.add.maxTokens')}</span></span>
+                <input class="settings-input" name="maxTokens" type="number" min="1" value="4096">
+            </label>
+            <label class="settings-field settings-field-boolean">
+                <span class="settings-label"><span class="settings-label-text">${this.t('models.add.vision')}</span></span>
+                <input class="settings-input" name="vision" type="checkbox">
+            </label>
+            <p class="settings-error" role="alert"></p>
+            <div class="settings-footer">
+                <button type="submit" class="primary-btn"><i class="fas fa-plus"></i> ${this.t('common.add')}</button>
+            </div>
+        `;
+        
+        const modal = this.openModal(this.t('models.add.title'), form);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const data = new FormData(form);
+            const model = {
+                id: data.get('id').trim(),
+                name: data.get('name').trim(),
+                contextWindow: Number(data.get('contextWindow')),
+                maxTokens: Number(data.get('maxTokens')),
+                vision: data.get('vision') === 'on'
+            };
+            
+            try {
+                this.models.addCustom(model);
+            } catch (error) {
+                form.querySelector('.settings-error').textContent = error.message;
+                return;
+            }
+            
+            modal.close();
+            this.renderModelSelect(model.id);
+            this.handleModelChange();
+            this.showNotification(this.t('models.added', { name: model.name || model.id }), 'success');
+            onAdded?.();
+        });
+    }
+
+    // Settings
+    showSettings() {
+        const body = document.createElement('div');
+        body.className = 'settings-form';
+        this.renderSettingsForm(body);
+        this.settingsModal = this.openModal(this.t('settings.title'), body, {
+            onClose: () => { this.settingsModal = null; }
+        });
+    }
+
+    renderSettingsForm(container, modelId = this.elements.modelSelect.value) {
+        container.innerHTML = '';
+        
+        const sections = {};
+        Object.entries(CONFIG.SETTINGS_SCHEMA).forEach(([key, field]) => {
+            const name = field.section || 'general';
+            if (!sections[name]) {
+                sections[name] = document.createElement('section');
+                sections[name].className = 'settings-section';
+                sections[name].innerHTML = `<h3 class="settings-section-title">${this.t(`settings.sections.${name}`)}</h3>`;
+            }
+            sections[name].appendChild(this.createSettingField(key, field, this.state.settings[key], (value) => {
+                this.state.settings[key] = value;
+                this.persistSettings();
+                this.applySettings(key);
+            }));
+        });
+        sections.general?.appendChild(this.createTourControls());
+        sections.security?.querySelector('.settings-section-title')
+            .after(this.createVaultControls(() => this.renderSettingsForm(container, modelId)));
+        
+        const models = document.createElement('section');
+        models.className = 'settings-section';
+        models.innerHTML = `
+            <h3 class="settings-section-title">${this.t('settings.sections.model')}</h3>
+            <select class="settings-input settings-model-select" aria-label="${this.t('settings.modelToConfigure')}">
+            </select>
+        `;
+        const modelSelect = models.querySelector('select');
+        this.models.populateSelect(modelSelect, { selected: modelId, extraId: modelId });
+        modelSelect.addEventListener('change', () => this.renderSettingsForm(container, modelSelect.value));
+        
+        const modelValues = this.settingsManager.getModelSettings(this.state.settings, modelId);
+        Object.entries(CONFIG.MODEL_SETTINGS_SCHEMA).forEach(([key, field]) => {
+            models.appendChild(this.createSettingField(key, field, modelValues[key], (value) => {
+                this.state.settings.models[modelId] = { ...this.state.settings.models[modelId], [key]: value };
+                this.persistSettings();
+                this.applySettings('models');
+            }, modelId));
+        });
+        
+        const custom = document.createElement('section');
+        custom.className = 'settings-section';
+        custom.innerHTML = `<h3 class="settings-section-title">${this.t('settings.sections.customModels')}</h3>`;
+        this.models.list().filter(model => model.custom).forEach(model => {
+            const row = document.createElement('div');
+            row.className = 'settings-field';
+            row.innerHTML = `
+                <span class="settings-label">
+                    <span class="settings-label-text">${this.escapeHtml(model.name)}</span>
+                    <span class="settings-description">${this.escapeHtml(model.id)}</span>
+                </span>
+                <button type="button" class="icon-btn" aria-label="${this.t('settings.removeModel')}"><i class="fas fa-trash"></i></button>
+            `;
+            row.querySelector('button').addEventListener('click', () => {
+                this.models.removeCustom(model.id);
+                this.renderModelSelect();
+                this.renderSettingsForm(container);
+            });
+            custom.appendChild(row);
+        });
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'secondary-btn';
+        addButton.innerHTML = `<i class="fas fa-plus"></i> ${this.t('models.add.title')}`;
+        addButton.addEventListener('click', () => this.showAddModelDialog(() => this.renderSettingsForm(container)));
+        custom.appendChild(addButton);
+        
+        const footer = document.createElement('div');
+        footer.className = 'settings-footer';
+        footer.innerHTML = `<button type="button" class="secondary-btn"><i class="fas fa-rotate-left"></i> ${this.t('settings.reset')}</button>`;
+        footer.querySelector('button').addEventListener('click', () => {
+            this.state.settings = this.settingsManager.defaults();
+            this.persistSettings();
+            this.applySettings();
+            this.renderSettingsForm(container, modelId);
+            this.showNotification(this.t('settings.resetDone'), 'success');
+        });
+        
+        container.append(...Object.values(sections), models, custom, footer);
+    }
+
+    // One form row per schema field; values are validated and applied as they change
+    createSettingField(key, field, value, onValid, modelId) {
+        const row = document.createElement('label');
+        row.className = `settings-field settings-field-${field.type}`;
+        
+        let input;
+        if (field.type === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = value;
+        } else if (field.type === 'select') {
+            input = document.createElement('select');
+            input.innerHTML = field.options
+                .map(option => `<option value="${option.value}">${this.escapeHtml(this.t(`settings.fields.${key}.options.${option.value}`))}</option>`)
+                .join('');
+            input.value = value;
+        } else if (field.type === 'text') {
+            input = document.createElement('input');
+            input.type = field.secret ? 'password' : field.format === 'url' ? 'url' : 'text';
+            input.value = value;
+            input.placeholder = field.placeholder || '';
+            input.autocomplete = 'off';
+            input.spellcheck = false;
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.value = value;
+            input.min = this.settingsManager.resolve(field.min, modelId) ?? '';
+            input.max = this.settingsManager.resolve(field.max, modelId) ?? '';
+            input.step = field.step || 'any';
+        }
+        input.className = 'settings-input';
+        input.name = key;
+        
+        row.innerHTML = `
+            <span class="settings-label">
+                <span class="settings-label-text">${this.escapeHtml(this.t(`settings.fields.${key}.label`))}</span>
+                <span class="settings-description">${this.escapeHtml(this.t(`settings.fields.${key}.description`))}</span>
+                <span class="settings-error" role="alert"></span>
+            </span>
+        `;
+        row.appendChild(input);
+        
+        const error = row.querySelector('.settings-error');
+        input.addEventListener('change', () => {
+            const raw = field.type === 'boolean' ? input.checked : input.value;
+            const result = this.settingsManager.validateField(field, raw, modelId);
+            
+            row.classList.toggle('invalid', Boolean(result.error));
+            error.textContent = result.error || '';
+            if (!result.error) onValid(result.value);
+        });
+        
+        return row;
+    }
+
+    // Apply one changed setting, or all of them when called without a key
+    applySettings(key) {
+        const all = key === undefined;
+        const conversation = this.getCurrentConversation();
+        
+        if (key === 'language') {
+            this.applyLanguage();
+        }
+        if (all || key === 'showTimestamps') {
+            this.elements.messagesWrapper?.classList.toggle('hide-timestamps', !this.state.settings.showTimestamps);
+        }
+        if ((all || key === 'messageLimit') && conversation && !this.state.isProcessing) {
+            this.loadConversation(conversation.id);
+        }
+        if ((all || key === 'contextLength' || key === 'models') && conversation) {
+            this.updateChatMeta(conversation);
+        }
+        if (key === 'autoSave' && this.state.settings.autoSave) {
+            this.persistState();
+        }
+        // A new key or URL makes earlier health checks meaningless
+        if (all || CONFIG.SETTINGS_SCHEMA[key]?.section === 'providers') {
+            this.providers.reset();
+            this.renderModelSelect();
+            if (!all) this.checkConnection();
+        }
+    }
+
+    // Language
+    t(key, params) {
+        return this.i18n.t(key, params);
+    }
+
+    // Static markup is translated in place; everything rendered from data is rendered again
+    applyLanguage() {
+        const locale = this.i18n.setLocale(this.state.settings.language);
+        this.i18n.translatePage();
+        document.querySelector('link[rel="manifest"]')?.setAttribute('href', CONFIG.I18N.MANIFESTS[locale]);
+        
+        // Built once on first search, with the filter labels baked in
+        this.searchPanel?.remove();
+        this.searchPanel = null;
+        this.searchFilters = { model: '', group: '' };
+        
+        this.renderModelSelect();
+        this.renderHealth();
+        this.renderConversationsList();
+        const conversation = this.getCurrentConversation();
+        if (conversation && !this.state.isProcessing) this.loadConversation(conversation.id);
+    }
+
+    handleInputKeydown(e) {
+        if (e.key !== 'Enter' || e.isComposing) return;
+        
+        const send = e.ctrlKey || e.metaKey || (this.state.settings.enterToSend && !e.shiftKey);
+        if (send) {
+            e.preventDefault();
+            this.sendMessage();
+        }
+    }
+
+    // Modals
+    openModal(title, content, { className = '', onClose } = {}) {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay active';
+        overlay.innerHTML = `
+            <div class="modal ${className}" role="dialog" aria-modal="true">
+                <div class="modal-header">
+                    <h2 class="modal-title"></h2>
+                    <button class="modal-close" aria-label="${this.t('common.close')}"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="modal-body"></div>
+            </div>
+        `;
+        overlay.querySelector('.modal-title').textContent = title;
+        overlay.querySelector('.modal-body').appendChild(content);
+        
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        const close = () => {
+            overlay.remove();
+            document.removeEventListener('keydown', onKeydown);
+            onClose?.();
+        };
+        
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+        overlay.querySelector('.modal-close').addEventListener('click', close);
+        document.addEventListener('keydown', onKeydown);
+        
+        document.body.appendChild(overlay);
+        overlay.querySelector('input, select, textarea, button:not(.modal-close)')?.focus();
+        return { overlay, close };
+    }
+
+    // Theme Management
+    applyTheme(theme) {
+        this.state.theme = theme;
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        
+        const icon = this.elements.themeToggle?.querySelector('i');
+        if (icon) {
+            icon.className = theme === 'dark' ? 'fas fa-moon' : 'fas fa-sun';
+        }
+    }
+
+    toggleTheme() {
+        const newTheme = this.state.theme === 'dark' ? 'light' : 'dark';
+        this.applyTheme(newTheme);
+        this.showNotification(this.t(newTheme === 'dark' ? 'theme.darkEnabled' : 'theme.lightEnabled'), 'success');
+    }
+
+    // Sidebar Management
+    toggleSidebar() {
+        this.elements.sidebar.classList.toggle('open');
+        
+        // Create overlay if mobile
+        if (window.innerWidth <= 768) {
+            let overlay = document.querySelector('.sidebar-overlay');
+            if (!overlay) {
+                overlay = document.createElement('div');
+                overlay.className = 'sidebar-overlay';
+                overlay.addEventListener('click', () => this.toggleSidebar());
+                document.body.appendChild(overlay);
+            }
+            overlay.classList.toggle('active');
+        }
+    }
+
+    // Sidebar hidden on wide screens, where it otherwise always shows
+    toggleSidebarCollapsed() {
+        if (window.innerWidth <= 768) {
+            this.toggleSidebar();
+            return;
+        }
+        this.elements.sidebar.classList.toggle('collapsed');
+    }
+
+    // Commands & Shortcuts
+    // Every command is reachable from the palette; the keys come from the keybinding registry
+    registerCommands() {
+        const commands = {
+            'palette.open': [() => this.togglePalette()],
+            'help.show': [() => this.showShortcuts()],
+            'chat.new': [() => this.createNewChat()],
+            'search.focus': [() => this.focusSearch()],
+            'chat.previous': [() => this.switchConversation(-1)],
+            'chat.next': [() => this.switchConversation(1)],
+            'chat.regenerate': [() => this.regenerateResponse()],
+            // Escape only stops a reply; otherwise it still closes modals and clears search
+            'chat.stop': [() => this.stopGeneration(), () => Boolean(this.abortController)],
+            'chat.copyLast': [() => this.copyLastReply()],
+            'model.choose': [() => this.chooseModel()],
+            'sidebar.toggle': [() => this.toggleSidebarCollapsed()],
+            'settings.open': [() => this.showSettings()],
+            'tour.show': [() => this.showTutorial()],
+            'input.focus': [() => this.elements.messageInput?.focus()],
+            'undo': [() => this.undoLast()]
+        };
+        
+        Object.entries(commands).forEach(([id, [run, when]]) => this.keybindings.register(id, run, { when }));
+    }
+
+    focusSearch() {
+        if (window.innerWidth <= 768 && !this.elements.sidebar.classList.contains('open')) this.toggleSidebar();
+        this.elements.sidebar.classList.remove('collapsed');
+        this.elements.searchInput?.focus();
+        this.elements.searchInput?.select();
+    }
+
+    // Follows the sidebar's order, whatever view and filter it shows
+    switchConversation(offset) {
+        const ids = [...this.elements.conversationsList.querySelectorAll('.conversation-item[data-conversation-id]')]
+            .map(item => item.dataset.conversationId);
+        if (ids.length === 0) return;
+        
+        const index = ids.indexOf(this.state.currentConversationId);
+        const next = index === -1
+            ? ids[offset > 0 ? 0 : ids.length - 1]
+            : ids[Math.min(Math.max(index + offset, 0), ids.length - 1)];
+        if (next !== this.state.currentConversationId) this.loadConversation(next);
+    }
+
+    copyLastReply() {
+        const messages = this.getCurrentConversation()?.messages || [];
+        const last = [...messages].reverse().find(msg => msg.role === 'assistant' && msg.content);
+        if (last) this.copyMessage(last);
+    }
+
+    // Commands first, then conversations, most recent first
+    commandItems() {
+        const commands = this.keybindings.list()
+            .filter(({ id }) => id !== 'palette.open')
+            .map(({ id, label, keys }) => ({
+                label,
+                group: this.t('palette.groups.command'),
+                hint: this.keybindings.format(keys),
+                run: () => this.keybindings.run(id)
+            }));
+        
+        const conversations = [...this.state.conversations]
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .map(conversation => ({
+                label: conversation.title,
+                keywords: conversation.summary || '',
+                group: this.t('palette.groups.conversation'),
+                hint: this.i18n.relativeTime(conversation.updatedAt),
+                run: () => this.loadConversation(conversation.id)
+            }));
+        
+        return [...commands, ...conversations];
+    }
+
+    togglePalette() {
+        if (this.paletteModal) {
+            this.paletteModal.close();
+            return;
+        }
+        this.openPalette({ items: this.commandItems(), placeholder: this.t('palette.placeholder') });
+    }
+
+    // The models the model selector offers for the current provider
+    chooseModel() {
+        this.paletteModal?.close();
+        
+        const select = this.elements.modelSelect;
+        const items = [...select.options]
+            .filter(option => option.value !== ModelRegistry.ADD_OPTION)
+            .map(option => ({
+                label: option.textContent,
+                group: option.parentElement.tagName === 'OPTGROUP' ? option.parentElement.label : this.t('palette.groups.model'),
+                hint: option.value === select.value ? this.t('palette.current') : '',
+                run: () => {
+                    select.value = option.value;
+                    this.handleModelChange();
+                }
+            }));
+        this.openPalette({ items, placeholder: this.t('palette.modelPlaceholder') });
+    }
+
+    // Fuzzy list of `items` ({ label, group, hint?, keywords?, run }); picking one closes the palette and runs it
+    openPalette({ items, placeholder }) {
+        const content = document.createElement('div');
+        content.className = 'palette';
+        content.innerHTML = `
+            <input type="text" class="settings-input palette-input" role="combobox" aria-expanded="true"
+                aria-controls="paletteResults" autocomplete="off" spellcheck="false">
+            <ul class="palette-results" id="paletteResults" role="listbox"></ul>
+        `;
+        
+        const input = content.querySelector('.palette-input');
+        const list = content.querySelector('.palette-results');
+        input.placeholder = placeholder;
+        input.setAttribute('aria-label', placeholder);
+        
+        let results = [];
+        let selected = 0;
+        
+        const highlight = (label, indices) => {
+            const marked = new Set(indices);
+            return Array.from(label, (char, i) => marked.has(i)
+                ? `<mark>${this.escapeHtml(char)}</mark>`
+                : this.escapeHtml(char)).join('');
+        };
+        
+        const select = (index) => {
+            selected = index;
+            list.querySelectorAll('.palette-item').forEach((el, i) => {
+                el.classList.toggle('active', i === index);
+                el.setAttribute('aria-selected', String(i === index));
+            });
+            const active = list.children[index];
+            active?.scrollIntoView({ block: 'nearest' });
+            input.setAttribute('aria-activedescendant', active?.id || '');
+        };
+        
+        const pick = (index) => {
+            const result = results[index];
+            if (!result) return;
+            modal.close();
+            result.item.run();
+        };
+        
+        const render = () => {
+            results = this.palette.filter(items, input.value);
+            list.innerHTML = results.length
+                ? results.map(({ item, indices }, i) => `
+                    <li class="palette-item" id="paletteItem${i}" role="option" data-index="${i}">
+                        <span class="palette-label">${highlight(item.label, indices)}</span>
+                        <span class="palette-group">${this.escapeHtml(item.group)}</span>
+                        ${item.hint ? `<kbd class="palette-hint">${this.escapeHtml(item.hint)}</kbd>` : ''}
+                    </li>
+                `).join('')
+                : `<li class="palette-empty">${this.t('palette.noResults')}</li>`;
+            select(0);
+        };
+        
+        input.addEventListener('input', render);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (results.length) select((selected + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                pick(selected);
+            }
+        });
+        list.addEventListener('mousemove', (e) => {
+            const item = e.target.closest('.palette-item');
+            if (item && Number(item.dataset.index) !== selected) select(Number(item.dataset.index));
+        });
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.palette-item');
+            if (item) pick(Number(item.dataset.index));
+        });
+        
+        const modal = this.openModal(this.t('palette.title'), content, {
+            className: 'palette-modal',
+            onClose: () => { this.paletteModal = null; }
+        });
+        this.paletteModal = modal;
+        render();
+        input.focus();
+    }
+
+    // Every shortcut, each one rebindable: click, then press the new keys
+    showShortcuts() {
+        this.paletteModal?.close();
+        
+        const content = document.createElement('div');
+        content.className = 'settings-form shortcuts';
+        
+        const render = () => {
+            content.innerHTML = `
+                <p class="settings-description">${this.t('keybindings.description')}</p>
+                <p class="settings-error" role="alert" hidden></p>
+                <table class="shortcuts-table">
+                    <tbody>
+                        ${this.keybindings.list().map(({ id, label, keys, custom }) => `
+                            <tr data-command="${id}">
+                                <td>${this.escapeHtml(label)}</td>
+                                <td>
+                                    <button class="shortcut-keys" title="${this.t('keybindings.change')}">
+                                        ${keys ? `<kbd>${this.escapeHtml(this.keybindings.format(keys))}</kbd>` : `<span class="shortcut-none">${this.t('keybindings.none')}</span>`}
+                                    </button>
+                                </td>
+                                <td>
+                                    ${custom ? `<button class="secondary-btn shortcut-reset">${this.t('keybindings.reset')}</button>` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="settings-footer">
+                    <button class="secondary-btn shortcuts-reset-all">${this.t('keybindings.resetAll')}</button>
+                </div>
+            `;
+            
+            content.querySelectorAll('tr[data-command]').forEach(row => {
+                const id = row.dataset.command;
+                row.querySelector('.shortcut-keys').addEventListener('click', () => record(id));
+                row.querySelector('.shortcut-reset')?.addEventListener('click', () => apply(() => this.keybindings.reset(id)));
+            });
+            content.querySelector('.shortcuts-reset-all').addEventListener('click', () => apply(() => this.keybindings.resetAll()));
+        };
+        
+        const apply = (change) => {
+            try {
+                change();
+                render();
+            } catch (error) {
+                const message = content.querySelector('.settings-error');
+                message.textContent = error.message;
+                message.hidden = false;
+            }
+        };
+        
+        let stopRecording = null;
+        
+        // Escape cancels, Backspace or Delete removes the shortcut, any other combination takes its place
+        const record = (id) => {
+            if (stopRecording) {
+                stopRecording();
+                render();
+            }
+            
+            const button = content.querySelector(`tr[data-command="${id}"] .shortcut-keys`);
+            button.innerHTML = `<span class="shortcut-none">${this.t('keybindings.recording')}</span>`;
+            button.classList.add('recording');
+            
+            const onKeydown = (e) => {
+                const keys = this.keybindings.fromEvent(e);
+                e.preventDefault();
+                e.stopPropagation();
+                if (!keys) return;
+                
+                stopRecording();
+                if (keys === 'Escape') {
+                    render();
+                } else if (keys === 'Backspace' || keys === 'Delete') {
+                    apply(() => this.keybindings.unbind(id));
+                } else {
+                    apply(() => this.keybindings.bind(id, keys));
+                }
+            };
+            stopRecording = () => {
+                window.removeEventListener('keydown', onKeydown, { capture: true });
+                this.keybindings.suspended = false;
+                stopRecording = null;
+            };
+            window.addEventListener('keydown', onKeydown, { capture: true });
+            this.keybindings.suspended = true;
+        };
+        
+        render();
+        this.openModal(this.t('keybindings.title'), content, {
+            className: 'shortcuts-modal',
+            onClose: () => stopRecording?.()
+        });
+    }
+
+    // Conversation Management
+    createNewChat() {
+        const conversation = {
+            id: this.generateId(),
+            title: this.t('conversations.defaultTitle'),
+            messages: [],
+            nodes: {},
+            activeChildren: {},
+            provider: this.elements.providerSelect?.value || this.providers.defaultId,
+            model: this.elements.modelSelect.value,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        
+        this.state.conversations.unshift(conversation);
+        this.state.currentConversationId = conversation.id;
+        
+        this.saveState();
+        this.renderConversationsList();
+        this.loadConversation(conversation.id);
+        
+        // Close sidebar on mobile
+        if (window.innerWidth <= 768) {
+            this.toggleSidebar();
+        }
+        
+        this.showNotification(this.t('conversations.created'), 'success');
+    }
+
+    loadConversation(id, { messageId, showAll = false } = {}) {
+        const conversation = this.state.conversations.find(c => c.id === id);
+        if (!conversation) return;
+        
+        this.state.currentConversationId = id;
+        
+        // Update UI
+        this.hideWelcomeScreen();
+        this.showChatView();
+        
+        // Update chat header
+        this.elements.chatTitle.textContent = conversation.title;
+        this.renderModelSelect(conversation.model);
+        this.updateSystemPromptButton(conversation);
+        this.updateChatMeta(conversation);
+        this.updateBusyIndicator();
+        
+        // Clear and load messages, up to messageLimit unless a hidden one was asked for
+        this.clearMessages();
+        const limit = showAll ? Infinity : this.state.settings.messageLimit;
+        let visible = conversation.messages.slice(-limit);
+        if (messageId && !visible.some(msg => msg.id === messageId)) {
+            visible = conversation.messages;
+        }
+        
+        const hidden = conversation.messages.length - visible.length;
+        if (hidden > 0) {
+            const note = document.createElement('div');
+            note.className = 'messages-truncated';
+            note.innerHTML = `${this.t('chat.hiddenMessages', { count: hidden })} <button type="button">${this.t('chat.showAll')}</button>`;
+            note.querySelector('button').addEventListener('click', () => this.loadConversation(id, { showAll: true }));
+            this.elements.messagesWrapper.appendChild(note);
+        }
+        
+        visible.forEach(msg => {
+            if (!msg.id) msg.id = this.generateId();
+            this.renderMessage(msg, { animate: false });
+        });
+        this.refreshMessageActions();
+        this.scrollToBottom(true);
+        if (messageId) this.highlightMessage(messageId);
+        
+        // Update conversations list
+        this.renderConversationsList();
+        
+        // Focus input
+        this.elements.messageInput.focus();
+    }
+
+    deleteConversation(id) {
+        this.deleteConversations([id]);
+    }
+
+    // Moves conversations to the trash; they can be restored from there or with the undo toast
+    deleteConversations(ids) {
+        const removed = new Set(ids);
+        const trashed = this.state.conversations.filter(c => removed.has(c.id));
+        if (trashed.length === 0) return;
+        
+        const deletedAt = new Date().toISOString();
+        const previousId = this.state.currentConversationId;
+        trashed.forEach(conv => { conv.deletedAt = deletedAt; });
+        this.state.conversations = this.state.conversations.filter(c => !removed.has(c.id));
+        this.state.trash = [...trashed, ...this.state.trash];
+        ids.forEach(id => this.selectedConversations.delete(id));
+        
+        // If deleting current conversation, load another or show welcome
+        if (removed.has(previousId)) this.leaveConversation();
+        
+        this.saveState();
+        this.renderConversationsList();
+        
+        const label = this.t('trash.moved', { count: trashed.length });
+        const entry = this.undoStack.push(label, () => {
+            this.restoreConversations(trashed.map(conv => conv.id), { silent: true });
+            if (removed.has(previousId)) this.loadConversation(previousId);
+        });
+        this.showUndoNotification(label, entry);
+    }
+
+    restoreConversations(ids, { silent = false } = {}) {
+        const wanted = new Set(ids);
+        const restored = this.state.trash.filter(conv => wanted.has(conv.id));
+        if (restored.length === 0) return;
+        
+        restored.forEach(conv => { delete conv.deletedAt; });
+        this.state.trash = this.state.trash.filter(conv => !wanted.has(conv.id));
+        this.state.conversations = [...restored, ...this.state.conversations]
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        ids.forEach(id => this.selectedConversations.delete(id));
+        
+        this.saveState();
+        this.renderConversationsList();
+        if (!silent) {
+            this.showNotification(this.t('trash.restored', { count: restored.length }), 'success');
+        }
+    }
+
+    // Deletes from the trash for good; still undoable until the page is closed
+    purgeConversations(ids) {
+        const wanted = new Set(ids);
+        const purged = this.state.trash.filter(conv => wanted.has(conv.id));
+        if (purged.length === 0) return;
+        
+        this.state.trash = this.state.trash.filter(conv => !wanted.has(conv.id));
+        ids.forEach(id => this.selectedConversations.delete(id));
+        this.saveState();
+        this.renderConversationsList();
+        
+        const label = this.t('trash.purged', { count: purged.length });
+        const entry = this.undoStack.push(label, () => {
+            this.state.trash = [...purged, ...this.state.trash];
+            this.saveState();
+            this.renderConversationsList();
+        });
+        this.showUndoNotification(label, entry);
+    }
+
+    emptyTrash() {
+        this.purgeConversations(this.state.trash.map(conv => conv.id));
+    }
+
+    // Drops trash entries older than the retention setting; runs once at startup
+    purgeExpiredTrash() {
+        const cutoff = Date.now() - this.state.settings.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const kept = this.state.trash.filter(conv => new Date(conv.deletedAt).getTime() > cutoff);
+        if (kept.length === this.state.trash.length) return;
+        
+        console.log(`🗑️ Purged ${this.state.trash.length - kept.length} conversations from the trash`);
+        this.state.trash = kept;
+        this.persistState();
+    }
+
+    // Removes every message (and branch) but keeps the conversation itself
+    clearConversation(id) {
+        const conversation = this.state.conversations.find(c => c.id === id);
+        if (!conversation || conversation.messages.length === 0) return;
+        if (this.state.isProcessing && id === this.state.currentConversationId) {
+            this.showNotification(this.t('chat.waitForReply'), 'warning');
+            return;
+        }
+        
+        const snapshot = structuredClone(conversation);
+        conversation.messages = [];
+        delete conversation.nodes;
+        delete conversation.activeChildren;
+        delete conversation.summary;
+        delete conversation.summaryMessageCount;
+        this.tree.restore(conversation);
+        conversation.updatedAt = new Date().toISOString();
+        this.afterConversationReplaced(id);
+        
+        const label = this.t('chat.cleared');
+        const entry = this.undoStack.push(label, () => {
+            const index = this.state.conversations.findIndex(c => c.id === id);
+            if (index === -1) return;
+            this.state.conversations[index] = snapshot;
+            this.afterConversationReplaced(id);
+        });
+        this.showUndoNotification(label, entry);
+    }
+
+    afterConversationReplaced(id) {
+        this.saveState();
+        if (id === this.state.currentConversationId) {
+            this.loadConversation(id);
+        } else {
+            this.renderConversationsList();
+        }
+    }
+
+    leaveConversation() {
+        if (this.state.conversations.length > 0) {
+            this.loadConversation(this.state.conversations[0].id);
+        } else {
+            this.state.currentConversationId = null;
+            this.clearMessages();
+            this.showWelcomeScreen();
+        }
+    }
+
+    async undoLast() {
+        const entry = await this.undoStack.undo();
+        if (!entry) {
+            this.showNotification(this.t('undo.nothing'), 'info');
+            return;
+        }
+        document.querySelector(`.notification[data-undo-id="${entry.id}"]`)?.remove();
+        this.showNotification(this.t('undo.done', { label: entry.label }), 'info');
+    }
+
+    // Toast with an "Annulla" button; undoing from it targets that entry even if newer ones exist
+    showUndoNotification(message, entry) {
+        const toast = document.createElement('div');
+        toast.className = 'notification info undo-notification';
+        toast.dataset.undoId = entry.id;
+        toast.setAttribute('role', 'status');
+        toast.innerHTML = `
+            <div class="notification-icon"><i class="fas fa-rotate-left"></i></div>
+            <div class="notification-content">
+                <div class="notification-message"></div>
+            </div>
+            <button type="button" class="undo-btn">${this.t('undo.action')}</button>
+        `;
+        toast.querySelector('.notification-message').textContent = message;
+        
+        toast.querySelector('.undo-btn').addEventListener('click', async () => {
+            toast.remove();
+            if (!await this.undoStack.undo(entry)) {
+                this.showNotification(this.t('undo.expired'), 'warning');
+            }
+        });
+        
+        document.querySelectorAll('.undo-notification').forEach(el => el.remove());
+        document.body.appendChild(toast);
+        setTimeout(() => toast.remove(), CONFIG.UNDO.TOAST_DURATION);
+    }
+
+    getCurrentConversation() {
+        return this.state.conversations.find(c => c.id === this.state.currentConversationId) || null;
+    }
+
+    // Message Pipeline
+    async sendMessage() {
+        if (this.state.isProcessing) return;
+        
+        const content = this.elements.messageInput.value.trim();
+        const attachments = this.pendingAttachments;
+        if (!content && attachments.length === 0) return;
+        
+        const model = this.models.get(this.getCurrentConversation()?.model || this.elements.modelSelect.value);
+        if (this.attachments.needsVision(attachments) && !model.vision) {
+            this.showNotification(this.t('attachments.visionUnsupported', { model: model.name }), 'error');
+            return;
+        }
+        if (this.checkBusyElsewhere(this.getCurrentConversation())) return;
+        
+        // Offline, or behind earlier queued messages: go through the outbox to keep order.
+        // Local providers need no connection, so they never queue
+        const provider = this.currentProvider();
+        const queue = provider.requiresNetwork && (!navigator.onLine || this.outboxCount > 0);
+        
+        if (!queue && !(await this.ensureProvider(provider))) {
+            this.showNotification(this.t('connection.notConnected', { provider: provider.name }), 'error');
+            return;
+        }
+        
+        if (!this.getCurrentConversation()) {
+            this.createNewChat();
+        }
+        const conversation = this.getCurrentConversation();
+        
+        const message = {
+            id: this.generateId(),
+            role: 'user',
+            content,
+            timestamp: new Date().toISOString()
+        };
+        if (attachments.length > 0) message.attachments = attachments;
+        if (queue) message.status = 'pending';
+        
+        this.tree.append(conversation, message);
+        conversation.updatedAt = message.timestamp;
+        this.state.stats.totalMessages++;
+        
+        // Provisional title until the model suggests one
+        if (content && !conversation.titleSource && this.titler.isDefaultTitle(conversation.title)) {
+            conversation.title = this.titler.fallbackTitle(content);
+            conversation.titleSource = 'fallback';
+            this.elements.chatTitle.textContent = conversation.title;
+        }
+        
+        this.elements.messageInput.value = '';
+        this.handleInputResize();
+        this.clearAttachments();
+        
+        this.renderMessage(message);
+        this.scrollToBottom(true);
+        this.saveState();
+        
+        if (queue) {
+            await this.queueMessage(conversation, message);
+        } else {
+            await this.generateResponse(conversation);
+        }
+    }
+
+    // Generates a reply to `replyTo` (default: the last message); resolves to true if a reply was stored.
+    // Only one tab at a time replies in a conversation
+    async generateResponse(conversation, options) {
+        const stored = await this.sync.run(conversation.id, () => this.streamReply(conversation, options));
+        if (stored !== TabSync.BUSY) return stored;
+        
+        this.showNotification(this.t('sync.busyElsewhere'), 'warning');
+        return false;
+    }
+
+    async streamReply(conversation, { replyTo } = {}) {
+        const reply = {
+            id: this.generateId(),
+            role: 'assistant',
+            content: '',
+            model: conversation.model,
+            timestamp: new Date().toISOString()
+        };
+        
+        // The reply continues the branch that ends at its parent, even if another branch is on screen
+        const parentId = replyTo || conversation.messages[conversation.messages.length - 1]?.id;
+        const history = { ...conversation, messages: this.tree.pathTo(conversation, parentId) };
+        const onActivePath = conversation.messages.some(msg => msg.id === parentId);
+        const isVisible = () => conversation.id === this.state.currentConversationId;
+        
+        const element = this.renderMessage(reply, {
+            streaming: true,
+            after: parentId,
+            attach: isVisible() && onActivePath
+        });
+        this.scrollToBottom(true);
+        
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+        this.setProcessing(true);
+        
+        const provider = this.providers.forConversation(conversation);
+        let reportedUsage = null;
+        let estimatedInput = 0;
+        let failure = null;
+        
+        try {
+            const { messages, stats } = this.buildContext(history);
+            this.updateChatMeta(conversation, stats);
+            estimatedInput = stats.tokens + this.contextBuilder.estimateTokens(conversation.systemPrompt || '');
+            
+            const modelSettings = this.settingsManager.getModelSettings(this.state.settings, conversation.model);
+            const options = {
+                model: conversation.model,
+                temperature: modelSettings.temperature,
+                max_tokens: modelSettings.maxOutputTokens
+            };
+            
+            const payload = messages.map(msg => msg.attachments
+                ? { role: msg.role, content: this.attachments.toContentParts(msg) }
+                : msg);
+            if (conversation.systemPrompt) {
+                payload.unshift({ role: 'system', content: conversation.systemPrompt });
+            }
+            
+            await this.retry.run(async () => {
+                try {
+                    for await (const chunk of this.streamCompletion(provider, payload, options, signal)) {
+                        if (chunk.usage) {
+                            reportedUsage = UsageTracker.normalize(chunk.usage) || reportedUsage;
+                            continue;
+                        }
+                        reply.content += chunk.text;
+                        this.updateMessageContent(element, reply.content);
+                        this.scrollToBottom();
+                    }
+                } catch (error) {
+                    // Text already on screen can't be taken back, so a stream that broke off isn't retried
+                    if (reply.content) error.retryable = false;
+                    throw error;
+                }
+            }, {
+                signal,
+                onRetry: (retry) => {
+                    console.warn(`⚠️ ${provider.name} request failed (${retry.kind}), retrying in ${Math.round(retry.delay)} ms`);
+                    this.health.reportRetry(retry);
+                }
+            });
+            this.health.reportSuccess();
+        } catch (error) {
+            if (!signal.aborted) {
+                console.error('❌ Response generation failed:', error);
+                failure = error;
+                this.health.reportFailure(error);
+                this.showNotification(this.describeFailure(error, provider), 'error');
+            }
+        } finally {
+            this.abortController = null;
+            this.setProcessing(false);
+        }
+        
+        const stored = Boolean(reply.content);
+        if (stored) {
+            if (signal.aborted) reply.stopped = true;
+            reply.timestamp = new Date().toISOString();
+            reply.usage = reportedUsage || {
+                input: estimatedInput,
+                output: this.contextBuilder.estimateTokens(reply.content),
+                estimated: true
+            };
+            this.recordUsage(reply);
+            this.state.stats.totalMessages++;
+            this.tree.addReply(conversation, parentId, reply);
+            conversation.updatedAt = reply.timestamp;
+            this.finalizeMessage(element, reply);
+        } else {
+            element.remove();
+        }
+        this.markFailed(conversation, parentId, stored ? null : failure);
+        
+        if (isVisible()) {
+            this.refreshMessageActions();
+            this.updateChatMeta(conversation);
+        }
+        this.saveState();
+        this.renderConversationsList();
+        this.updateStatusBar();
+        if (stored) this.updateTitleAndSummary(conversation);
+        
+        return stored;
+    }
+
+    // A user message left without a reply gets a retry button; queued messages stay with the outbox
+    markFailed(conversation, messageId, failure) {
+        const message = conversation.nodes?.[messageId];
+        if (!message || message.role !== 'user' || message.status === 'pending') return;
+        
+        const failed = Boolean(failure) && this.tree.children(conversation, messageId).length === 0;
+        if (failed) {
+            message.status = 'failed';
+        } else if (message.status === 'failed') {
+            delete message.status;
+        } else {
+            return;
+        }
+        
+        const element = this.elements.messagesWrapper.querySelector(`[data-message-id="${messageId}"]`);
+        if (element) {
+            element.classList.toggle('failed', failed);
+            this.finalizeMessage(element, message);
+        }
+    }
+
+    async retryMessage(conversation, message) {
+        if (!conversation || this.state.isProcessing || this.checkBusyElsewhere(conversation)) return;
+        
+        const provider = this.providers.forConversation(conversation);
+        if (!(await this.ensureProvider(provider))) {
+            this.showNotification(this.t('connection.notConnected', { provider: provider.name }), 'error');
+            return;
+        }
+        
+        await this.generateResponse(conversation, { replyTo: message.id });
+    }
+
+    // Offline Outbox
+    async queueMessage(conversation, message) {
+        const queued = await this.storage.enqueue({
+            id: message.id,
+            conversationId: conversation.id,
+            createdAt: message.timestamp
+        });
+        
+        // Nothing would ever send it; the retry button can, once the connection is back
+        if (!queued) {
+            delete message.status;
+            this.elements.messagesWrapper.querySelector(`[data-message-id="${message.id}"]`)?.classList.remove('pending');
+            this.markFailed(conversation, message.id, new Error('Outbox unavailable'));
+            this.saveState();
+            return;
+        }
+        this.outboxCount++;
+        
+        if (navigator.onLine) {
+            this.flushOutbox();
+            return;
+        }
+        
+        this.showNotification(this.t('outbox.queued'), 'info');
+        
+        // Let the service worker wake us up even if the connection returns while we're in the background
+        try {
+            const registration = await navigator.serviceWorker?.ready;
+            await registration?.sync?.register('send-messages');
+        } catch (error) {
+            console.warn('⚠️ Background sync unavailable:', error);
+        }
+    }
+
+    async flushOutbox() {
+        if (this.flushingOutbox || !navigator.onLine) return;
+        this.flushingOutbox = true;
+        clearTimeout(this.outboxTimer);
+        let stalled = false;
+        
+        try {
+            const queue = await this.storage.getQueue();
+            this.outboxCount = queue.length;
+            
+            for (const entry of queue) {
+                const conversation = this.state.conversations.find(c => c.id === entry.conversationId);
+                const message = conversation?.nodes[entry.id];
+                
+                if (message) {
+                    // Keep the rest queued, in order, for the next attempt
+                    stalled = !(await this.ensureProvider(this.providers.forConversation(conversation)));
+                    if (stalled) break;
+                    await this.waitUntilIdle();
+                    stalled = !(await this.generateResponse(conversation, { replyTo: message.id }));
+                    if (stalled) break;
+                    
+                    delete message.status;
+                    this.saveState();
+                    this.elements.messagesWrapper
+                        .querySelector(`[data-message-id="${message.id}"]`)
+                        ?.classList.remove('pending');
+                }
+                
+                await this.storage.dequeue(entry.id);
+                this.outboxCount--;
+            }
+        } catch (error) {
+            console.error('❌ Outbox flush failed:', error);
+            stalled = true;
+        } finally {
+            this.flushingOutbox = false;
+        }
+        
+        if (stalled) {
+            this.scheduleOutboxRetry();
+        } else {
+            this.outboxFailures = 0;
+        }
+    }
+
+    // Tries again by itself, backing off like request retries; coming back online flushes at once
+    scheduleOutboxRetry() {
+        this.outboxFailures = (this.outboxFailures || 0) + 1;
+        const delay = this.retry.delay(this.outboxFailures - 1);
+        console.warn(`⚠️ Outbox stalled, trying again in ${Math.round(delay / 1000)} s`);
+        this.outboxTimer = setTimeout(() => this.flushOutbox(), delay);
+    }
+
+    waitUntilIdle() {
+        return new Promise(resolve => {
+            const check = () => this.state.isProcessing ? setTimeout(check, 250) : resolve();
+            check();
+        });
+    }
+
+    // Yields { text } chunks as they arrive from the provider, and { usage } if it reports it.
+    // Not every provider can abort a request, so each step also races the signal
+    async *streamCompletion(provider, messages, options, signal) {
+        const iterator = provider.stream(messages, options, signal)[Symbol.asyncIterator]();
+        try {
+            while (true) {
+                const { value, done } = await this.abortable(iterator.next(), signal);
+                if (done) break;
+                yield value;
+            }
+        } finally {
+            if (signal.aborted) iterator.return?.();
+        }
+    }
+
+    // One-shot completion for background tasks; counted in usage like any other request
+    async complete(provider, messages, options) {
+        const { text, usage: reported } = await this.retry.run(() => provider.chat(messages, options));
+        
+        const usage = UsageTracker.normalize(reported) || {
+            input: messages.reduce((sum, msg) => sum + this.contextBuilder.estimateTokens(msg.content), 0),
+            output: this.contextBuilder.estimateTokens(text),
+            estimated: true
+        };
+        this.recordUsage({ model: options.model, usage });
+        
+        return text;
+    }
+
+    // Reject as soon as the signal aborts, without waiting for the promise
+    abortable(promise, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(new DOMException('Generation stopped', 'AbortError'));
+            if (signal.aborted) return onAbort();
+            
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    stopGeneration() {
+        if (!this.abortController) return;
+        
+        this.abortController.abort();
+        this.showNotification(this.t('chat.stopped'), 'info');
+    }
+
+    async regenerateResponse() {
+        if (this.state.isProcessing) return;
+        
+        const conversation = this.getCurrentConversation();
+        if (!conversation) return;
+        
+        const last = conversation.messages[conversation.messages.length - 1];
+        if (!last || last.role !== 'assistant' || this.checkBusyElsewhere(conversation)) return;
+        
+        // The previous reply is kept as an alternative branch
+        this.elements.messagesWrapper.querySelector(`[data-message-id="${last.id}"]`)?.remove();
+        
+        if (!(await this.generateResponse(conversation, { replyTo: last.parentId })) &&
+            conversation.id === this.state.currentConversationId) {
+            this.loadConversation(conversation.id);
+        }
+    }
+
+    // Branching
+    editMessage(message, element) {
+        if (this.state.isProcessing || element.querySelector('.message-editor')) return;
+        if (message.status === 'pending') {
+            this.showNotification(this.t('branches.stillPending'), 'warning');
+            return;
+        }
+        
+        const bubble = element.querySelector('.message-bubble');
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+        editor.innerHTML = `
+            <textarea rows="3" aria-label="${this.t('branches.editMessage')}"></textarea>
+            <div class="message-editor-actions">
+                <button type="button" class="secondary-btn" data-action="cancel">${this.t('common.cancel')}</button>
+                <button type="button" class="primary-btn" data-action="send">${this.t('common.send')}</button>
+            </div>
+        `;
+        
+        const textarea = editor.querySelector('textarea');
+        textarea.value = message.content;
+        
+        const close = () => {
+            editor.remove();
+            bubble.style.display = '';
+        };
+        const submit = () => {
+            const content = textarea.value.trim();
+            if (!content || content === message.content) {
+                close();
+                return;
+            }
+            this.resendEdited(message, content);
+        };
+        
+        editor.querySelector('[data-action="cancel"]').addEventListener('click', close);
+        editor.querySelector('[data-action="send"]').addEventListener('click', submit);
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') close();
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) submit();
+        });
+        
+        bubble.style.display = 'none';
+        bubble.after(editor);
+        textarea.focus();
+        textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    }
+
+    // The edited text becomes a sibling of the original, so the old thread stays reachable
+    async resendEdited(message, content) {
+        const conversation = this.getCurrentConversation();
+        if (!conversation || this.state.isProcessing || this.checkBusyElsewhere(conversation)) return;
+        
+        const provider = this.providers.forConversation(conversation);
+        if ((provider.requiresNetwork && !navigator.onLine) || !(await this.ensureProvider(provider))) {
+            this.showNotification(this.t('branches.offline'), 'error');
+            return;
+        }
+        
+        const edited = this.tree.fork(conversation, message.id, content);
+        conversation.updatedAt = edited.timestamp;
+        this.saveState();
+        this.loadConversation(conversation.id);
+        
+        await this.generateResponse(conversation);
+    }
+
+    switchBranch(messageId, offset) {
+        const conversation = this.getCurrentConversation();
+        if (!conversation || this.state.isProcessing) return;
+        
+        const siblings = this.tree.siblings(conversation, messageId);
+        const target = siblings[siblings.findIndex(msg => msg.id === messageId) + offset];
+        if (!target) return;
+        
+        this.tree.switchTo(conversation, target.id);
+        this.saveState();
+        this.loadConversation(conversation.id);
+    }
+
+    createBranchNavigator(conversation, message) {
+        const siblings = this.tree.siblings(conversation, message.id);
+        const position = siblings.findIndex(msg => msg.id === message.id);
+        
+        const nav = document.createElement('div');
+        nav.className = 'branch-nav';
+        nav.innerHTML = `
+            <button type="button" aria-label="${this.t('branches.previous')}"><i class="fas fa-chevron-left"></i></button>
+            <span>${position + 1} / ${siblings.length}</span>
+            <button type="button" aria-label="${this.t('branches.next')}"><i class="fas fa-chevron-right"></i></button>
+        `;
+        
+        const [previous, next] = nav.querySelectorAll('button');
+        previous.disabled = position === 0;
+        next.disabled = position === siblings.length - 1;
+        previous.addEventListener('click', () => this.switchBranch(message.id, -1));
+        next.addEventListener('click', () => this.switchBranch(message.id, 1));
+        
+        return nav;
+    }
+
+    setProcessing(isProcessing) {
+        this.state.isProcessing = isProcessing;
+        
+        this.elements.sendBtn.disabled = isProcessing;
+        this.elements.sendBtn.style.display = isProcessing ? 'none' : '';
+        this.elements.stopBtn.style.display = isProcessing ? '' : 'none';
+    }
+
+    // Titles & Summaries
+    async updateTitleAndSummary(conversation) {
+        const ready = this.providers.isReady(this.providers.forConversation(conversation).id);
+        if (!this.state.settings.autoTitle || !ready || this.titling.has(conversation.id)) return;
+        if (!this.titler.needsTitle(conversation) && !this.titler.needsSummary(conversation)) return;
+        
+        this.titling.add(conversation.id);
+        try {
+            const { title, summary } = await this.titler.generate(conversation);
+            
+            // The user may have renamed it while we were waiting
+            if (title && this.titler.needsTitle(conversation)) {
+                conversation.title = title;
+                conversation.titleSource = 'auto';
+            }
+            if (summary) {
+                conversation.summary = summary;
+                conversation.summaryMessageCount = conversation.messages.length;
+            }
+            
+            this.saveState();
+            this.renderConversationsList();
+            if (conversation.id === this.state.currentConversationId) {
+                this.elements.chatTitle.textContent = conversation.title;
+            }
+        } catch (error) {
+            console.warn('⚠️ Automatic title failed:', error);
+        } finally {
+            this.titling.delete(conversation.id);
+        }
+    }
+
+    editTitle() {
+        const conversation = this.getCurrentConversation();
+        const heading = this.elements.chatTitle;
+        if (!conversation || heading.querySelector('input')) return;
+        
+        const input = document.createElement('input');
+        input.className = 'chat-title-input';
+        input.value = conversation.title;
+        input.maxLength = 120;
+        input.setAttribute('aria-label', this.t('titles.inputLabel'));
+        
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            
+            const title = input.value.trim();
+            if (save && title && title !== conversation.title) {
+                this.renameConversation(conversation, title);
+            }
+            heading.textContent = conversation.title;
+        };
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+        
+        heading.textContent = '';
+        heading.appendChild(input);
+        input.focus();
+        input.select();
+    }
+
+    renameConversation(conversation, title) {
+        conversation.title = title;
+        conversation.titleSource = 'manual';
+        if (conversation.id === this.state.currentConversationId) {
+            this.elements.chatTitle.textContent = title;
+        }
+        
+        this.saveState();
+        this.renderConversationsList();
+        this.showNotification(this.t('titles.renamed'), 'success');
+    }
+
+    // Usage
+    recordUsage(reply) {
+        const stats = this.state.stats;
+        this.usage.record(stats, { model: reply.model, ...reply.usage });
+        
+        const level = this.usage.checkBudget(stats, this.state.settings.monthlyBudget);
+        if (level) {
+            const spent = this.formatCost(this.usage.monthToDate(stats));
+            const budget = this.formatCost(this.state.settings.monthlyBudget);
+            this.showNotification(
+                this.t(level === 'exceeded' ? 'usage.budgetExceeded' : 'usage.budgetWarning', { spent, budget }),
+                level === 'exceeded' ? 'error' : 'warning'
+            );
+        }
+    }
+
+    formatCost(cost) {
+        return UsageTracker.formatCost(cost, this.i18n.locale);
+    }
+
+    showUsageDashboard() {
+        const days = CONFIG.USAGE.CHART_DAYS;
+        const { series, models, totals } = this.usage.summarize(this.state.stats, { days });
+        const budget = this.state.settings.monthlyBudget;
+        const monthCost = this.usage.monthToDate(this.state.stats);
+        
+        const container = document.createElement('div');
+        container.className = 'usage-dashboard';
+        container.innerHTML = `
+            <div class="usage-cards">
+                <div class="usage-card">
+                    <span class="usage-card-label">${this.t('usage.tokensInDays', { count: days })}</span>
+                    <span class="usage-card-value">${this.i18n.formatNumber(totals.tokens)}</span>
+                </div>
+                <div class="usage-card">
+                    <span class="usage-card-label">${this.t('usage.requests')}</span>
+                    <span class="usage-card-value">${this.i18n.formatNumber(totals.requests)}</span>
+                </div>
+                <div class="usage-card">
+                    <span class="usage-card-label">${this.t('usage.monthCost')}</span>
+                    <span class="usage-card-value">${this.formatCost(monthCost)}</span>
+                    ${budget ? `<span class="usage-card-label">${this.t('usage.ofBudget', { budget: this.formatCost(budget) })}</span>` : ''}
+                </div>
+            </div>
+            <h3 class="settings-section-title">${this.t('usage.perDay')}</h3>
+            <div class="usage-chart"></div>
+            <h3 class="settings-section-title">${this.t('usage.perModel')}</h3>
+            <table class="usage-table">
+                <thead>
+                    <tr><th>${this.t('usage.columns.model')}</th><th>${this.t('usage.requests')}</th><th>Input</th><th>Output</th><th>${this.t('usage.columns.cost')}</th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <h3 class="settings-section-title">${this.t('usage.topConversations')}</h3>
+            <table class="usage-table usage-conversations">
+                <tbody></tbody>
+            </table>
+            <p class="settings-description">${this.t('usage.disclaimer')}</p>
+        `;
+        
+        container.querySelector('.usage-chart').appendChild(this.renderUsageChart(series));
+        
+        const modelRows = container.querySelector('.usage-table tbody');
+        if (models.length === 0) {
+            modelRows.innerHTML = `<tr><td colspan="5" class="usage-empty">${this.t('usage.empty')}</td></tr>`;
+        }
+        models.forEach(model => {
+            const row = document.createElement('tr');
+            [
+                model.name,
+                this.i18n.formatNumber(model.requests),
+                this.i18n.formatNumber(model.input),
+                this.i18n.formatNumber(model.output),
+                this.formatCost(model.priced ? model.cost : null)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            modelRows.appendChild(row);
+        });
+        
+        const modal = this.openModal(this.t('usage.title'), container, { className: 'usage-modal' });
+        const conversationRows = container.querySelector('.usage-conversations tbody');
+        this.state.conversations
+            .map(conv => ({ conv, usage: this.usage.conversationTotals(conv) }))
+            .filter(({ usage }) => usage.input + usage.output > 0)
+            .sort((a, b) => b.usage.cost - a.usage.cost || (b.usage.input + b.usage.output) - (a.usage.input + a.usage.output))
+            .slice(0, 5)
+            .forEach(({ conv, usage }) => {
+                const row = document.createElement('tr');
+                row.innerHTML = '<td><button type="button" class="usage-link"></button></td><td></td><td></td>';
+                row.querySelector('.usage-link').textContent = conv.title;
+                row.children[1].textContent = this.t('usage.tokens', { count: usage.input + usage.output });
+                row.children[2].textContent = this.formatCost(usage.cost);
+                row.querySelector('.usage-link').addEventListener('click', () => {
+                    modal.close();
+                    this.loadConversation(conv.id);
+                });
+                conversationRows.appendChild(row);
+            });
+    }
+
+    // Plain SVG bar chart, one bar per day
+    renderUsageChart(series) {
+        const width = 600;
+        const height = 140;
+        const gap = 2;
+        const barWidth = width / series.length - gap;
+        const max = Math.max(...series.map(point => point.tokens), 1);
+        
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', this.t('usage.chartLabel'));
+        
+        series.forEach((point, index) => {
+            const barHeight = point.tokens ? Math.max(2, (point.tokens / max) * height) : 0;
+            const bar = document.createElementNS(svgNS, 'rect');
+            bar.setAttribute('x', index * (barWidth + gap));
+            bar.setAttribute('y', height - barHeight);
+            bar.setAttribute('width', barWidth);
+            bar.setAttribute('height', barHeight);
+            bar.setAttribute('rx', 2);
+            
+            const title = document.createElementNS(svgNS, 'title');
+            const date = this.i18n.formatDate(`${point.day}T00:00:00`, { day: 'numeric', month: 'short' });
+            title.textContent = `${date}: ${this.t('usage.tokens', { count: point.tokens })}, ${this.formatCost(point.cost)}`;
+            bar.appendChild(title);
+            svg.appendChild(bar);
+        });
+        
+        const wrapper = document.createElement('div');
+        const labels = document.createElement('div');
+        labels.className = 'usage-chart-labels';
+        [series[0], series[series.length - 1]].forEach(point => {
+            const label = document.createElement('span');
+            label.textContent = this.i18n.formatDate(`${point.day}T00:00:00`, { day: 'numeric', month: 'short' });
+            labels.appendChild(label);
+        });
+        
+        wrapper.append(svg, labels);
+        return wrapper;
+    }
+
+    // System Prompts & Templates
+    createSystemPromptButton() {
+        const actions = document.querySelector('.chat-actions');
+        if (!actions) return;
+        
+        const button = document.createElement('button');
+        button.className = 'icon-btn system-prompt-btn';
+        button.id = 'systemPromptBtn';
+        button.dataset.i18nAttr = 'aria-label:systemPrompt.title;title:systemPrompt.title';
+        button.setAttribute('aria-label', this.t('systemPrompt.title'));
+        button.title = this.t('systemPrompt.title');
+        button.innerHTML = '<i class="fas fa-scroll"></i>';
+        button.addEventListener('click', () => this.showSystemPromptDialog());
+        
+        actions.prepend(button);
+        this.elements.systemPromptBtn = button;
+    }
+
+    updateSystemPromptButton(conversation = this.getCurrentConversation()) {
+        this.elements.systemPromptBtn?.classList.toggle('active', Boolean(conversation?.systemPrompt));
+    }
+
+    showSystemPromptDialog() {
+        const conversation = this.getCurrentConversation();
+        const systemTemplates = this.templates.list('system');
+        
+        const form = document.createElement('form');
+        form.className = 'settings-form';
+        form.innerHTML = `
+            <label class="settings-field settings-field-block">
+                <span class="settings-label"><span class="settings-label-text">${this.t('systemPrompt.loadTemplate')}</span></span>
+                <select class="settings-input" name="template">
+                    <option value="">${this.t(systemTemplates.length ? 'systemPrompt.chooseTemplate' : 'systemPrompt.noTemplates')}</option>
+                </select>
+            </label>
+            <label class="settings-field settings-field-block">
+                <span class="settings-label"><span class="settings-label-text">${this.t('systemPrompt.content')}</span></span>
+                <textarea class="settings-input template-content" name="content" rows="8"
+                    placeholder="${this.t('systemPrompt.placeholder')}"></textarea>
+                <span class="settings-description">${this.t('systemPrompt.description')}</span>
+            </label>
+            <div class="settings-footer">
+                <button type="button" class="secondary-btn" data-action="save-template"><i class="fas fa-bookmark"></i> ${this.t('systemPrompt.saveAsTemplate')}</button>
+                <button type="submit" class="primary-btn"><i class="fas fa-check"></i> ${this.t('common.apply')}</button>
+            </div>
+        `;
+        
+        const select = form.elements.template;
+        const textarea = form.elements.content;
+        systemTemplates.forEach(template => select.add(new Option(template.name, template.id)));
+        select.disabled = systemTemplates.length === 0;
+        textarea.value = conversation?.systemPrompt || '';
+        
+        const modal = this.openModal(this.t('systemPrompt.title'), form);
+        
+        select.addEventListener('change', () => {
+            const template = this.templates.get(select.value);
+            if (!template) return;
+            this.fillTemplate(template, (content) => { textarea.value = content; });
+            select.value = '';
+        });
+        form.querySelector('[data-action="save-template"]').addEventListener('click', () => {
+            modal.close();
+            this.showTemplateEditor({ type: 'system', content: textarea.value });
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            modal.close();
+            this.setSystemPrompt(textarea.value);
+        });
+    }
+
+    setSystemPrompt(content) {
+        if (!this.getCurrentConversation()) {
+            this.createNewChat();
+        }
+        const conversation = this.getCurrentConversation();
+        
+        const systemPrompt = content.trim();
+        if (systemPrompt === (conversation.systemPrompt || '')) return;
+        
+        if (systemPrompt) {
+            conversation.systemPrompt = systemPrompt;
+        } else {
+            delete conversation.systemPrompt;
+        }
+        conversation.updatedAt = new Date().toISOString();
+        
+        this.saveState();
+        this.updateSystemPromptButton(conversation);
+        this.updateChatMeta(conversation);
+        this.showNotification(this.t(systemPrompt ? 'systemPrompt.updated' : 'systemPrompt.removed'), 'success');
+    }
+
+    showTemplateLibrary() {
+        const container = document.createElement('div');
+        container.className = 'template-library';
+        container.innerHTML = `
+            <div class="template-toolbar">
+                <button type="button" class="primary-btn" data-action="new"><i class="fas fa-plus"></i> ${this.t('common.new')}</button>
+                <button type="button" class="secondary-btn" data-action="import"><i class="fas fa-upload"></i> ${this.t('common.import')}</button>
+                <button type="button" class="secondary-btn" data-action="export"><i class="fas fa-download"></i> ${this.t('common.export')}</button>
+            </div>
+            <div class="template-list"></div>
+        `;
+        
+        const modal = this.openModal(this.t('templates.library'), container, { className: 'template-modal' });
+        const list = container.querySelector('.template-list');
+        
+        const render = () => {
+            list.innerHTML = '';
+            const templates = this.templates.list();
+            
+            if (templates.length === 0) {
+                list.innerHTML = `<p class="template-empty">${this.t('templates.empty', { example: '<code>{{variabile}}</code>' })}</p>`;
+                return;
+            }
+            
+            templates.forEach(template => {
+                const item = document.createElement('div');
+                item.className = 'template-item';
+                item.innerHTML = `
+                    <div class="template-info">
+                        <div class="template-name"></div>
+                        <div class="template-meta"></div>
+                        <div class="template-preview"></div>
+                    </div>
+                    <div class="template-actions">
+                        <button type="button" class="message-action" data-action="use"><i class="fas fa-play"></i> ${this.t('templates.use')}</button>
+                        <button type="button" class="message-action" data-action="edit" aria-label="${this.t('common.edit')}"><i class="fas fa-pen"></i></button>
+                        <button type="button" class="message-action" data-action="delete" aria-label="${this.t('common.delete')}"><i class="fas fa-trash"></i></button>
+                    </div>
+                `;
+                
+                const variables = this.templates.variablesOf(template.content);
+                item.querySelector('.template-name').textContent = template.name;
+                item.querySelector('.template-meta').textContent = [
+                    this.t(`templates.types.${template.type}`),
+                    ...(variables.length ? [this.t('templates.variables', { names: variables.join(', ') })] : [])
+                ].join(' • ');
+                item.querySelector('.template-preview').textContent = template.content;
+                
+                item.querySelector('[data-action="use"]').addEventListener('click', () => {
+                    modal.close();
+                    this.applyTemplate(template);
+                });
+                item.querySelector('[data-action="edit"]').addEventListener('click', () => {
+                    modal.close();
+                    this.showTemplateEditor(template, () => this.showTemplateLibrary());
+                });
+                item.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+                    if (!confirm(this.t('templates.confirmDelete', { name: template.name }))) return;
+                    await this.templates.remove(template.id);
+                    render();
+                });
+                
+                list.appendChild(item);
+            });
+        };
+        
+        container.querySelector('[data-action="new"]').addEventListener('click', () => {
+            modal.close();
+            this.showTemplateEditor({ type: 'prompt' }, () => this.showTemplateLibrary());
+        });
+        container.querySelector('[data-action="import"]').addEventListener('click', () => {
+            modal.close();
+            this.importConversations();
+        });
+        container.querySelector('[data-action="export"]').addEventListener('click', () => this.exportTemplates());
+        
+        render();
+    }
+
+    showTemplateEditor(template = { type: 'prompt' }, onSaved) {
+        const form = document.createElement('form');
+        form.className = 'settings-form';
+        form.innerHTML = `
+            <label class="settings-field settings-field-block">
+                <span class="settings-label"><span class="settings-label-text">${this.t('templates.name')}</span></span>
+                <input class="settings-input" name="name" required placeholder="${this.t('templates.namePlaceholder')}">
+            </label>
+            <label class="settings-field settings-field-block">
+                <span class="settings-label"><span class="settings-label-text">${this.t('templates.type')}</span></span>
+                <select class="settings-input" name="type"></select>
+            </label>
+            <label class="settings-field settings-field-block">
+                <span class="settings-label"><span class="settings-label-text">${this.t('templates.content')}</span></span>
+                <textarea class="settings-input template-content" name="content" rows="8" required
+                    placeholder="${this.t('templates.contentPlaceholder')}"></textarea>
+                <span class="settings-description">${this.t('templates.contentDescription')}</span>
+            </label>
+            <p class="settings-error" role="alert"></p>
+            <div class="settings-footer">
+                <button type="submit" class="primary-btn"><i class="fas fa-check"></i> ${this.t('common.save')}</button>
+            </div>
+        `;
+        
+        TemplateLibrary.TYPES.forEach(type => {
+            form.elements.type.add(new Option(this.t(`templates.types.${type}`), type));
+        });
+        form.elements.name.value = template.name || '';
+        form.elements.type.value = template.type;
+        form.elements.content.value = template.content || '';
+        
+        const modal = this.openModal(this.t(template.id ? 'templates.edit' : 'templates.new'), form);
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = new FormData(form);
+            
+            try {
+                await this.templates.save({
+                    id: template.id,
+                    name: data.get('name'),
+                    type: data.get('type'),
+                    content: data.get('content')
+                });
+            } catch (error) {
+                form.querySelector('.settings-error').textContent = error.message;
+                return;
+            }
+            
+            modal.close();
+            this.showNotification(this.t('templates.saved'), 'success');
+            onSaved?.();
+        });
+    }
+
+    // Ask for the template's variables, if any, then hand back the filled-in text
+    fillTemplate(template, onFilled) {
+        const variables = this.templates.variablesOf(template.content);
+        if (variables.length === 0) {
+            onFilled(template.content);
+            return;
+        }
+        
+        const form = document.createElement('form');
+        form.className = 'settings-form';
+        // Variable name -> textarea; form.elements would mistake names like 'length' or 'item' for its own members
+        const inputs = new Map();
+        variables.forEach(name => {
+            const field = document.createElement('label');
+            field.className = 'settings-field settings-field-block';
+            field.innerHTML = `
+                <span class="settings-label"><span class="settings-label-text"></span></span>
+                <textarea class="settings-input" rows="2" required></textarea>
+            `;
+            field.querySelector('.settings-label-text').textContent = name;
+            inputs.set(name, field.querySelector('textarea'));
+            form.appendChild(field);
+        });
+        
+        const footer = document.createElement('div');
+        footer.className = 'settings-footer';
+        footer.innerHTML = `<button type="submit" class="primary-btn"><i class="fas fa-check"></i> ${this.t('templates.use')}</button>`;
+        form.appendChild(footer);
+        
+        const modal = this.openModal(template.name, form);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const values = Object.fromEntries(variables.map(name => [name, inputs.get(name).value]));
+            modal.close();
+            onFilled(this.templates.fill(template.content, values));
+        });
+    }
+
+    // System templates become the conversation's system prompt; message templates go into the composer
+    applyTemplate(template) {
+        this.fillTemplate(template, (content) => {
+            if (template.type === 'system') {
+                this.setSystemPrompt(content);
+                return;
+            }
+            
+            if (!this.getCurrentConversation()) {
+                this.createNewChat();
+            }
+            this.elements.messageInput.value = content;
+            this.handleInputResize();
+            this.elements.messageInput.focus();
+        });
+    }
+
+    async exportTemplates() {
+        const templates = this.templates.list();
+        if (templates.length === 0) {
+            this.showNotification(this.t('templates.nothingToExport'), 'warning');
+            return;
+        }
+        
+        const date = new Date().toISOString().slice(0, 10);
+        if (!await this.downloadJSON(`claude-ai-suite-prompt-${date}.json`, this.templates.serialize(templates))) return;
+        this.showNotification(this.t('templates.exported', { count: templates.length }), 'success');
+    }
+
+    // Attachments
+    createAttachmentControls() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.multiple = true;
+        input.hidden = true;
+        input.accept = [
+            ...AttachmentManager.IMAGE_TYPES,
+            'application/pdf',
+            'text/*',
+            ...AttachmentManager.TEXT_EXTENSIONS.map(ext => `.${ext}`)
+        ].join(',');
+        input.addEventListener('change', () => {
+            this.addAttachments([...input.files]);
+            input.value = '';
+        });
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'icon-btn attach-btn';
+        button.id = 'attachBtn';
+        button.dataset.i18nAttr = 'aria-label:attachments.attach;title:attachments.attach';
+        button.setAttribute('aria-label', this.t('attachments.attach'));
+        button.title = this.t('attachments.attach');
+        button.innerHTML = '<i class="fas fa-paperclip"></i>';
+        button.addEventListener('click', () => input.click());
+        
+        const previews = document.createElement('div');
+        previews.className = 'attachment-previews';
+        previews.hidden = true;
+        
+        this.elements.sendBtn?.parentNode.prepend(button, input);
+        const controls = this.elements.messageInput?.closest('.input-controls') || this.elements.messageInput;
+        controls?.before(previews);
+        
+        this.elements.attachBtn = button;
+        this.elements.attachmentPreviews = previews;
+    }
+
+    async addAttachments(files) {
+        const room = CONFIG.ATTACHMENTS.MAX_FILES - this.pendingAttachments.length;
+        if (files.length > room) {
+            this.showNotification(this.t('attachments.tooMany', { count: CONFIG.ATTACHMENTS.MAX_FILES }), 'warning');
+            files = files.slice(0, Math.max(room, 0));
+        }
+        
+        for (const file of files) {
+            try {
+                this.pendingAttachments.push(await this.attachments.read(file));
+            } catch (error) {
+                console.error('❌ Attachment failed:', error);
+                this.showNotification(error.message, 'error');
+            }
+        }
+        
+        const model = this.models.get(this.elements.modelSelect.value);
+        if (this.attachments.needsVision(this.pendingAttachments) && !model.vision) {
+            this.showNotification(this.t('attachments.chooseVisionModel', { model: model.name }), 'warning');
+        }
+        
+        this.renderAttachmentPreviews();
+    }
+
+    removeAttachment(id) {
+        this.pendingAttachments = this.pendingAttachments.filter(attachment => attachment.id !== id);
+        this.renderAttachmentPreviews();
+    }
+
+    clearAttachments() {
+        this.pendingAttachments = [];
+        this.renderAttachmentPreviews();
+    }
+
+    renderAttachmentPreviews() {
+        const container = this.elements.attachmentPreviews;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        container.hidden = this.pendingAttachments.length === 0;
+        
+        this.pendingAttachments.forEach(attachment => {
+            const chip = this.createAttachmentChip(attachment);
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'attachment-remove';
+            remove.setAttribute('aria-label', this.t('attachments.remove', { name: attachment.name }));
+            remove.innerHTML = '<i class="fas fa-times"></i>';
+            remove.addEventListener('click', () => this.removeAttachment(attachment.id));
+            chip.appendChild(remove);
+            container.appendChild(chip);
+        });
+    }
+
+    renderMessageAttachments(attachments) {
+        const container = document.createElement('div');
+        container.className = 'message-attachments';
+        attachments.forEach(attachment => {
+            const chip = this.createAttachmentChip(attachment);
+            chip.addEventListener('click', () => this.openAttachment(attachment));
+            container.appendChild(chip);
+        });
+        return container;
+    }
+
+    createAttachmentChip(attachment) {
+        const chip = document.createElement('div');
+        chip.className = `attachment-chip ${attachment.kind}`;
+        chip.title = attachment.name;
+        
+        if (attachment.kind === 'image') {
+            const img = document.createElement('img');
+            img.src = this.attachments.toDataUrl(attachment);
+            img.alt = attachment.name;
+            chip.appendChild(img);
+        } else {
+            const icon = attachment.kind === 'pdf' ? 'fa-file-pdf' : 'fa-file-code';
+            chip.innerHTML = `<i class="fas ${icon}"></i>`;
+            
+            const label = document.createElement('span');
+            label.className = 'attachment-name';
+            label.textContent = `${attachment.name} • ${this.attachments.formatSize(attachment.size)}`;
+            chip.appendChild(label);
+        }
+        return chip;
+    }
+
+    openAttachment(attachment) {
+        if (attachment.kind === 'text') {
+            this.downloadFile(attachment.name, attachment.text, AttachmentManager.blobType(attachment));
+            return;
+        }
+        
+        const bytes = Uint8Array.from(atob(attachment.data), char => char.charCodeAt(0));
+        const url = URL.createObjectURL(new Blob([bytes], { type: AttachmentManager.blobType(attachment) }));
+        window.open(url, '_blank', 'noopener');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    createStopButton() {
+        const button = document.createElement('button');
+        button.className = 'stop-btn';
+        button.id = 'stopBtn';
+        button.type = 'button';
+        button.style.display = 'none';
+        button.dataset.i18nAttr = 'aria-label:chat.stop';
+        button.setAttribute('aria-label', this.t('chat.stop'));
+        button.innerHTML = `<i class="fas fa-stop"></i><span data-i18n="chat.stopShort">${this.t('chat.stopShort')}</span>`;
+        
+        this.elements.sendBtn?.parentNode.insertBefore(button, this.elements.sendBtn);
+        this.elements.stopBtn = button;
+    }
+
+    // Message Rendering
+    renderMessage(message, { animate = true, streaming = false, after = null, attach = true } = {}) {
+        const element = document.createElement('div');
+        element.className = `message ${message.role}`;
+        if (message.status === 'pending') element.classList.add('pending');
+        if (message.status === 'failed') element.classList.add('failed');
+        element.dataset.messageId = message.id;
+        if (!animate) element.style.animation = 'none';
+        
+        element.innerHTML = `
+            <div class="message-avatar">
+                ${message.role === 'user' ? '<i class="fas fa-user"></i>' : '<i class="fas fa-robot"></i>'}
+            </div>
+            <div class="message-content">
+                <div class="message-bubble"></div>
+                <div class="message-actions"></div>
+            </div>
+        `;
+        
+        if (message.attachments?.length) {
+            element.querySelector('.message-bubble').before(this.renderMessageAttachments(message.attachments));
+        }
+        
+        const bubble = element.querySelector('.message-bubble');
+        if (streaming) {
+            bubble.classList.add('streaming');
+            bubble.innerHTML = '<div class="typing-indicator"><span class="typing-dot"></span><span class="typing-dot"></span><span class="typing-dot"></span></div>';
+        } else {
+            this.finalizeMessage(element, message);
+        }
+        
+        if (attach) {
+            const previous = after && this.elements.messagesWrapper.querySelector(`[data-message-id="${after}"]`);
+            if (previous) {
+                previous.after(element);
+            } else {
+                this.elements.messagesWrapper.appendChild(element);
+            }
+        }
+        return element;
+    }
+
+    // Re-render at most once per frame while tokens stream in
+    updateMessageContent(element, content) {
+        element.pendingContent = content;
+        if (element.renderScheduled) return;
+        
+        element.renderScheduled = true;
+        requestAnimationFrame(() => {
+            element.renderScheduled = false;
+            if (!element.querySelector('.message-bubble.streaming')) return;
+            this.setBubbleContent(element, element.pendingContent);
+        });
+    }
+
+    // Assistant replies are Markdown; user messages stay verbatim
+    setBubbleContent(element, content) {
+        const bubble = element.querySelector('.message-bubble');
+        if (element.classList.contains('assistant')) {
+            bubble.classList.add('markdown');
+            bubble.innerHTML = this.markdown.render(content);
+        } else {
+            bubble.textContent = content;
+        }
+    }
+
+    finalizeMessage(element, message) {
+        const bubble = element.querySelector('.message-bubble');
+        bubble.classList.remove('streaming');
+        this.setBubbleContent(element, message.content);
+        
+        if (message.stopped) {
+            const note = document.createElement('div');
+            note.className = 'message-stopped';
+            note.innerHTML = `<i class="fas fa-circle-stop"></i> ${this.t('chat.replyStopped')}`;
+            bubble.appendChild(note);
+        }
+        
+        if (message.role === 'user') {
+            const badge = document.createElement('div');
+            badge.className = 'message-pending';
+            badge.innerHTML = `<i class="fas fa-clock"></i> ${this.t('outbox.pending')}`;
+            bubble.appendChild(badge);
+        }
+        
+        if (message.status === 'failed') {
+            const badge = document.createElement('div');
+            badge.className = 'message-failed';
+            badge.innerHTML = `<i class="fas fa-triangle-exclamation"></i> ${this.t('health.noReply')}`;
+            bubble.appendChild(badge);
+        }
+        
+        const actions = element.querySelector('.message-actions');
+        actions.innerHTML = '';
+        if (message.status === 'failed') {
+            const retry = this.createMessageAction('fa-rotate-right', this.t('health.retry'), () => {
+                this.retryMessage(this.getCurrentConversation(), message);
+            });
+            retry.classList.add('retry');
+            actions.appendChild(retry);
+        }
+        actions.appendChild(this.createMessageAction('fa-copy', this.t('common.copy'), () => this.copyMessage(message)));
+        if (message.role === 'user') {
+            actions.appendChild(this.createMessageAction('fa-pen', this.t('common.edit'), () => this.editMessage(message, element)));
+        }
+        
+        if (message.usage) {
+            const usage = document.createElement('span');
+            usage.className = 'message-usage';
+            usage.textContent = this.t('usage.tokens', { count: message.usage.input + message.usage.output });
+            usage.title = this.t(message.usage.estimated ? 'usage.breakdownEstimated' : 'usage.breakdown', message.usage);
+            actions.appendChild(usage);
+        }
+        
+        if (message.timestamp) {
+            const time = document.createElement('time');
+            time.className = 'message-time';
+            time.dateTime = message.timestamp;
+            time.textContent = this.i18n.formatTime(message.timestamp);
+            actions.appendChild(time);
+        }
+    }
+
+    async handleCodeAction(e) {
+        const action = e.target.closest('[data-code-action]');
+        if (!action) return;
+        e.preventDefault();
+        
+        const block = action.closest('.code-block');
+        const code = block.querySelector('code').textContent;
+        const language = block.dataset.language;
+        
+        if (action.dataset.codeAction === 'download') {
+            this.downloadFile(this.markdown.fileNameFor(language), code, 'text/plain');
+            return;
+        }
+        
+        try {
+            await navigator.clipboard.writeText(code);
+            action.innerHTML = `<i class="fas fa-check"></i> ${this.t('common.copied')}`;
+            setTimeout(() => { action.innerHTML = `<i class="fas fa-copy"></i> ${this.t('common.copy')}`; }, 2000);
+        } catch (error) {
+            console.error('❌ Copy failed:', error);
+            this.showNotification(this.t('markdown.copyFailed'), 'error');
+        }
+    }
+
+    createMessageAction(icon, label, handler) {
+        const button = document.createElement('button');
+        button.className = 'message-action';
+        button.type = 'button';
+        button.innerHTML = `<i class="fas ${icon}"></i> ${label}`;
+        button.addEventListener('click', handler);
+        return button;
+    }
+
+    // Branch navigators go on every message with alternatives; only the last assistant reply can be regenerated
+    refreshMessageActions() {
+        const wrapper = this.elements.messagesWrapper;
+        wrapper.querySelectorAll('.message-action.regenerate, .branch-nav').forEach(el => el.remove());
+        
+        const conversation = this.getCurrentConversation();
+        if (!conversation) return;
+        
+        conversation.messages.forEach(msg => {
+            if (this.tree.siblings(conversation, msg.id).length < 2) return;
+            wrapper.querySelector(`[data-message-id="${msg.id}"] .message-actions`)
+                ?.prepend(this.createBranchNavigator(conversation, msg));
+        });
+        
+        const last = conversation.messages[conversation.messages.length - 1];
+        if (!last || last.role !== 'assistant') return;
+        
+        const actions = wrapper.querySelector(`[data-message-id="${last.id}"] .message-actions`);
+        if (!actions) return;
+        
+        const button = this.createMessageAction('fa-rotate-right', this.t('chat.regenerate'), () => this.regenerateResponse());
+        button.classList.add('regenerate');
+        actions.appendChild(button);
+    }
+
+    async copyMessage(message) {
+        try {
+            await navigator.clipboard.writeText(message.content);
+            this.showNotification(this.t('chat.copied'), 'success');
+        } catch (error) {
+            console.error('❌ Copy failed:', error);
+            this.showNotification(this.t('chat.copyFailed'), 'error');
+        }
+    }
+
+    buildContext(conversation) {
+        const { maxOutputTokens } = this.settingsManager.getModelSettings(this.state.settings, conversation.model);
+        const systemTokens = this.contextBuilder.estimateTokens(conversation.systemPrompt || '');
+        return this.contextBuilder.build(conversation, {
+            messageWindow: this.state.settings.contextLength,
+            modelId: conversation.model,
+            reservedTokens: maxOutputTokens + systemTokens
+        });
+    }
+
+    // Shows how much of the history goes out with the next request
+    updateChatMeta(conversation, stats = this.buildContext(conversation).stats) {
+        if (conversation.id !== this.state.currentConversationId) return;
+        
+        const parts = [this.t('chat.messageCount', { count: conversation.messages.length })];
+        if (stats.total > 0) {
+            let context = this.t('chat.context', { included: stats.included, total: stats.total, tokens: stats.tokens });
+            if (stats.summarized) context += ` • ${this.t('chat.summaryIncluded')}`;
+            parts.push(context);
+        }
+        
+        const usage = this.usage.conversationTotals(conversation);
+        const used = usage.input + usage.output;
+        if (used > 0) {
+            parts.push(`${usage.estimated ? '~' : ''}${this.t('chat.tokensUsed', { count: used })}`);
+        }
+        
+        this.elements.chatMeta.textContent = parts.join(' • ');
+        this.elements.chatMeta.title = this.t('chat.contextBudget', { count: stats.budget }) +
+            (used > 0 ? ` • ${this.t('chat.estimatedCost', { cost: this.formatCost(usage.cost) })}` : '');
+    }
+
+    // Keep following the reply unless the user scrolled up to read
+    scrollToBottom(force = false) {
+        const area = this.elements.messagesArea;
+        const distance = area.scrollHeight - area.scrollTop - area.clientHeight;
+        if (force || distance < 120) {
+            area.scrollTop = area.scrollHeight;
+        }
+    }
+
+    highlightMessage(messageId) {
+        const element = this.elements.messagesWrapper.querySelector(`[data-message-id="${messageId}"]`);
+        if (!element) return;
+        
+        element.scrollIntoView({ block: 'center' });
+        element.classList.add('highlighted');
+        setTimeout(() => element.classList.remove('highlighted'), 2000);
+    }
+
+    // Search
+    handleSearch(query) {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.runSearch(query), 150);
+    }
+
+    handleSearchKeydown(e) {
+        if (e.key === 'Escape') {
+            this.elements.searchInput.value = '';
+            this.closeSearch();
+            this.elements.searchInput.blur();
+        } else if (e.key === 'Enter') {
+            this.searchPanel?.querySelector('.search-result')?.click();
+        }
+    }
+
+    runSearch(query = this.elements.searchInput.value) {
+        if (!query.trim()) {
+            this.closeSearch();
+            return;
+        }
+        
+        // Index lazily: only conversations changed since the last search are re-indexed
+        this.searchIndex.sync(this.state.conversations);
+        
+        const byId = new Map(this.state.conversations.map(conv => [conv.id, conv]));
+        const groupOf = new Map(this.state.conversations.map(conv => [conv.id, this.organizer.dateGroupOf(conv)]));
+        
+        const { model, group } = this.searchFilters;
+        const results = this.searchIndex.search(query, {
+            filter: (doc) => {
+                const conv = byId.get(doc.conversationId);
+                return (!model || conv.model === model) && (!group || groupOf.get(conv.id) === group);
+            }
+        });
+        
+        this.renderSearchResults(results, byId, groupOf);
+    }
+
+    renderSearchResults(results, byId, groupOf) {
+        const panel = this.getSearchPanel();
+        const list = panel.querySelector('.search-results-list');
+        list.innerHTML = '';
+        
+        if (results.length === 0) {
+            list.innerHTML = `<div class="search-empty">${this.t('search.noResults')}</div>`;
+        }
+        
+        results.forEach(result => {
+            const conv = byId.get(result.conversationId);
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'search-result';
+            
+            const icon = { user: 'fa-user', assistant: 'fa-robot', title: 'fa-heading' }[result.role];
+            const modelName = this.models.get(conv.model).name;
+            
+            item.innerHTML = `
+                <div class="search-result-title">${this.escapeHtml(conv.title)}</div>
+                <div class="search-result-snippet"><i class="fas ${icon}"></i> ${result.snippet}</div>
+                <div class="search-result-meta">${this.t(`dates.${groupOf.get(conv.id)}`)} • ${this.escapeHtml(modelName)}</div>
+            `;
+            item.addEventListener('click', () => {
+                this.closeSearch();
+                this.loadConversation(conv.id, { messageId: result.messageId });
+            });
+            list.appendChild(item);
+        });
+        
+        panel.classList.add('active');
+    }
+
+    getSearchPanel() {
+        if (this.searchPanel) return this.searchPanel;
+        
+        const panel = document.createElement('div');
+        panel.className = 'search-results';
+        
+        const modelOptions = this.models.list()
+            .map(model => `<option value="${this.escapeHtml(model.id)}">${this.escapeHtml(model.name)}</option>`)
+            .join('');
+        const groupOptions = ConversationOrganizer.DATE_GROUPS
+            .map(group => `<option value="${group}">${this.t(`dates.${group}`)}</option>`)
+            .join('');
+        
+        panel.innerHTML = `
+            <div class="search-filters">
+                <select class="search-filter" data-filter="model" aria-label="${this.t('search.filterModel')}">
+                    <option value="">${this.t('search.allModels')}</option>
+                    ${modelOptions}
+                </select>
+                <select class="search-filter" data-filter="group" aria-label="${this.t('search.filterDate')}">
+                    <option value="">${this.t('search.anyDate')}</option>
+                    ${groupOptions}
+                </select>
+            </div>
+            <div class="search-results-list"></div>
+        `;
+        
+        panel.querySelectorAll('.search-filter').forEach(select => {
+            select.addEventListener('change', () => {
+                this.searchFilters[select.dataset.filter] = select.value;
+                this.runSearch();
+            });
+        });
+        
+        document.getElementById('searchBar').appendChild(panel);
+        this.searchPanel = panel;
+        return panel;
+    }
+
+    closeSearch() {
+        this.searchPanel?.classList.remove('active');
+    }
+
+    // Import / Export
+    importConversations() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.multiple = true;
+        input.addEventListener('change', () => this.importFiles([...input.files]));
+        input.click();
+    }
+
+    async importFiles(files) {
+        const totals = { added: 0, merged: 0, unchanged: 0, skipped: 0, templates: 0 };
+        
+        // Merging overwrites conversations in place, so keep copies for undo
+        const before = new Map(this.allConversations().map(conv => [conv.id, structuredClone(conv)]));
+        
+        for (const file of files) {
+            try {
+                const text = await this.openSealedExport(await file.text(), file.name);
+                if (text === null) continue;
+                
+                // Prompt libraries share the import button with conversations
+                const templateFile = this.parseTemplateFile(text);
+                if (templateFile) {
+                    const result = await this.templates.import(templateFile);
+                    totals.templates += result.added + result.merged;
+                    totals.unchanged += result.unchanged;
+                    totals.skipped += result.skipped;
+                    continue;
+                }
+                
+                const { conversations, skipped } = this.transfer.parse(text, {
+                    model: this.elements.modelSelect.value
+                });
+                conversations.forEach(conv => this.tree.restore(conv));
+                this.untrashImported(conversations.map(conv => conv.id));
+                const result = this.transfer.merge(this.state.conversations, conversations);
+                this.state.conversations.forEach(conv => this.tree.restore(conv));
+                
+                Object.keys(result).forEach(key => { totals[key] += result[key]; });
+                totals.skipped += skipped.length;
+                skipped.forEach(item => console.warn(`⚠️ Skipped "${item.title}" from ${file.name}: ${item.reason}`));
+            } catch (error) {
+                console.error(`❌ Import of ${file.name} failed:`, error);
+                this.showNotification(`${file.name}: ${error.message}`, 'error');
+            }
+        }
+        
+        if (Object.values(totals).every(count => count === 0)) return;
+        
+        this.saveState();
+        this.renderConversationsList();
+        if (!this.getCurrentConversation() && this.state.conversations.length > 0) {
+            this.loadConversation(this.state.conversations[0].id);
+        }
+        
+        const parts = [];
+        if (totals.added || totals.merged || !totals.templates) parts.push(this.t('transfer.imported', { count: totals.added }));
+        if (totals.merged) parts.push(this.t('transfer.merged', { count: totals.merged }));
+        if (totals.templates) parts.push(this.t(parts.length ? 'transfer.prompts' : 'transfer.importedPrompts', { count: totals.templates }));
+        if (totals.unchanged) parts.push(this.t('transfer.unchanged', { count: totals.unchanged }));
+        if (totals.skipped) parts.push(this.t('transfer.skipped', { count: totals.skipped }));
+        
+        // Imported prompts are not undone: they never overwrite anything newer
+        if (totals.added + totals.merged === 0) {
+            this.showNotification(parts.join(', '), totals.skipped ? 'warning' : 'success');
+            return;
+        }
+        
+        // Only what this import touched is reverted, so later edits elsewhere survive the undo
+        const added = new Set(this.state.conversations.filter(conv => !before.has(conv.id)).map(conv => conv.id));
+        const overwritten = [...before.values()].filter(previous => {
+            const current = this.state.conversations.find(conv => conv.id === previous.id);
+            return current && JSON.stringify(current) !== JSON.stringify(previous);
+        });
+        const entry = this.undoStack.push(this.t('transfer.import'), () => this.revertImport(added, overwritten));
+        this.showUndoNotification(parts.join(', '), entry);
+    }
+
+    // A re-imported conversation that is in the trash comes back and is merged there, so an id is never in both lists
+    untrashImported(ids) {
+        const incoming = new Set(ids);
+        const untrashed = this.state.trash.filter(conv => incoming.has(conv.id));
+        if (untrashed.length === 0) return;
+        
+        untrashed.forEach(conv => { delete conv.deletedAt; });
+        this.state.trash = this.state.trash.filter(conv => !incoming.has(conv.id));
+        this.state.conversations.push(...untrashed);
+    }
+
+    revertImport(added, overwritten) {
+        const previous = new Map(overwritten.map(conv => [conv.id, conv]));
+        const reverted = this.state.conversations
+            .filter(conv => !added.has(conv.id))
+            .map(conv => previous.get(conv.id) || conv);
+        previous.forEach(conv => this.tree.restore(conv));
+        
+        // Conversations the import took out of the trash go back there
+        this.state.conversations = reverted.filter(conv => !conv.deletedAt);
+        this.state.trash = [...reverted.filter(conv => conv.deletedAt), ...this.state.trash];
+        
+        this.saveState();
+        if (this.getCurrentConversation()) {
+            this.loadConversation(this.state.currentConversationId);
+        } else {
+            this.leaveConversation();
+        }
+    }
+
+    // Encrypted exports open with this vault's key when they came from it, otherwise with their passphrase.
+    // Resolves to the plaintext, or null if the user cancelled
+    async openSealedExport(text, fileName) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+        if (!Vault.isSealedExport(data)) return text;
+        if (!this.vault.needsPassphrase(data)) return this.vault.openExport(data);
+        
+        const passphrase = await this.promptPassphrase(
+            this.t('vault.import.title'),
+            this.t('vault.import.description', { name: fileName })
+        );
+        return passphrase === null ? null : this.vault.openExport(data, passphrase);
+    }
+
+    parseTemplateFile(text) {
+        try {
+            const data = JSON.parse(text);
+            return TemplateLibrary.isTemplateFile(data) ? data : null;
+        } catch (error) {
+            // Not JSON: let the conversation parser report it
+            return null;
+        }
+    }
+
+    async exportAllConversations() {
+        if (this.state.conversations.length === 0) {
+            this.showNotification(this.t('transfer.nothingToExport'), 'warning');
+            return;
+        }
+        
+        const data = this.transfer.exportAll(this.state.conversations);
+        const date = new Date().toISOString().slice(0, 10);
+        if (!await this.downloadJSON(`claude-ai-suite-${date}.json`, JSON.stringify(data, null, 2))) return;
+        this.showNotification(this.t('transfer.exported', { count: this.state.conversations.length }), 'success');
+    }
+
+    async exportConversation(id, format) {
+        const conversation = this.state.conversations.find(c => c.id === id);
+        if (!conversation) return;
+        
+        const name = this.slugify(conversation.title) || this.t('transfer.fileName');
+        // Only JSON can be encrypted and imported back; the readable formats need an explicit yes
+        if (format !== 'json' && this.vault.isEnabled() && !confirm(this.t('vault.plainExport'))) return;
+        
+        switch (format) {
+            case 'markdown':
+                this.downloadFile(`${name}.md`, this.transfer.toMarkdown(conversation), 'text/markdown');
+                break;
+            case 'html':
+                this.downloadFile(`${name}.html`, this.transfer.toHTML(conversation), 'text/html');
+                break;
+            default:
+                await this.downloadJSON(`${name}.json`, JSON.stringify(this.transfer.exportAll([conversation]), null, 2));
+        }
+    }
+
+    createExportMenu() {
+        const actions = document.querySelector('.chat-actions');
+        if (!actions) return;
+        
+        const wrapper = document.createElement('div');
+        wrapper.className = 'dropdown';
+        wrapper.innerHTML = `
+            <button class="icon-btn" id="exportChatBtn" aria-label="${this.t('transfer.exportConversation')}" data-i18n-attr="aria-label:transfer.exportConversation;title:transfer.exportConversation" title="${this.t('transfer.exportConversation')}" aria-haspopup="true">
+                <i class="fas fa-file-export"></i>
+            </button>
+            <div class="dropdown-menu">
+                <button class="dropdown-item" data-format="markdown"><i class="fab fa-markdown"></i> Markdown</button>
+                <button class="dropdown-item" data-format="html"><i class="fas fa-file-code"></i> HTML</button>
+                <button class="dropdown-item" data-format="json"><i class="fas fa-file-lines"></i> JSON</button>
+            </div>
+        `;
+        
+        const menu = wrapper.querySelector('.dropdown-menu');
+        wrapper.querySelector('#exportChatBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            menu.classList.toggle('active');
+        });
+        menu.querySelectorAll('.dropdown-item').forEach(item => {
+            item.addEventListener('click', () => {
+                menu.classList.remove('active');
+                this.exportConversation(this.state.currentConversationId, item.dataset.format);
+            });
+        });
+        document.addEventListener('click', () => menu.classList.remove('active'));
+        
+        actions.appendChild(wrapper);
+    }
+
+    // With the vault enabled, JSON exports are encrypted like the data they come from
+    // Resolves to whether the file was handed to the browser; failures are reported here
+    async downloadJSON(filename, json) {
+        try {
+            const content = this.vault.isUnlocked()
+                ? JSON.stringify(await this.vault.sealExport(json), null, 2)
+                : json;
+            this.downloadFile(filename, content, 'application/json');
+            return true;
+        } catch (error) {
+            console.error('❌ Export failed:', error);
+            this.showNotification(this.t('transfer.exportFailed'), 'error');
+            return false;
+        }
+    }
+
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    slugify(text) {
+        return text
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 60);
+    }
+
+    renderConversationsList() {
+        const list = this.elements.conversationsList;
+        list.innerHTML = '';
+        
+        this.renderSidebarControls();
+        
+        if (this.organizer.state.view === 'trash') {
+            this.renderTrash(list);
+            return;
+        }
+        
+        const sections = this.organizer.group(this.state.conversations);
+        if (sections.length === 0 && this.organizer.state.view === 'archived') {
+            list.innerHTML = `<p class="conversations-empty">${this.t('organizer.archiveEmpty')}</p>`;
+        }
+        
+        sections.forEach(section => {
+            const group = document.createElement('div');
+            group.className = 'conversation-group';
+            
+            // Add group label
+            const groupLabel = document.createElement('div');
+            groupLabel.className = 'conversation-group-label';
+            groupLabel.textContent = section.label;
+            if (section.tag) {
+                const dot = document.createElement('span');
+                dot.className = 'tag-dot';
+                dot.style.background = section.tag.color;
+                groupLabel.prepend(dot);
+            }
+            if (section.folder || section.tag) {
+                groupLabel.appendChild(this.createGroupActions(section));
+            }
+            group.appendChild(groupLabel);
+            
+            // Add conversations
+            section.conversations.forEach(conv => {
+                const item = this.createConversationItem(conv);
+                group.appendChild(item);
+            });
+            
+            if (section.target) this.makeDropTarget(group, section.target);
+            list.appendChild(group);
+        });
+    }
+
+    renderTrash(list) {
+        if (this.state.trash.length === 0) {
+            list.innerHTML = `<p class="conversations-empty">${this.t('trash.empty')}</p>`;
+            return;
+        }
+        
+        const days = this.state.settings.trashRetentionDays;
+        const header = document.createElement('div');
+        header.className = 'conversation-group-label trash-header';
+        header.innerHTML = `<span>${this.t('trash.retention', { count: days })}</span>`;
+        const empty = document.createElement('button');
+        empty.type = 'button';
+        empty.className = 'trash-empty-btn';
+        empty.textContent = this.t('trash.emptyAction');
+        empty.addEventListener('click', () => this.emptyTrash());
+        header.appendChild(empty);
+        list.appendChild(header);
+        
+        [...this.state.trash]
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+            .forEach(conv => list.appendChild(this.createTrashItem(conv)));
+    }
+
+    createTrashItem(conversation) {
+        const item = document.createElement('div');
+        item.className = 'conversation-item trashed';
+        item.dataset.conversationId = conversation.id;
+        if (this.selectedConversations.has(conversation.id)) {
+            item.classList.add('selected');
+        }
+        
+        item.innerHTML = `
+            <input type="checkbox" class="conversation-select" aria-label="${this.t('organizer.select')}">
+            <div class="conversation-content">
+                <div class="conversation-title">${this.escapeHtml(conversation.title)}</div>
+                <div class="conversation-meta">
+                    <i class="fas fa-trash"></i> ${this.t('trash.deletedAt', { time: this.i18n.relativeTime(conversation.deletedAt) })} • ${this.t('chat.messageCount', { count: conversation.messages.length })}
+                </div>
+            </div>
+            <div class="conversation-actions">
+                <button class="conversation-action" data-action="restore" aria-label="${this.t('common.restore')}" title="${this.t('common.restore')}">
+                    <i class="fas fa-rotate-left"></i>
+                </button>
+                <button class="conversation-action" data-action="purge" aria-label="${this.t('trash.purge')}" title="${this.t('trash.purge')}">
+                    <i class="fas fa-xmark"></i>
+                </button>
+            </div>
+        `;
+        
+        const checkbox = item.querySelector('.conversation-select');
+        checkbox.checked = this.selectedConversations.has(conversation.id);
+        checkbox.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleSelection(conversation.id);
+        });
+        item.querySelector('[data-action="restore"]').addEventListener('click', () => this.restoreConversations([conversation.id]));
+        item.querySelector('[data-action="purge"]').addEventListener('click', () => this.purgeConversations([conversation.id]));
+        item.addEventListener('click', (e) => {
+            if (!e.target.closest('.conversation-actions')) this.toggleSelection(conversation.id);
+        });
+        
+        return item;
+    }
+
+    createConversationItem(conversation) {
+        const item = document.createElement('div');
+        item.className = 'conversation-item';
+        item.dataset.conversationId = conversation.id;
+        item.draggable = true;
+        if (conversation.id === this.state.currentConversationId) {
+            item.classList.add('active');
+        }
+        if (this.selectedConversations.has(conversation.id)) {
+            item.classList.add('selected');
+        }
+        
+        const timeStr = this.i18n.relativeTime(conversation.updatedAt);
+        const tags = this.organizer.tagsOf(conversation)
+            .map(tag => `<span class="conversation-tag" style="--tag-color: ${tag.color}">${this.escapeHtml(tag.name)}</span>`)
+            .join('');
+        const archived = Boolean(conversation.archived);
+        
+        item.innerHTML = `
+            <input type="checkbox" class="conversation-select" aria-label="${this.t('organizer.select')}">
+            <div class="conversation-content">
+                <div class="conversation-title">${conversation.pinned ? '<i class="fas fa-thumbtack"></i> ' : ''}${this.escapeHtml(conversation.title)}</div>
+                ${conversation.summary ? `<div class="conversation-summary">${this.escapeHtml(conversation.summary)}</div>` : ''}
+                <div class="conversation-meta">
+                    <i class="fas fa-clock"></i> ${timeStr} • ${this.t('chat.messageCount', { count: conversation.messages.length })}
+                </div>
+                ${tags ? `<div class="conversation-tags">${tags}</div>` : ''}
+            </div>
+            <div class="conversation-actions">
+                <button class="conversation-action" data-action="archive" aria-label="${this.t(archived ? 'common.restore' : 'organizer.archive')}" title="${this.t(archived ? 'common.restore' : 'organizer.archive')}">
+                    <i class="fas ${archived ? 'fa-box-open' : 'fa-box-archive'}"></i>
+                </button>
+                <button class="conversation-action" data-action="menu" aria-label="${this.t('organizer.moreActions')}" aria-haspopup="true">
+                    <i class="fas fa-ellipsis-vertical"></i>
+                </button>
+            </div>
+        `;
+        
+        if (conversation.summary) item.title = conversation.summary;
+        
+        const checkbox = item.querySelector('.conversation-select');
+        checkbox.checked = this.selectedConversations.has(conversation.id);
+        checkbox.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleSelection(conversation.id);
+        });
+        
+        item.querySelector('[data-action="archive"]').addEventListener('click', () => {
+            this.setArchived([conversation.id], !archived);
+        });
+        item.querySelector('[data-action="menu"]').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showConversationMenu(conversation, e.currentTarget);
+        });
+        
+        item.addEventListener('click', (e) => {
+            if (e.target.closest('.conversation-actions')) return;
+            
+            // Modifier clicks, or any click while something is selected, extend the selection
+            if (e.ctrlKey || e.metaKey || e.shiftKey || this.selectedConversations.size > 0) {
+                this.toggleSelection(conversation.id);
+                return;
+            }
+            this.loadConversation(conversation.id);
+        });
+        
+        item.addEventListener('dragstart', (e) => {
+            const ids = this.selectedConversations.has(conversation.id)
+                ? [...this.selectedConversations]
+                : [conversation.id];
+            e.dataTransfer.setData('application/x-conversation-ids', JSON.stringify(ids));
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+        item.addEventListener('dragend', () => item.classList.remove('dragging'));
+        
+        return item;
+    }
+
+    // Sidebar Organization
+    renderSidebarControls() {
+        const { grouping, view } = this.organizer.state;
+        
+        this.elements.groupingSwitch?.querySelectorAll('[data-grouping]').forEach(button => {
+            button.classList.toggle('active', button.dataset.grouping === grouping);
+            button.setAttribute('aria-pressed', String(button.dataset.grouping === grouping));
+        });
+        if (this.elements.groupingSwitch) this.elements.groupingSwitch.hidden = view === 'trash';
+        [['archived', this.elements.archiveToggle], ['trash', this.elements.trashToggle]].forEach(([name, button]) => {
+            button?.classList.toggle('active', view === name);
+            button?.setAttribute('aria-pressed', String(view === name));
+        });
+        
+        this.renderBulkBar();
+    }
+
+    // Archive and trash buttons switch to their view, or back to the active list
+    toggleView(view) {
+        this.organizer.setView(this.organizer.state.view === view ? 'active' : view);
+        this.clearSelection();
+    }
+
+    createGroupActions(section) {
+        const actions = document.createElement('span');
+        actions.className = 'group-actions';
+        
+        if (section.folder) {
+            const rename = this.createGroupAction('fa-pen', this.t('organizer.renameFolder'), () => {
+                this.showNameDialog(this.t('organizer.renameFolder'), section.folder.name, (name) => {
+                    this.organizer.renameFolder(section.folder.id, name);
+                    this.renderConversationsList();
+                });
+            });
+            const remove = this.createGroupAction('fa-trash', this.t('organizer.deleteFolder'), () => {
+                this.removeOrganizerEntry('folders', section.folder, this.t('organizer.folderDeleted', { name: section.folder.name }),
+                    () => this.organizer.removeFolder(section.folder.id, this.allConversations()));
+            });
+            actions.append(rename, remove);
+        } else {
+            const remove = this.createGroupAction('fa-trash', this.t('organizer.deleteTag'), () => {
+                this.removeOrganizerEntry('tags', section.tag, this.t('organizer.tagDeleted', { name: section.tag.name }),
+                    () => this.organizer.removeTag(section.tag.id, this.allConversations()));
+            });
+            actions.append(remove);
+        }
+        return actions;
+    }
+
+    // Deletes a folder or tag; undo puts it back on the conversations that had it
+    removeOrganizerEntry(kind, entry, label, remove) {
+        const key = kind === 'folders' ? 'folderId' : 'tags';
+        const previous = this.allConversations().map(conv => [conv, conv[key]]);
+        remove();
+        this.saveState();
+        this.renderConversationsList();
+        
+        const undo = this.undoStack.push(label, () => {
+            this.organizer.state[kind].push(entry);
+            previous.forEach(([conv, value]) => {
+                if (value !== undefined) conv[key] = value;
+            });
+            this.organizer.save();
+            this.saveState();
+            this.renderConversationsList();
+        });
+        this.showUndoNotification(label, undo);
+    }
+
+    createGroupAction(icon, label, handler) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'group-action';
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        button.innerHTML = `<i class="fas ${icon}"></i>`;
+        button.addEventListener('click', handler);
+        return button;
+    }
+
+    // Dropping conversations on a folder moves them there; on a tag, tags them
+    makeDropTarget(element, target) {
+        element.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('application/x-conversation-ids')) return;
+            e.preventDefault();
+            element.classList.add('drop-target');
+        });
+        element.addEventListener('dragleave', (e) => {
+            if (!element.contains(e.relatedTarget)) element.classList.remove('drop-target');
+        });
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            element.classList.remove('drop-target');
+            
+            const ids = JSON.parse(e.dataTransfer.getData('application/x-conversation-ids') || '[]');
+            const conversations = this.getConversations(ids);
+            if (conversations.length === 0) return;
+            
+            if ('folderId' in target) {
+                this.organizer.moveToFolder(conversations, target.folderId);
+            } else {
+                this.organizer.setTag(conversations, target.tagId, true);
+            }
+            this.clearSelection();
+            this.saveState();
+        });
+    }
+
+    getConversations(ids) {
+        const wanted = new Set(ids);
+        return this.allConversations().filter(conv => wanted.has(conv.id));
+    }
+
+    // Including the trash, for edits that must reach restored conversations too
+    allConversations() {
+        return [...this.state.conversations, ...this.state.trash];
+    }
+
+    toggleSelection(id) {
+        if (this.selectedConversations.has(id)) {
+            this.selectedConversations.delete(id);
+        } else {
+            this.selectedConversations.add(id);
+        }
+        this.renderConversationsList();
+    }
+
+    clearSelection() {
+        this.selectedConversations.clear();
+        this.renderConversationsList();
+    }
+
+    renderBulkBar() {
+        const bar = this.elements.bulkBar;
+        if (!bar) return;
+        
+        // Drop ids of conversations deleted elsewhere or not in the current view
+        const inTrash = this.organizer.state.view === 'trash';
+        const listed = inTrash ? this.state.trash : this.state.conversations;
+        const ids = [...this.selectedConversations].filter(id => listed.some(c => c.id === id));
+        this.selectedConversations = new Set(ids);
+        
+        bar.hidden = ids.length === 0;
+        if (bar.hidden) return;
+        
+        if (inTrash) {
+            this.renderTrashBulkBar(bar, ids);
+            return;
+        }
+        
+        const archived = this.organizer.state.view === 'archived';
+        bar.innerHTML = `
+            <span class="bulk-count">${this.t('organizer.selected', { count: ids.length })}</span>
+            <div class="bulk-actions">
+                <button type="button" class="group-action" data-action="organize" title="${this.t('organizer.folderAndTags')}" aria-label="${this.t('organizer.folderAndTags')}"><i class="fas fa-folder-tree"></i></button>
+                <button type="button" class="group-action" data-action="export" title="${this.t('common.export')}" aria-label="${this.t('common.export')}"><i class="fas fa-file-export"></i></button>
+                <button type="button" class="group-action" data-action="archive" title="${this.t(archived ? 'common.restore' : 'organizer.archive')}" aria-label="${this.t(archived ? 'common.restore' : 'organizer.archive')}"><i class="fas ${archived ? 'fa-box-open' : 'fa-box-archive'}"></i></button>
+                <button type="button" class="group-action" data-action="delete" title="${this.t('trash.moveToTrash')}" aria-label="${this.t('trash.moveToTrash')}"><i class="fas fa-trash"></i></button>
+                <button type="button" class="group-action" data-action="clear" title="${this.t('organizer.clearSelection')}" aria-label="${this.t('organizer.clearSelection')}"><i class="fas fa-xmark"></i></button>
+            </div>
+        `;
+        
+        const handlers = {
+            organize: () => this.showOrganizeDialog(ids),
+            export: () => this.exportConversations(ids),
+            archive: () => this.setArchived(ids, !archived),
+            delete: () => this.deleteConversations(ids),
+            clear: () => this.clearSelection()
+        };
+        bar.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', handlers[button.dataset.action]);
+        });
+    }
+
+    renderTrashBulkBar(bar, ids) {
+        bar.innerHTML = `
+            <span class="bulk-count">${this.t('organizer.selected', { count: ids.length })}</span>
+            <div class="bulk-actions">
+                <button type="button" class="group-action" data-action="restore" title="${this.t('common.restore')}" aria-label="${this.t('common.restore')}"><i class="fas fa-rotate-left"></i></button>
+                <button type="button" class="group-action" data-action="purge" title="${this.t('trash.purge')}" aria-label="${this.t('trash.purge')}"><i class="fas fa-trash-can"></i></button>
+                <button type="button" class="group-action" data-action="clear" title="${this.t('organizer.clearSelection')}" aria-label="${this.t('organizer.clearSelection')}"><i class="fas fa-xmark"></i></button>
+            </div>
+        `;
+        
+        const handlers = {
+            restore: () => this.restoreConversations(ids),
+            purge: () => this.purgeConversations(ids),
+            clear: () => this.clearSelection()
+        };
+        bar.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', handlers[button.dataset.action]);
+        });
+    }
+
+    showConversationMenu(conversation, anchor) {
+        const archived = Boolean(conversation.archived);
+        this.showContextMenu(anchor, [
+            {
+                icon: 'fa-thumbtack',
+                label: this.t(conversation.pinned ? 'organizer.unpin' : 'organizer.pin'),
+                handler: () => this.setPinned([conversation.id], !conversation.pinned)
+            },
+            { icon: 'fa-folder-tree', label: `${this.t('organizer.folderAndTags')}…`, handler: () => this.showOrganizeDialog([conversation.id]) },
+            { icon: 'fa-pen', label: this.t('common.rename'), handler: () => this.showNameDialog(this.t('titles.rename'), conversation.title, (title) => this.renameConversation(conversation, title)) },
+            { icon: 'fa-file-export', label: this.t('common.export'), handler: () => this.exportConversations([conversation.id]) },
+            {
+                icon: archived ? 'fa-box-open' : 'fa-box-archive',
+                label: this.t(archived ? 'common.restore' : 'organizer.archive'),
+                handler: () => this.setArchived([conversation.id], !archived)
+            },
+            { icon: 'fa-eraser', label: this.t('chat.clear'), danger: true, handler: () => this.clearConversation(conversation.id) },
+            { icon: 'fa-trash', label: this.t('trash.moveToTrash'), danger: true, handler: () => this.deleteConversation(conversation.id) }
+        ]);
+    }
+
+    // Floating menu, so it isn't clipped by scrolling containers
+    showContextMenu(anchor, items) {
+        document.querySelector('.context-menu')?.remove();
+        
+        const menu = document.createElement('div');
+        menu.className = 'dropdown-menu context-menu active';
+        menu.setAttribute('role', 'menu');
+        items.forEach(({ icon, label, handler, danger }) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `dropdown-item${danger ? ' danger' : ''}`;
+            item.setAttribute('role', 'menuitem');
+            item.innerHTML = `<i class="fas ${icon}"></i> <span></span>`;
+            item.querySelector('span').textContent = label;
+            item.addEventListener('click', () => {
+                close();
+                handler();
+            });
+            menu.appendChild(item);
+        });
+        
+        const close = () => {
+            menu.remove();
+            document.removeEventListener('click', onOutside);
+            document.removeEventListener('keydown', onKeydown);
+        };
+        const onOutside = (e) => {
+            if (!menu.contains(e.target)) close();
+        };
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        
+        document.body.appendChild(menu);
+        const rect = anchor.getBoundingClientRect();
+        const top = Math.min(rect.bottom + 4, window.innerHeight - menu.offsetHeight - 8);
+        menu.style.top = `${Math.max(8, top)}px`;
+        menu.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8))}px`;
+        
+        document.addEventListener('click', onOutside);
+        document.addEventListener('keydown', onKeydown);
+        menu.querySelector('button')?.focus();
+    }
+
+    setPinned(ids, pinned) {
+        this.organizer.setFlag(this.getConversations(ids), 'pinned', pinned);
+        this.saveState();
+        this.renderConversationsList();
+    }
+
+    setArchived(ids, archived) {
+        const conversations = this.getConversations(ids);
+        this.organizer.setFlag(conversations, 'archived', archived);
+        if (archived) this.organizer.setFlag(conversations, 'pinned', false);
+        
+        ids.forEach(id => this.selectedConversations.delete(id));
+        this.saveState();
+        this.renderConversationsList();
+        
+        this.showNotification(this.t(archived ? 'organizer.archived' : 'organizer.unarchived', { count: conversations.length }), 'success');
+    }
+
+    async exportConversations(ids) {
+        const conversations = this.getConversations(ids);
+        if (conversations.length === 0) return;
+        
+        if (conversations.length === 1) {
+            await this.exportConversation(conversations[0].id, 'json');
+            return;
+        }
+        const date = new Date().toISOString().slice(0, 10);
+        const data = this.transfer.exportAll(conversations);
+        if (!await this.downloadJSON(`claude-ai-suite-${conversations.length}-${this.t('transfer.fileNamePlural')}-${date}.json`, JSON.stringify(data, null, 2))) return;
+        this.showNotification(this.t('transfer.exported', { count: conversations.length }), 'success');
+    }
+
+    // Folder and tags for one or more conversations; tags shared by only some of them start indeterminate
+    showOrganizeDialog(ids) {
+        const conversations = this.getConversations(ids);
+        if (conversations.length === 0) return;
+        
+        const form = document.createElement('form');
+        form.className = 'settings-form';
+        form.innerHTML = `
+            <label class="settings-field settings-field-block">
+                <span class="settings-label"><span class="settings-label-text">${this.t('organizer.folder')}</span></span>
+                <select class="settings-input" name="folder">
+                    <option value="">${this.t('organizer.noFolder')}</option>
+                </select>
+            </label>
+            <div class="settings-field settings-field-block">
+                <span class="settings-label"><span class="settings-label-text">${this.t('organizer.tags')}</span></span>
+                <div class="organize-tags"></div>
+                <button type="button" class="secondary-btn organize-new-tag"><i class="fas fa-plus"></i> ${this.t('organizer.newTag')}</button>
+            </div>
+            <div class="settings-footer">
+                <button type="submit" class="primary-btn"><i class="fas fa-check"></i> ${this.t('common.apply')}</button>
+            </div>
+        `;
+        
+        const folders = new Set(conversations.map(conv => conv.folderId || ''));
+        this.organizer.folders.forEach(folder => form.elements.folder.add(new Option(folder.name, folder.id)));
+        if (folders.size === 1) {
+            form.elements.folder.value = [...folders][0];
+        } else {
+            form.elements.folder.add(new Option(this.t('organizer.unchanged'), '*'), 0);
+            form.elements.folder.value = '*';
+        }
+        
+        const tagList = form.querySelector('.organize-tags');
+        const renderTags = () => {
+            tagList.innerHTML = '';
+            if (this.organizer.tags.length === 0) {
+                tagList.innerHTML = `<span class="settings-description">${this.t('organizer.noTags')}</span>`;
+            }
+            this.organizer.tags.forEach(tag => {
+                const tagged = conversations.filter(conv => conv.tags?.includes(tag.id)).length;
+                const label = document.createElement('label');
+                label.className = 'organize-tag';
+                label.innerHTML = `<input type="checkbox"> <span class="tag-dot"></span> <span class="organize-tag-name"></span>`;
+                label.querySelector('.tag-dot').style.background = tag.color;
+                label.querySelector('.organize-tag-name').textContent = tag.name;
+                
+                const checkbox = label.querySelector('input');
+                checkbox.value = tag.id;
+                checkbox.checked = tagged === conversations.length;
+                checkbox.indeterminate = tagged > 0 && tagged < conversations.length;
+                tagList.appendChild(label);
+            });
+        };
+        renderTags();
+        
+        const title = conversations.length === 1 ? conversations[0].title : this.t('organizer.conversations', { count: conversations.length });
+        const modal = this.openModal(title, form);
+        
+        form.querySelector('.organize-new-tag').addEventListener('click', () => this.showTagDialog(renderTags));
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            if (form.elements.folder.value !== '*') {
+                this.organizer.moveToFolder(conversations, form.elements.folder.value || null);
+            }
+            tagList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                if (!checkbox.indeterminate) {
+                    this.organizer.setTag(conversations, checkbox.value, checkbox.checked);
+                }
+            });
+            
+            modal.close();
+            this.clearSelection();
+            this.saveState();
+        });
+    }
+
+    showNameDialog(title, value, onSubmit) {
+        const form = document.createElement('form');
+        form.className = 'settings-form';
+        form.innerHTML = `
+            <label class="settings-field settings-field-block">
+                <span class="settings-label"><span class="settings-label-text">${this.t('templates.name')}</span></span>
+                <input class="settings-input" name="name" required maxlength="120">
+            </label>
+            <p class="settings-error" role="alert"></p>
+            <div class="settings-footer">
+                <button type="submit" class="primary-btn"><i class="fas fa-check"></i> ${this.t('common.save')}</button>
+            </div>
+        `;
+        form.elements.name.value = value;
+        
+        const modal = this.openModal(title, form);
+        form.elements.name.select();
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                onSubmit(form.elements.name.value.trim());
+            } catch (error) {
+                form.querySelector('.settings-error').textContent = error.message;
+                return;
+            }
+            modal.close();
+        });
+    }
+
+    showTagDialog(onCreated) {
+        const form = document.createElement('form');
+        form.className = 'settings-form';
+        form.innerHTML = `
+            <label class="settings-field settings-field-block">
+                <span class="settings-label"><span class="settings-label-text">${this.t('templates.name')}</span></span>
+                <input class="settings-input" name="name" required maxlength="40">
+            </label>
+            <div class="settings-field settings-field-block">
+                <span class="settings-label"><span class="settings-label-text">${this.t('organizer.color')}</span></span>
+                <div class="tag-colors"></div>
+            </div>
+            <p class="settings-error" role="alert"></p>
+            <div class="settings-footer">
+                <button type="submit" class="primary-btn"><i class="fas fa-plus"></i> ${this.t('common.create')}</button>
+            </div>
+        `;
+        
+        const colors = form.querySelector('.tag-colors');
+        ConversationOrganizer.COLORS.forEach((color, index) => {
+            const option = document.createElement('label');
+            option.className = 'tag-color';
+            option.style.setProperty('--tag-color', color);
+            option.innerHTML = `<input type="radio" name="color" value="${color}" aria-label="${color}"${index === 0 ? ' checked' : ''}>`;
+            colors.appendChild(option);
+        });
+        
+        const modal = this.openModal(this.t('organizer.newTag'), form);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                this.organizer.addTag(form.elements.name.value, form.elements.color.value);
+            } catch (error) {
+                form.querySelector('.settings-error').textContent = error.message;
+                return;
+            }
+            modal.close();
+            onCreated?.();
+        });
+    }
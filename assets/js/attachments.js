@@ -0,0 +1,207 @@
+/**
+ * Claude AI Suite - Attachments
+ * Reads images, PDFs and text files for multimodal prompts
+ */
+
+class AttachmentManager {
+    constructor(options = {}) {
+        this.limits = { ...CONFIG.ATTACHMENTS, ...options.limits };
+        this.generateId = options.generateId || (() => Date.now().toString(36) + Math.random().toString(36).slice(2));
+        this.i18n = options.i18n || new I18n();
+    }
+
+    static get IMAGE_TYPES() {
+        return ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+    }
+
+    // Media types each kind may be stored with; imported attachments are checked against them
+    static get MIME_TYPES() {
+        return {
+            image: type => AttachmentManager.IMAGE_TYPES.includes(type),
+            pdf: type => type === 'application/pdf',
+            // Text files are also recognized by extension, so any well-formed type; they're only ever downloaded as plain text
+            text: type => /^[\w.+-]+\/[\w.+-]+$/.test(type)
+        };
+    }
+
+    static get TEXT_EXTENSIONS() {
+        return [
+            'txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'yaml', 'yml', 'xml', 'html', 'css', 'scss',
+            'js', 'mjs', 'cjs', 'ts', 'tsx', 'jsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'swift', 'c', 'h',
+            'cpp', 'hpp', 'cs', 'php', 'sh', 'bash', 'ps1', 'sql', 'toml', 'ini', 'env', 'log', 'vue', 'svelte'
+        ];
+    }
+
+    kindOf(file) {
+        if (AttachmentManager.IMAGE_TYPES.includes(file.type)) return 'image';
+        if (file.type === 'application/pdf') return 'pdf';
+        
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (file.type.startsWith('text/') || file.type === 'application/json' ||
+            AttachmentManager.TEXT_EXTENSIONS.includes(extension)) {
+            return 'text';
+        }
+        return null;
+    }
+
+    // Resolves to a stored attachment, or rejects with a message meant for the user
+    async read(file) {
+        const kind = this.kindOf(file);
+        if (!kind) throw new Error(this.i18n.t('attachments.unsupportedType', { name: file.name }));
+        
+        const attachment = {
+            id: this.generateId(),
+            name: file.name,
+            kind,
+            mimeType: file.type || 'text/plain',
+            size: file.size
+        };
+        
+        switch (kind) {
+            case 'image': {
+                const blob = await this.resizeImage(file);
+                this.checkSize(file.name, blob.size, this.limits.MAX_IMAGE_BYTES);
+                attachment.mimeType = blob.type;
+                attachment.size = blob.size;
+                attachment.data = await this.toBase64(blob);
+                break;
+            }
+            case 'pdf':
+                this.checkSize(file.name, file.size, this.limits.MAX_PDF_BYTES);
+                attachment.data = await this.toBase64(file);
+                break;
+            case 'text':
+                this.checkSize(file.name, file.size, this.limits.MAX_TEXT_BYTES);
+                attachment.text = await file.text();
+                break;
+        }
+        
+        return attachment;
+    }
+
+    checkSize(name, size, max) {
+        if (size > max) {
+            throw new Error(this.i18n.t('attachments.tooLarge', { name, limit: this.formatSize(max) }));
+        }
+    }
+
+    // Large photos are scaled down: the model does not use the extra pixels and they eat the quota
+    async resizeImage(file) {
+        if (file.type === 'image/gif' || typeof createImageBitmap === 'undefined') return file;
+        
+        const bitmap = await createImageBitmap(file);
+        const max = this.limits.IMAGE_MAX_DIMENSION;
+        const scale = Math.min(1, max / Math.max(bitmap.width, bitmap.height));
+        if (scale === 1) {
+            bitmap.close();
+            return file;
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        
+        const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+        return new Promise(resolve => canvas.toBlob(blob => resolve(blob || file), type, 0.9));
+    }
+
+    toBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result.split(',')[1]);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // Whether a stored attachment, e.g. from an import, has the shape read() produces
+    static isValid(attachment) {
+        if (!attachment || typeof attachment !== 'object' || typeof attachment.name !== 'string') return false;
+        
+        const types = AttachmentManager.MIME_TYPES;
+        const allowed = Object.hasOwn(types, attachment.kind) && types[attachment.kind];
+        if (!allowed || typeof attachment.mimeType !== 'string' || !allowed(attachment.mimeType)) return false;
+        if (attachment.kind === 'text') return typeof attachment.text === 'string';
+        return typeof attachment.data === 'string' && /^[A-Za-z0-9+/]*={0,2}$/.test(attachment.data);
+    }
+
+    // The type an attachment is opened with follows its kind, never the stored mimeType alone,
+    // so nothing can be opened as a page on the app's origin
+    static blobType(attachment) {
+        if (attachment.kind === 'pdf') return 'application/pdf';
+        if (attachment.kind === 'image' && AttachmentManager.IMAGE_TYPES.includes(attachment.mimeType)) return attachment.mimeType;
+        if (attachment.kind === 'text') return 'text/plain';
+        return 'application/octet-stream';
+    }
+
+    toDataUrl(attachment) {
+        return `data:${attachment.mimeType};base64,${attachment.data}`;
+    }
+
+    // Anthropic-style content blocks for a message with attachments
+    toContentParts(message) {
+        const parts = [];
+        
+        (message.attachments || []).forEach(attachment => {
+            switch (attachment.kind) {
+                case 'image':
+                    parts.push({
+                        type: 'image',
+                        source: { type: 'base64', media_type: attachment.mimeType, data: attachment.data }
+                    });
+                    break;
+                case 'pdf':
+                    parts.push({
+                        type: 'document',
+                        source: { type: 'base64', media_type: 'application/pdf', data: attachment.data }
+                    });
+                    break;
+                case 'text': {
+                    const fence = AttachmentManager.fenceFor(attachment.text);
+                    parts.push({
+                        type: 'text',
+                        text: `File: ${attachment.name}\n${fence}\n${attachment.text}\n${fence}`
+                    });
+                    break;
+                }
+            }
+        });
+        
+        if (message.content) parts.push({ type: 'text', text: message.content });
+        return parts;
+    }
+
+    // One backtick longer than any run in the text, so a fence inside it (e.g. a Markdown file) can't close ours
+    static fenceFor(text) {
+        const longest = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+        return '`'.repeat(Math.max(3, longest + 1));
+    }
+
+    // Rough token cost; images are resized to IMAGE_MAX_DIMENSION, which costs at most ~1600 tokens
+    estimateTokens(attachment) {
+        switch (attachment.kind) {
+            case 'image': return 1600;
+            case 'pdf': return Math.ceil(attachment.size / 50);
+            case 'text': return Math.ceil(attachment.text.length / 4);
+            default: return 0;
+        }
+    }
+
+    // Images and PDFs both need a vision-capable model
+    needsVision(attachments) {
+        return attachments.some(attachment => attachment.kind === 'image' || attachment.kind === 'pdf');
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttachmentManager;
+}
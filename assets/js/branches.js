@@ -0,0 +1,174 @@
+/**
+ * Claude AI Suite - Conversation Branches
+ * Message tree behind each conversation; `messages` is the active path through it
+ */
+
+class ConversationTree {
+    constructor(options = {}) {
+        this.generateId = options.generateId || (() => Date.now().toString(36) + Math.random().toString(36).slice(2));
+    }
+
+    static get ROOT() { return 'root'; }
+
+    // Upgrade a flat conversation to a tree, one linear branch in message order
+    ensure(conversation) {
+        conversation.activeChildren = conversation.activeChildren || {};
+        if (conversation.nodes) return conversation;
+        
+        conversation.nodes = {};
+        
+        let parentId = null;
+        conversation.messages.forEach(msg => {
+            if (!msg.id) msg.id = this.generateId();
+            msg.parentId = parentId;
+            conversation.nodes[msg.id] = msg;
+            parentId = msg.id;
+        });
+        
+        return conversation;
+    }
+
+    // Storage and imports copy messages and nodes separately; re-link them through the tree
+    restore(conversation) {
+        this.ensure(conversation);
+        this.materialize(conversation);
+        return conversation;
+    }
+
+    children(conversation, parentId) {
+        return Object.values(conversation.nodes)
+            .filter(node => (node.parentId ?? null) === (parentId ?? null))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    siblings(conversation, messageId) {
+        const node = conversation.nodes[messageId];
+        return node ? this.children(conversation, node.parentId) : [];
+    }
+
+    // Rebuild `messages` by following the selected child (or the newest) at every level
+    materialize(conversation) {
+        const path = [];
+        let parentId = null;
+        
+        while (true) {
+            const children = this.children(conversation, parentId);
+            if (children.length === 0) break;
+            
+            const selectedId = conversation.activeChildren[parentId ?? ConversationTree.ROOT];
+            const next = children.find(child => child.id === selectedId) || children[children.length - 1];
+            path.push(next);
+            parentId = next.id;
+        }
+        
+        conversation.messages = path;
+        return path;
+    }
+
+    // The message and its ancestors, oldest first, whether or not it's on the active path
+    pathTo(conversation, messageId) {
+        const path = [];
+        for (let node = conversation.nodes[messageId]; node; node = conversation.nodes[node.parentId]) {
+            path.unshift(node);
+        }
+        return path;
+    }
+
+    select(conversation, message) {
+        conversation.activeChildren[message.parentId ?? ConversationTree.ROOT] = message.id;
+    }
+
+    // Add a message at the end of the active path
+    append(conversation, message) {
+        this.ensure(conversation);
+        
+        const last = conversation.messages[conversation.messages.length - 1];
+        message.parentId = last ? last.id : null;
+        conversation.nodes[message.id] = message;
+        this.select(conversation, message);
+        
+        return this.materialize(conversation);
+    }
+
+    /*
+     * Add an assistant reply under `parentId`. An existing reply there becomes an
+     * alternative branch (regenerate); a following user turn that was queued
+     * offline is moved under the new reply so the thread keeps its order.
+     */
+    addReply(conversation, parentId, reply) {
+        this.ensure(conversation);
+        
+        const index = conversation.messages.findIndex(msg => msg.id === parentId);
+        const next = index === -1 ? null : conversation.messages[index + 1];
+        
+        reply.parentId = parentId;
+        conversation.nodes[reply.id] = reply;
+        this.select(conversation, reply);
+        
+        if (next && next.role === 'user') {
+            next.parentId = reply.id;
+            this.select(conversation, next);
+        }
+        
+        return this.materialize(conversation);
+    }
+
+    // Edit a past user message by starting a new branch next to it
+    fork(conversation, messageId, content) {
+        this.ensure(conversation);
+        
+        const original = conversation.nodes[messageId];
+        const message = {
+            id: this.generateId(),
+            role: original.role,
+            content,
+            parentId: original.parentId,
+            timestamp: new Date().toISOString()
+        };
+        if (original.attachments) message.attachments = original.attachments;
+        
+        conversation.nodes[message.id] = message;
+        this.select(conversation, message);
+        this.materialize(conversation);
+        
+        return message;
+    }
+
+    /*
+     * Fold another copy of the same conversation into this one. Messages from either
+     * copy all survive (replies written concurrently become sibling branches); everything
+     * else comes from whichever copy was updated last.
+     */
+    merge(conversation, other) {
+        this.ensure(conversation);
+        this.ensure(other);
+        
+        const otherIsNewer = new Date(other.updatedAt) > new Date(conversation.updatedAt);
+        const [older, newer] = otherIsNewer ? [conversation, other] : [other, conversation];
+        const nodes = { ...older.nodes, ...newer.nodes };
+        const activeChildren = { ...older.activeChildren, ...newer.activeChildren };
+        
+        if (otherIsNewer) {
+            Object.keys(conversation).forEach(key => delete conversation[key]);
+            Object.assign(conversation, other);
+        }
+        conversation.nodes = nodes;
+        conversation.activeChildren = activeChildren;
+        
+        return this.materialize(conversation);
+    }
+
+    // Show another alternative at a branch point, keeping whatever was selected below it
+    switchTo(conversation, messageId) {
+        const node = conversation.nodes[messageId];
+        if (!node) return conversation.messages;
+        
+        this.select(conversation, node);
+        return this.materialize(conversation);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationTree;
+}
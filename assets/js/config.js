@@ -12,34 +12,302 @@ const CONFIG = {
         CONVERSATIONS: 'claudeConversations',
         SETTINGS: 'claudeSettings',
         THEME: 'claudeTheme',
-        STATS: 'claudeStats'
+        STATS: 'claudeStats',
+        CUSTOM_MODELS: 'claudeCustomModels',
+        TEMPLATES: 'claudeTemplates',
+        VAULT: 'claudeVault',
+        KEYBINDINGS: 'claudeKeybindings',
+        TOUR: 'claudeTour'
     },
     
-    // Default settings
-    DEFAULT_SETTINGS: {
-        theme: 'dark',
-        autoSave: true,
-        enterToSend: false,
-        showTimestamps: true,
-        contextLength: 10
+    // IndexedDB database
+    DATABASE: {
+        NAME: 'claudeAISuite',
+        VERSION: 3
     },
     
-    // Model configurations
+    // Composer attachments
+    ATTACHMENTS: {
+        MAX_FILES: 5,
+        MAX_IMAGE_BYTES: 5 * 1024 * 1024,
+        MAX_PDF_BYTES: 10 * 1024 * 1024,
+        MAX_TEXT_BYTES: 512 * 1024,
+        IMAGE_MAX_DIMENSION: 1568
+    },
+    
+    // Content shared into the app through the manifest share_target
+    SHARE: {
+        TIMEOUT: 5000
+    },
+    
+    // Usage accounting
+    USAGE: {
+        HISTORY_DAYS: 90,
+        CHART_DAYS: 30,
+        BUDGET_WARNING_RATIO: 0.8
+    },
+    
+    // Automatic titles and summaries
+    TITLES: {
+        MAX_LENGTH: 60,
+        SUMMARY_MAX_LENGTH: 200,
+        TRANSCRIPT_CHARS: 4000,
+        SUMMARY_REFRESH_MESSAGES: 10
+    },
+    
+    // Undo stack and trash
+    UNDO: {
+        LIMIT: 20,
+        TOAST_DURATION: 8000
+    },
+    
+    // Default shortcuts; users can rebind each one from the shortcuts overlay.
+    // 'Mod' is Cmd on Apple devices and Ctrl elsewhere; `global` ones also work while typing.
+    // Labels are in the catalogs under commands.<id>
+    KEYBINDINGS: {
+        'palette.open': { keys: 'Mod+K', global: true },
+        'help.show': { keys: 'Mod+/', global: true },
+        'chat.new': { keys: 'Mod+Shift+O', global: true },
+        'search.focus': { keys: 'Mod+Shift+F', global: true },
+        'chat.previous': { keys: 'Alt+ArrowUp', global: true },
+        'chat.next': { keys: 'Alt+ArrowDown', global: true },
+        'chat.regenerate': { keys: 'Alt+R', global: true },
+        'chat.stop': { keys: 'Escape', global: true },
+        'chat.copyLast': { keys: 'Alt+C', global: true },
+        'model.choose': { keys: 'Alt+M', global: true },
+        'sidebar.toggle': { keys: 'Mod+B', global: true },
+        'settings.open': { keys: 'Mod+,', global: true },
+        'input.focus': { keys: '/' },
+        'undo': { keys: 'Mod+Z' }
+    },
+    
+    // Command palette
+    PALETTE: {
+        MAX_RESULTS: 30
+    },
+    
+    // Onboarding tour, in order. Steps whose target isn't on screen (e.g. the
+    // composer before a chat is open) show in the middle without a highlight.
+    // Texts are in the catalogs under tour.steps.<id>
+    TOUR: {
+        STEPS: [
+            { id: 'welcome' },
+            { id: 'model', target: '#modelSelect' },
+            { id: 'newChat', target: '#newChatBtn' },
+            { id: 'composer', target: '#messageInput' },
+            { id: 'search', target: '#searchInput' },
+            { id: 'import', target: '#importBtn' },
+            { id: 'palette' }
+        ],
+        // Room kept around the highlighted element, in pixels
+        SPOTLIGHT_PADDING: 6
+    },
+    
+    // Other open tabs of the app
+    SYNC: {
+        // BroadcastChannel name, also the prefix of the per-conversation Web Locks
+        CHANNEL: 'claude-ai-suite'
+    },
+    
+    // Passphrase encryption of stored data and exports
+    VAULT: {
+        // PBKDF2-SHA256 rounds; new and changed passphrases get the current value
+        ITERATIONS: 600000,
+        MIN_PASSPHRASE_LENGTH: 8,
+        // How often inactivity is checked against the auto-lock setting
+        AUTO_LOCK_CHECK_INTERVAL: 30000
+    },
+    
+    // AI backends; keys and URLs are settings (section 'providers')
+    PROVIDERS: {
+        ANTHROPIC: {
+            BASE_URL: 'https://api.anthropic.com/v1',
+            VERSION: '2023-06-01'
+        },
+        PUTER: {
+            // Reachability probe for health checks; a chat request would cost a prompt each time
+            HEALTH_URL: 'https://api.puter.com/'
+        },
+        // Milliseconds between the mock provider's streamed words
+        MOCK_DELAY: 20
+    },
+    
+    // Background connection checks while the page is visible; after a failure
+    // they follow the retry backoff below until the provider answers again
+    HEALTH: {
+        CHECK_INTERVAL: 120000
+    },
+    
+    // Automatic retries of failed requests: exponential backoff with jitter,
+    // or the server's Retry-After when it sends one
+    RETRY: {
+        MAX_RETRIES: 3,
+        BASE_DELAY: 1000,
+        MAX_DELAY: 30000
+    },
+    
+    // Interface languages; catalogs live in assets/js/locales/
+    I18N: {
+        // Complete catalog that others fall back to for missing keys
+        SOURCE_LOCALE: 'it',
+        // Used when no browser language has a catalog
+        DEFAULT_LOCALE: 'en',
+        // Native names, shown as-is in every language
+        LOCALES: {
+            it: 'Italiano',
+            en: 'English'
+        },
+        MANIFESTS: {
+            it: 'manifest.json',
+            en: 'manifest.en.json'
+        }
+    },
+    
+    // Settings schema, the single source for defaults, validation and the settings panel.
+    // Labels and descriptions are in the catalogs under settings.fields.<key>;
+    // fields are grouped in the panel by `section` ('general' when missing)
+    SETTINGS_VERSION: 2,
+    SETTINGS_SCHEMA: {
+        language: {
+            type: 'select',
+            default: 'auto',
+            options: [{ value: 'auto' }, { value: 'it' }, { value: 'en' }]
+        },
+        autoSave: {
+            type: 'boolean',
+            default: true
+        },
+        enterToSend: {
+            type: 'boolean',
+            default: false
+        },
+        showTimestamps: {
+            type: 'boolean',
+            default: true
+        },
+        autoTitle: {
+            type: 'boolean',
+            default: true
+        },
+        messageLimit: {
+            type: 'number',
+            default: 100,
+            min: 10,
+            max: 1000,
+            step: 10,
+            integer: true
+        },
+        contextLength: {
+            type: 'number',
+            default: 10,
+            min: 1,
+            max: 200,
+            integer: true
+        },
+        trashRetentionDays: {
+            type: 'number',
+            default: 30,
+            min: 1,
+            max: 365,
+            integer: true
+        },
+        monthlyBudget: {
+            type: 'number',
+            default: 0,
+            min: 0,
+            max: 100000,
+            step: 1
+        },
+        defaultProvider: {
+            type: 'select',
+            section: 'providers',
+            default: 'puter',
+            options: [{ value: 'puter' }, { value: 'anthropic' }, { value: 'openai' }, { value: 'mock' }]
+        },
+        anthropicApiKey: {
+            type: 'text',
+            section: 'providers',
+            default: '',
+            secret: true
+        },
+        openaiBaseUrl: {
+            type: 'text',
+            section: 'providers',
+            default: '',
+            format: 'url',
+            placeholder: 'http://localhost:11434/v1'
+        },
+        openaiApiKey: {
+            type: 'text',
+            section: 'providers',
+            default: '',
+            secret: true
+        },
+        // Minutes of inactivity before the vault locks; 0 never locks
+        autoLockMinutes: {
+            type: 'number',
+            section: 'security',
+            default: 15,
+            min: 0,
+            max: 1440,
+            integer: true
+        }
+    },
+    
+    // Per-model settings; 'model.<field>' resolves against the model registry
+    MODEL_SETTINGS_SCHEMA: {
+        temperature: {
+            type: 'number',
+            default: 1,
+            min: 0,
+            max: 1,
+            step: 0.1
+        },
+        maxOutputTokens: {
+            type: 'number',
+            default: 'model.maxTokens',
+            min: 1,
+            max: 'model.maxTokens',
+            step: 256,
+            integer: true
+        }
+    },
+    
+    // Fallback when a model does not declare its context window
+    DEFAULT_CONTEXT_WINDOW: 100000,
+    
+    // Model for new conversations
+    DEFAULT_MODEL: 'claude-3-sonnet-20240229',
+    
+    // Model configurations; relativeCost ranks models from 1 (cheapest) upwards,
+    // pricing is the list price in USD per million tokens, used for cost estimates
     MODELS: {
         'claude-3-opus-20240229': {
             name: 'Claude 3 Opus',
             description: 'Most powerful model for complex tasks',
-            maxTokens: 4096
+            contextWindow: 200000,
+            maxTokens: 4096,
+            vision: true,
+            relativeCost: 3,
+            pricing: { input: 15, output: 75 }
         },
         'claude-3-sonnet-20240229': {
             name: 'Claude 3 Sonnet',
             description: 'Balanced performance and speed',
-            maxTokens: 4096
+            contextWindow: 200000,
+            maxTokens: 4096,
+            vision: true,
+            relativeCost: 2,
+            pricing: { input: 3, output: 15 }
         },
         'claude-3-haiku-20240307': {
             name: 'Claude 3 Haiku',
             description: 'Fast responses for simple tasks',
-            maxTokens: 4096
+            contextWindow: 200000,
+            maxTokens: 4096,
+            vision: true,
+            relativeCost: 1,
+            pricing: { input: 0.25, output: 1.25 }
         }
     }
 };
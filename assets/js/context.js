@@ -0,0 +1,129 @@
+/**
+ * Claude AI Suite - Context Builder
+ * Selects which conversation history is sent to the model
+ */
+
+class ContextBuilder {
+    constructor(options = {}) {
+        this.charsPerToken = options.charsPerToken || 4;
+        this.messageOverhead = options.messageOverhead || 4;
+        this.summaryMaxTokens = options.summaryMaxTokens || 400;
+        this.summaryExcerptChars = options.summaryExcerptChars || 160;
+        this.getModel = options.getModel || ((id) => CONFIG.MODELS[id] || {});
+        this.estimateAttachmentTokens = options.estimateAttachmentTokens || (() => 0);
+        this.i18n = options.i18n || new I18n();
+    }
+
+    // Rough estimate, good enough to stay clear of the model limit
+    estimateTokens(text) {
+        if (!text) return 0;
+        return Math.ceil(text.length / this.charsPerToken);
+    }
+
+    estimateMessageTokens(message) {
+        const attachments = (message.attachments || [])
+            .reduce((sum, attachment) => sum + this.estimateAttachmentTokens(attachment), 0);
+        return this.estimateTokens(message.content) + attachments + this.messageOverhead;
+    }
+
+    // Tokens available for history once the reply has been reserved
+    getBudget(modelId, reservedTokens) {
+        const model = this.getModel(modelId);
+        const contextWindow = model.contextWindow || CONFIG.DEFAULT_CONTEXT_WINDOW;
+        const reserved = reservedTokens || model.maxTokens || 4096;
+        return Math.max(contextWindow - reserved, 0);
+    }
+
+    build(conversation, { messageWindow, modelId, reservedTokens } = {}) {
+        const history = conversation.messages
+            .filter(msg => msg.content || msg.attachments?.length)
+            .map(({ role, content, attachments }) => (
+                attachments?.length ? { role, content, attachments } : { role, content }
+            ));
+        
+        const budget = this.getBudget(modelId || conversation.model, reservedTokens);
+        const limit = messageWindow > 0 ? messageWindow : history.length;
+        
+        let start = Math.max(history.length - limit, 0);
+        let tokens = this.countTokens(history.slice(start));
+        
+        // Drop the oldest turns until the history fits the budget
+        while (tokens > budget && start < history.length - 1) {
+            tokens -= this.estimateMessageTokens(history[start]);
+            start++;
+        }
+        
+        // The API expects the history to open with a user turn
+        while (start < history.length - 1 && history[start].role !== 'user') {
+            tokens -= this.estimateMessageTokens(history[start]);
+            start++;
+        }
+        
+        const messages = history.slice(start);
+        const dropped = history.slice(0, start);
+        
+        let summarized = false;
+        if (dropped.length > 0 && messages.length > 0) {
+            const summary = this.summarize(dropped);
+            const summaryTokens = this.estimateTokens(summary);
+            
+            if (tokens + summaryTokens <= budget) {
+                messages[0] = {
+                    ...messages[0],
+                    content: `${summary}\n\n${messages[0].content || ''}`
+                };
+                tokens += summaryTokens;
+                summarized = true;
+            }
+        }
+        
+        return {
+            messages,
+            stats: {
+                included: messages.length,
+                total: history.length,
+                dropped: dropped.length,
+                summarized,
+                tokens,
+                budget
+            }
+        };
+    }
+
+    countTokens(messages) {
+        return messages.reduce((sum, msg) => sum + this.estimateMessageTokens(msg), 0);
+    }
+
+    // Extractive summary of the turns that no longer fit
+    summarize(messages) {
+        const maxChars = this.summaryMaxTokens * this.charsPerToken;
+        const lines = [];
+        let length = 0;
+        
+        // Most recent dropped turns are the most relevant ones
+        for (let i = messages.length - 1; i >= 0; i--) {
+            const msg = messages[i];
+            const speaker = this.i18n.t(msg.role === 'user' ? 'roles.user' : 'roles.assistant');
+            // Attachment-only turns and placeholders left by a failed reply have no text
+            let excerpt = (msg.content || '').replace(/\s+/g, ' ').trim();
+            if (excerpt.length > this.summaryExcerptChars) {
+                excerpt = `${excerpt.slice(0, this.summaryExcerptChars)}…`;
+            }
+            
+            const line = `- ${speaker}: ${excerpt}`;
+            if (length + line.length > maxChars) break;
+            
+            lines.unshift(line);
+            length += line.length;
+        }
+        
+        const omitted = messages.length - lines.length;
+        const header = `[${this.i18n.t(omitted > 0 ? 'context.summaryOmitted' : 'context.summary', { count: messages.length, omitted })}]`;
+        return [header, ...lines].join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContextBuilder;
+}
@@ -0,0 +1,124 @@
+/**
+ * Claude AI Suite - Health Monitor
+ * Follows whether the current provider is reachable, from online/offline events,
+ * periodic lightweight checks and the outcome of real requests
+ */
+
+class HealthMonitor {
+    constructor(options = {}) {
+        // () => Promise that rejects when the provider can't be used
+        this.check = options.check || (() => Promise.resolve());
+        // () => false for providers that work without an internet connection
+        this.requiresNetwork = options.requiresNetwork || (() => true);
+        // Called with the new state on every change
+        this.onChange = options.onChange || (() => {});
+        this.interval = options.interval || CONFIG.HEALTH.CHECK_INTERVAL;
+        this.retry = options.retry || new RetryPolicy();
+        
+        // { status, kind?, until?, attempt?, maxRetries?, at }
+        this.state = { status: 'checking', at: Date.now() };
+        // Consecutive failed checks, for the backoff between them
+        this.failures = 0;
+        this.timer = null;
+        this.checking = null;
+    }
+
+    // 'online', 'checking', 'retrying', 'rateLimited', 'offline' or 'error'
+    get status() {
+        return this.state.status;
+    }
+
+    start() {
+        window.addEventListener('online', () => this.refresh());
+        window.addEventListener('offline', () => this.refresh());
+        // Timers are throttled in hidden tabs; check on return if one was due
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && Date.now() - this.state.at >= this.nextDelay()) this.refresh();
+        });
+        this.schedule();
+    }
+
+    set(status, details = {}) {
+        this.state = { status, ...details, at: Date.now() };
+        this.onChange(this.state);
+    }
+
+    nextDelay() {
+        return this.failures > 0 ? Math.min(this.retry.delay(this.failures - 1), this.interval) : this.interval;
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            if (document.visibilityState === 'visible') {
+                this.refresh();
+            } else {
+                this.schedule();
+            }
+        }, this.nextDelay());
+    }
+
+    // Checks now; concurrent calls share one check
+    refresh() {
+        if (!this.checking) {
+            this.checking = this.runCheck().finally(() => {
+                this.checking = null;
+                this.schedule();
+            });
+        }
+        return this.checking;
+    }
+
+    async runCheck() {
+        if (!navigator.onLine && this.requiresNetwork()) {
+            this.failures++;
+            this.set('offline');
+            return false;
+        }
+        
+        // A routine check keeps showing the last known state instead of flickering
+        if (this.status !== 'online') this.set('checking');
+        try {
+            await this.check();
+            this.reportSuccess();
+            return true;
+        } catch (error) {
+            this.failures++;
+            this.reportFailure(error, { check: true });
+            return false;
+        }
+    }
+
+    // Requests report their outcome too, so the status follows real traffic between checks
+    reportSuccess() {
+        this.failures = 0;
+        if (this.status !== 'online') this.set('online');
+    }
+
+    // A rejected request (e.g. too long) says nothing about the connection; a rejected check does
+    reportFailure(error, { check = false } = {}) {
+        const kind = error?.kind || RetryPolicy.classify(error);
+        if (kind === 'aborted' || (kind === 'request' && !check)) return;
+        
+        switch (kind) {
+            case 'rateLimit':
+                this.set('rateLimited', { kind, until: error?.retryAfter ? Date.now() + error.retryAfter * 1000 : null });
+                return;
+            case 'offline':
+                this.set('offline', { kind });
+                return;
+            default:
+                this.set('error', { kind });
+        }
+    }
+
+    // Shown while a request waits for its next attempt
+    reportRetry({ attempt, maxRetries, delay, kind }) {
+        this.set('retrying', { kind, attempt, maxRetries, until: Date.now() + delay });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HealthMonitor;
+}
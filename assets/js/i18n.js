@@ -0,0 +1,137 @@
+/**
+ * Claude AI Suite - Internationalization
+ * Message catalogs with plural rules, plus locale-aware numbers, dates and relative times via Intl
+ */
+
+class I18n {
+    constructor(options = {}) {
+        this.catalogs = options.catalogs || I18n.catalogs;
+        this.sourceLocale = options.sourceLocale || CONFIG.I18N.SOURCE_LOCALE;
+        this.locale = this.sourceLocale;
+        this.formatters = new Map();
+    }
+
+    // Filled by the catalog scripts in assets/js/locales/
+    static get catalogs() {
+        if (!I18n.registry) I18n.registry = {};
+        return I18n.registry;
+    }
+
+    static register(locale, catalog) {
+        I18n.catalogs[locale] = catalog;
+    }
+
+    get supported() {
+        return Object.keys(CONFIG.I18N.LOCALES).filter(locale => this.catalogs[locale]);
+    }
+
+    // First browser language we have a catalog for, matched on the base language ("en-GB" → "en")
+    detect(languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) {
+        const match = languages
+            .filter(Boolean)
+            .map(tag => tag.toLowerCase().split('-')[0])
+            .find(base => this.supported.includes(base));
+        return match || CONFIG.I18N.DEFAULT_LOCALE;
+    }
+
+    // `preference` is the language setting: 'auto' or a locale code
+    setLocale(preference) {
+        this.locale = preference !== 'auto' && this.supported.includes(preference) ? preference : this.detect();
+        this.formatters.clear();
+        if (typeof document !== 'undefined') document.documentElement.lang = this.locale;
+        return this.locale;
+    }
+
+    lookup(locale, key) {
+        return key.split('.').reduce((node, part) => node?.[part], this.catalogs[locale]);
+    }
+
+    has(key) {
+        return this.lookup(this.locale, key) !== undefined || this.lookup(this.sourceLocale, key) !== undefined;
+    }
+
+    /*
+     * Message for `key` with {placeholders} filled from `params`. Plural messages are objects keyed
+     * by Intl.PluralRules category ({ one, other }) and pick a form from `params.count`.
+     * Keys missing from the current catalog fall back to the source catalog, then to the key itself.
+     */
+    t(key, params = {}) {
+        let message = this.lookup(this.locale, key) ?? this.lookup(this.sourceLocale, key);
+        if (message === undefined) {
+            console.warn(`⚠️ Missing translation: ${key}`);
+            return key;
+        }
+        
+        if (typeof message === 'object') {
+            const category = this.formatter('plural', {}, () => new Intl.PluralRules(this.locale)).select(params.count ?? 0);
+            message = message[category] ?? message.other;
+        }
+        
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return match;
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    // Every catalog's text for `key`, e.g. to recognize a default title created in another language
+    variants(key) {
+        return Object.keys(this.catalogs)
+            .map(locale => this.lookup(locale, key))
+            .filter(value => typeof value === 'string');
+    }
+
+    // Intl objects are costly to build, so they are cached per locale and options
+    formatter(type, options, create) {
+        const cacheKey = `${type}:${JSON.stringify(options)}`;
+        if (!this.formatters.has(cacheKey)) this.formatters.set(cacheKey, create());
+        return this.formatters.get(cacheKey);
+    }
+
+    formatNumber(value, options = {}) {
+        return this.formatter('number', options, () => new Intl.NumberFormat(this.locale, options)).format(value);
+    }
+
+    formatDate(date, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        return this.formatter('date', options, () => new Intl.DateTimeFormat(this.locale, options)).format(new Date(date));
+    }
+
+    formatTime(date) {
+        return this.formatDate(date, { hour: '2-digit', minute: '2-digit' });
+    }
+
+    // "3 minutes ago", "yesterday", "in 2 hours"; anything under a minute reads as "now"
+    relativeTime(date, now = new Date()) {
+        const seconds = (new Date(date) - now) / 1000;
+        const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+        const [unit, size] = units.find(([, length]) => Math.abs(seconds) >= length) || ['second', Infinity];
+        
+        const format = this.formatter('relative', {}, () => new Intl.RelativeTimeFormat(this.locale, { numeric: 'auto' }));
+        return format.format(Math.round(seconds / size) || 0, unit);
+    }
+
+    compare(a, b) {
+        return this.formatter('collator', {}, () => new Intl.Collator(this.locale)).compare(a, b);
+    }
+
+    /*
+     * Static markup: data-i18n="key" replaces the element's text, data-i18n-attr="title:key;aria-label:key"
+     * sets attributes. Elements that also hold icons keep their text in a child <span data-i18n>.
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) element.setAttribute(attribute, this.t(key));
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
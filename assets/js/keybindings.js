@@ -0,0 +1,185 @@
+/**
+ * Claude AI Suite - Keybindings
+ * Keyboard shortcuts for app commands, with user overrides on top of the defaults in CONFIG.KEYBINDINGS
+ */
+
+class KeybindingRegistry {
+    constructor(options = {}) {
+        this.defaults = options.defaults || CONFIG.KEYBINDINGS;
+        this.storageKey = options.storageKey || CONFIG.STORAGE_KEYS.KEYBINDINGS;
+        this.i18n = options.i18n || new I18n();
+        this.isMac = options.isMac ?? /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+        
+        // Command id -> { run, when }
+        this.commands = new Map();
+        // Command id -> keys, or null for a default the user removed
+        this.overrides = this.loadOverrides();
+        // Set while a new shortcut is being recorded, so pressing it doesn't also run its command
+        this.suspended = false;
+    }
+
+    // Modifiers always appear in this order, so combinations compare as plain strings
+    static get MODIFIERS() { return ['Mod', 'Ctrl', 'Meta', 'Alt', 'Shift']; }
+
+    static get SYMBOLS() {
+        return { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧' };
+    }
+
+    static get KEY_LABELS() {
+        return { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc', ' ': 'Space' };
+    }
+
+    loadOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('⚠️ Saved keybindings are corrupted, using defaults:', error);
+            return {};
+        }
+    }
+
+    saveOverrides() {
+        if (Object.keys(this.overrides).length) {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+
+    // `when` makes the key fall through to the page while it returns false (e.g. Escape with nothing to stop)
+    register(id, run, { when } = {}) {
+        this.commands.set(id, { run, when });
+    }
+
+    has(id) {
+        return this.commands.has(id);
+    }
+
+    run(id) {
+        this.commands.get(id)?.run();
+    }
+
+    label(id) {
+        return this.i18n.t(`commands.${id}`);
+    }
+
+    keysFor(id) {
+        return id in this.overrides ? this.overrides[id] : this.defaults[id]?.keys || null;
+    }
+
+    isCustom(id) {
+        return id in this.overrides;
+    }
+
+    commandFor(keys, except) {
+        return [...this.commands.keys()].find(id => id !== except && this.keysFor(id) === keys) || null;
+    }
+
+    list() {
+        return [...this.commands.keys()].map(id => ({
+            id,
+            label: this.label(id),
+            keys: this.keysFor(id),
+            custom: this.isCustom(id)
+        }));
+    }
+
+    // The combination pressed, e.g. 'Mod+Shift+K', or null for a lone modifier
+    fromEvent(event) {
+        const key = KeybindingRegistry.keyName(event);
+        if (!key) return null;
+        
+        const pressed = new Set();
+        if (this.isMac ? event.metaKey : event.ctrlKey) pressed.add('Mod');
+        if (this.isMac && event.ctrlKey) pressed.add('Ctrl');
+        if (!this.isMac && event.metaKey) pressed.add('Meta');
+        if (event.altKey) pressed.add('Alt');
+        // Shift is part of a typed symbol ('/' is Shift+7 on Italian keyboards), so it only counts for letters and named keys
+        if (event.shiftKey && !KeybindingRegistry.isSymbol(key)) pressed.add('Shift');
+        
+        return [...KeybindingRegistry.MODIFIERS.filter(mod => pressed.has(mod)), key].join('+');
+    }
+
+    static keyName(event) {
+        if (['Control', 'Meta', 'Alt', 'Shift', 'CapsLock', 'Dead'].includes(event.key)) return null;
+        
+        // Letters by physical key: with Alt held, macOS types 'ç' for Alt+C
+        const letter = /^Key([A-Z])$/.exec(event.code || '');
+        if (letter) return letter[1];
+        // Digits and punctuation by the character typed, which is what layouts agree on
+        return event.key.length === 1 ? event.key.toUpperCase() : event.key;
+    }
+
+    static isSymbol(key) {
+        return key.length === 1 && key !== ' ' && !/[A-Z]/.test(key);
+    }
+
+    // Runs the command bound to the event; returns whether one ran
+    handle(event) {
+        if (this.suspended || event.isComposing) return false;
+        
+        const keys = this.fromEvent(event);
+        const id = keys && this.commandFor(keys);
+        if (!id) return false;
+        
+        const typing = event.target?.closest?.('input, textarea, select, [contenteditable="true"]');
+        if (typing && !this.defaults[id]?.global) return false;
+        
+        const command = this.commands.get(id);
+        if (command.when && !command.when()) return false;
+        
+        event.preventDefault();
+        event.stopPropagation();
+        command.run();
+        return true;
+    }
+
+    // Throws if another command already uses `keys`
+    bind(id, keys) {
+        const other = keys && this.commandFor(keys, id);
+        if (other) {
+            throw new Error(this.i18n.t('keybindings.errors.conflict', { keys: this.format(keys), command: this.label(other) }));
+        }
+        
+        if (keys === (this.defaults[id]?.keys || null)) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = keys;
+        }
+        this.saveOverrides();
+    }
+
+    unbind(id) {
+        this.bind(id, null);
+    }
+
+    reset(id) {
+        this.bind(id, this.defaults[id]?.keys || null);
+    }
+
+    resetAll() {
+        this.overrides = {};
+        this.saveOverrides();
+    }
+
+    // '⌘⇧K' on Apple devices, 'Ctrl+Shift+K' elsewhere
+    format(keys) {
+        if (!keys) return '';
+        
+        const labels = KeybindingRegistry.KEY_LABELS;
+        const parts = keys.split('+').map((part, i, all) => {
+            // A literal '+' key splits into two empty parts
+            if (!part && i === all.length - 1) return '+';
+            if (this.isMac && KeybindingRegistry.SYMBOLS[part]) return KeybindingRegistry.SYMBOLS[part];
+            if (part === 'Mod') return 'Ctrl';
+            return labels[part] || part;
+        }).filter(Boolean);
+        
+        return parts.join(this.isMac ? '' : '+');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeybindingRegistry;
+}
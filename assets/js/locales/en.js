@@ -0,0 +1,673 @@
+/**
+ * Claude AI Suite - English Messages
+ * English catalog; keys missing here fall back to Italian
+ */
+
+const LOCALE_EN = {
+    app: {
+        loading: 'Starting up...'
+    },
+    attachments: {
+        attach: 'Attach files',
+        chooseVisionModel: "{model} doesn't support images and PDFs: pick another model",
+        remove: 'Remove {name}',
+        tooLarge: '{name}: the file exceeds the {limit} limit',
+        tooMany: { one: 'You can attach at most {count} file per message', other: 'You can attach at most {count} files per message' },
+        unsupportedType: '{name}: unsupported file type',
+        visionUnsupported: '{model} does not support images and PDFs'
+    },
+    branches: {
+        editMessage: 'Edit message',
+        next: 'Next version',
+        offline: 'You need a connection to send the edited message',
+        previous: 'Previous version',
+        stillPending: 'The message is still waiting to be sent'
+    },
+    chat: {
+        clear: 'Clear messages',
+        cleared: 'Messages deleted',
+        context: 'context: {included}/{total} (~{tokens} tokens)',
+        contextBudget: { one: 'Context budget: {count} token', other: 'Context budget: {count} tokens' },
+        copied: 'Message copied',
+        copyFailed: "Couldn't copy the message",
+        estimatedCost: 'Estimated cost: {cost}',
+        generationFailed: 'Something went wrong while generating the reply',
+        hiddenMessages: { one: '{count} earlier message hidden', other: '{count} earlier messages hidden' },
+        messageCount: { one: '{count} message', other: '{count} messages' },
+        regenerate: 'Regenerate',
+        replyStopped: 'Reply stopped',
+        showAll: 'Show all',
+        stop: 'Stop generating',
+        stopShort: 'Stop',
+        stopped: 'Generation stopped',
+        summaryIncluded: 'summary included',
+        tokensUsed: { one: '{count} token used', other: '{count} tokens used' },
+        waitForReply: 'Wait for the reply to finish'
+    },
+    commands: {
+        chat: {
+            copyLast: 'Copy last reply',
+            new: 'New chat',
+            next: 'Next conversation',
+            previous: 'Previous conversation',
+            regenerate: 'Regenerate response',
+            stop: 'Stop response'
+        },
+        help: {
+            show: 'Keyboard shortcuts'
+        },
+        input: {
+            focus: 'Write a message'
+        },
+        model: {
+            choose: 'Change model'
+        },
+        palette: {
+            open: 'Open command palette'
+        },
+        search: {
+            focus: 'Search conversations'
+        },
+        settings: {
+            open: 'Open settings'
+        },
+        sidebar: {
+            toggle: 'Toggle sidebar'
+        },
+        tour: {
+            show: 'Guided tour'
+        },
+        undo: 'Undo last action'
+    },
+    common: {
+        add: 'Add',
+        apply: 'Apply',
+        cancel: 'Cancel',
+        close: 'Close',
+        copied: 'Copied',
+        copy: 'Copy',
+        create: 'Create',
+        delete: 'Delete',
+        edit: 'Edit',
+        export: 'Export',
+        import: 'Import',
+        new: 'New',
+        rename: 'Rename',
+        restore: 'Restore',
+        save: 'Save',
+        send: 'Send'
+    },
+    connection: {
+        failed: 'Could not connect to {provider}',
+        notConnected: '{provider} is not connected. Check the settings and try again'
+    },
+    context: {
+        summary: { one: 'Summary of the previous message', other: 'Summary of the {count} previous messages' },
+        summaryOmitted: { one: 'Summary of the previous message, {omitted} omitted', other: 'Summary of the {count} previous messages, {omitted} omitted' }
+    },
+    conversations: {
+        created: 'New chat created',
+        defaultTitle: 'New conversation',
+        new: 'New chat',
+        notFound: 'Conversation not found',
+        title: 'Conversations'
+    },
+    dates: {
+        month: 'Previous 30 days',
+        older: 'Older',
+        today: 'Today',
+        week: 'Previous 7 days',
+        yesterday: 'Yesterday'
+    },
+    header: {
+        selectModel: 'Select AI model',
+        selectProvider: 'Select AI provider',
+        toggleMenu: 'Toggle menu',
+        toggleTheme: 'Toggle theme'
+    },
+    health: {
+        errors: {
+            auth: '{provider} rejected the credentials. Check the API key in settings.',
+            network: 'Could not reach {provider}. Check your connection.',
+            offline: 'You are offline: the reply was not received.',
+            overloaded: '{provider} is overloaded right now. Try again shortly.',
+            rateLimit: 'Too many requests to {provider}. Wait a moment and try again.',
+            rateLimitRetryAfter: 'Too many requests to {provider}. Try again in {seconds}s.',
+            server: '{provider} answered with a server error. Try again shortly.'
+        },
+        noReply: 'No reply received',
+        retry: 'Retry',
+        status: {
+            checking: 'Checking the connection to {provider}…',
+            error: '{provider} unreachable',
+            offline: 'Offline',
+            online: 'Connected to {provider}',
+            rateLimited: '{provider} rate limit: try again in {seconds}s',
+            rateLimitedNoWait: '{provider} rate limit reached',
+            retrying: 'Retry {attempt}/{max} in {seconds}s'
+        }
+    },
+    keybindings: {
+        change: 'Change shortcut',
+        description: 'Click a shortcut and press the new keys. Esc cancels, Backspace removes it.',
+        errors: {
+            conflict: '{keys} is already used by "{command}"'
+        },
+        none: 'None',
+        recording: 'Press keys…',
+        reset: 'Reset',
+        resetAll: 'Reset all',
+        title: 'Keyboard shortcuts'
+    },
+    markdown: {
+        copyCode: 'Copy code',
+        copyFailed: "Couldn't copy the code",
+        download: 'Download as file'
+    },
+    models: {
+        add: {
+            contextWindow: 'Context window (tokens)',
+            id: 'Model ID',
+            maxTokens: 'Max output tokens',
+            name: 'Display name',
+            title: 'Add model',
+            vision: 'Supports images'
+        },
+        addOption: 'Add model…',
+        added: 'Model {name} added',
+        context: 'Context: {tokens} tokens',
+        cost: 'Cost: {cost}',
+        customDescription: 'Custom model',
+        customGroup: 'Custom',
+        descriptions: {
+            'claude-3-haiku-20240307': 'Fast responses for simple tasks',
+            'claude-3-opus-20240229': 'Most powerful model for complex tasks',
+            'claude-3-sonnet-20240229': 'Balanced performance and speed'
+        },
+        errors: {
+            contextWindow: 'Invalid context window',
+            duplicate: 'A model with this ID already exists',
+            id: 'The model ID cannot be empty or contain spaces, quotes or the characters < > &',
+            maxTokens: 'Invalid maximum output tokens',
+            maxTokensTooLarge: 'Output tokens must be lower than the context window'
+        },
+        output: 'Output: {tokens} tokens',
+        textOnly: 'Text only',
+        vision: 'Images supported'
+    },
+    organizer: {
+        archive: 'Archive',
+        archiveEmpty: 'No archived conversations',
+        archiveTitle: 'Archive',
+        archived: { one: 'Conversation archived', other: '{count} conversations archived' },
+        clearSelection: 'Clear selection',
+        color: 'Color',
+        conversations: { one: '{count} conversation', other: '{count} conversations' },
+        deleteFolder: 'Delete folder',
+        deleteTag: 'Delete tag',
+        folder: 'Folder',
+        folderAndTags: 'Folder and tags',
+        folderDeleted: 'Folder "{name}" deleted',
+        groupBy: 'Group by',
+        groupings: {
+            date: 'Date',
+            folder: 'Folder',
+            tag: 'Tag'
+        },
+        moreActions: 'More actions',
+        nameRequired: 'A name is required',
+        newFolder: 'New folder',
+        newTag: 'New tag',
+        noFolder: 'No folder',
+        noTags: 'No tags',
+        pin: 'Pin to top',
+        pinned: 'Pinned',
+        renameFolder: 'Rename folder',
+        select: 'Select conversation',
+        selected: { one: '{count} selected', other: '{count} selected' },
+        showArchive: 'Show archive',
+        tagDeleted: 'Tag "{name}" deleted',
+        tags: 'Tags',
+        unarchived: { one: 'Conversation unarchived', other: '{count} conversations unarchived' },
+        unchanged: '(unchanged)',
+        unpin: 'Unpin',
+        withoutFolder: 'No folder',
+        withoutTags: 'Untagged'
+    },
+    outbox: {
+        pending: 'Waiting to send',
+        queued: "You're offline: the message will be sent when the connection is back"
+    },
+    palette: {
+        current: 'current',
+        groups: {
+            command: 'Command',
+            conversation: 'Conversation',
+            model: 'Model'
+        },
+        modelPlaceholder: 'Search models…',
+        noResults: 'No results',
+        placeholder: 'Search commands and conversations…',
+        title: 'Commands'
+    },
+    providers: {
+        anthropic: {
+            name: 'Anthropic API'
+        },
+        errors: {
+            missingKey: '{provider}: missing API key',
+            missingUrl: '{provider}: missing endpoint URL'
+        },
+        mock: {
+            model: 'Mock echo',
+            name: 'Mock (offline)',
+            reply: 'Mock reply to: "{prompt}"'
+        },
+        notConfigured: '{provider} (not configured)',
+        openai: {
+            name: 'OpenAI-compatible',
+            pdfUnsupported: '[Attached PDF omitted: this provider does not support documents]'
+        },
+        puter: {
+            name: 'Puter.js'
+        }
+    },
+    roles: {
+        assistant: 'Assistant',
+        user: 'User'
+    },
+    search: {
+        allModels: 'All models',
+        anyDate: 'Any date',
+        filterDate: 'Filter by date',
+        filterModel: 'Filter by model',
+        noResults: 'No results',
+        placeholder: 'Search conversations...'
+    },
+    settings: {
+        errors: {
+            integer: 'Enter a whole number',
+            invalidOption: 'Invalid option',
+            invalidValue: 'Invalid value',
+            max: 'The maximum is {max}',
+            min: 'The minimum is {min}',
+            number: 'Enter a number',
+            unknownType: 'Unknown type: {type}',
+            url: 'Enter a valid http or https URL'
+        },
+        fields: {
+            anthropicApiKey: {
+                description: 'Stored only in this browser and sent only to api.anthropic.com',
+                label: 'Anthropic API key'
+            },
+            autoLockMinutes: {
+                description: 'With the vault enabled, locks the app after this many idle minutes. 0 to disable',
+                label: 'Auto-lock (minutes)'
+            },
+            autoSave: {
+                description: 'Save conversations on every change instead of only when closing',
+                label: 'Auto-save'
+            },
+            autoTitle: {
+                description: 'Generate a title and summary with the cheapest model after the first exchange',
+                label: 'Automatic titles'
+            },
+            contextLength: {
+                description: 'How many recent messages are sent to the model',
+                label: 'Context messages'
+            },
+            defaultProvider: {
+                description: 'Used for new conversations; each one remembers its own',
+                label: 'Default provider',
+                options: {
+                    anthropic: 'Anthropic API',
+                    mock: 'Mock (offline)',
+                    openai: 'OpenAI-compatible',
+                    puter: 'Puter.js (no key needed)'
+                }
+            },
+            enterToSend: {
+                description: 'Shift+Enter adds a new line. Ctrl+Enter always sends',
+                label: 'Send with Enter'
+            },
+            language: {
+                description: 'Language of the interface, dates and numbers',
+                label: 'Language',
+                options: {
+                    auto: 'Automatic (browser language)',
+                    en: 'English',
+                    it: 'Italiano'
+                }
+            },
+            maxOutputTokens: {
+                description: 'Maximum length of each reply',
+                label: 'Maximum output tokens'
+            },
+            messageLimit: {
+                description: 'Maximum number of messages shown when opening a conversation',
+                label: 'Messages shown'
+            },
+            monthlyBudget: {
+                description: 'Warns at 80% and 100% of the estimated monthly spend. 0 to disable',
+                label: 'Monthly budget (USD)'
+            },
+            openaiApiKey: {
+                description: 'Optional for local servers',
+                label: 'OpenAI-compatible API key'
+            },
+            openaiBaseUrl: {
+                description: 'Base address of the API, e.g. Ollama, LM Studio or OpenAI',
+                label: 'OpenAI-compatible endpoint URL'
+            },
+            showTimestamps: {
+                description: 'Display the time of each message',
+                label: 'Show times'
+            },
+            temperature: {
+                description: 'Lower values give more deterministic answers',
+                label: 'Temperature'
+            },
+            trashRetentionDays: {
+                description: 'Deleted conversations are permanently removed after this period',
+                label: 'Days in trash'
+            }
+        },
+        modelToConfigure: 'Model to configure',
+        removeModel: 'Remove model',
+        reset: 'Restore defaults',
+        resetDone: 'Settings restored',
+        sections: {
+            customModels: 'Custom models',
+            general: 'General',
+            model: 'Model',
+            providers: 'Providers',
+            security: 'Security'
+        },
+        title: 'Settings'
+    },
+    share: {
+        unavailable: 'The shared content is no longer available'
+    },
+    storage: {
+        loadFailed: 'Could not load your saved conversations',
+        quotaExceeded: 'Storage is full: export or delete some conversations',
+        saveFailed: 'Could not save your conversations'
+    },
+    sync: {
+        busyElsewhere: 'Another tab is already replying in this conversation',
+        merged: { one: '"{title}" was also changed in another tab: the changes were merged', other: '{count} conversations were also changed in another tab: the changes were merged' }
+    },
+    systemPrompt: {
+        chooseTemplate: 'Choose a template…',
+        content: 'Instructions',
+        description: 'They apply to this conversation only and are sent before the messages.',
+        loadTemplate: 'Load from a template',
+        noTemplates: 'No saved templates',
+        placeholder: 'E.g. You are a demanding code reviewer. Answer in English.',
+        removed: 'System instructions removed',
+        saveAsTemplate: 'Save as template',
+        title: 'System instructions',
+        updated: 'System instructions updated'
+    },
+    templates: {
+        button: 'Prompts',
+        confirmDelete: 'Delete the prompt "{name}"?',
+        content: 'Text',
+        contentDescription: 'Parts in double braces, like {{language}}, are asked for every time you use the prompt.',
+        contentPlaceholder: 'Translate the following text into {{language}}: {{text}}',
+        edit: 'Edit prompt',
+        empty: 'No saved prompts yet. Put {example} in the text to create fields to fill in.',
+        errors: {
+            contentRequired: 'The text is required',
+            invalidType: 'Invalid type: {type}',
+            nameRequired: 'A name is required',
+            notObject: 'not an object',
+            version: 'Unsupported template version: {version}'
+        },
+        exported: { one: 'Exported {count} prompt', other: 'Exported {count} prompts' },
+        library: 'Prompt library',
+        name: 'Name',
+        namePlaceholder: 'Code review',
+        new: 'New prompt',
+        nothingToExport: 'No prompts to export',
+        saved: 'Prompt saved',
+        type: 'Type',
+        types: {
+            prompt: 'Message',
+            system: 'System instructions'
+        },
+        use: 'Use',
+        variables: 'variables: {names}'
+    },
+    theme: {
+        darkEnabled: 'Dark theme on',
+        lightEnabled: 'Light theme on'
+    },
+    titles: {
+        inputLabel: 'Conversation title',
+        prompt: 'Read the conversation below and reply only with a JSON object {"title": "...", "summary": "..."}. The title: at most 6 words, without quotes or a final period. The summary: one sentence of at most 25 words. Use the language of the conversation.',
+        rename: 'Rename conversation',
+        renamed: 'Conversation renamed'
+    },
+    tour: {
+        back: 'Back',
+        close: 'Close and resume later',
+        completed: 'Tour completed: you can take it again from settings',
+        finish: 'Done',
+        next: 'Next',
+        progress: '{current} of {total}',
+        restart: 'Take the tour again',
+        skip: 'Skip tour',
+        status: {
+            completed: 'Completed. Starts again from the first step.',
+            notCompleted: 'Not completed yet.'
+        },
+        steps: {
+            composer: {
+                text: 'Type your question here, attach files or images and send. You can stop a reply at any time.',
+                title: 'Write your message'
+            },
+            import: {
+                text: 'Bring back conversations exported earlier, even from another device.',
+                title: 'Import'
+            },
+            model: {
+                text: 'Each conversation uses the model selected here. Larger models reason better, smaller ones answer faster.',
+                title: 'Pick a model'
+            },
+            newChat: {
+                text: 'Opens an empty conversation. Earlier ones stay in the sidebar.',
+                title: 'New chat'
+            },
+            palette: {
+                text: 'Press {palette} to search commands and conversations, and {shortcuts} to see and change every shortcut.',
+                title: 'Everything from the keyboard'
+            },
+            search: {
+                text: 'Find any conversation by its title or by what was said in it.',
+                title: 'Search'
+            },
+            welcome: {
+                text: 'A quick look at the main features. Use the arrow keys to move around, or Esc to close: you will pick up from here.',
+                title: 'Welcome!'
+            }
+        },
+        title: 'Guided tour'
+    },
+    transfer: {
+        errors: {
+            format: 'Unrecognized file format',
+            json: 'The file does not contain valid JSON',
+            version: 'Unsupported export version: {version}'
+        },
+        exportAll: 'Export all',
+        exportConversation: 'Export conversation',
+        exportFailed: 'Could not create the export file',
+        exported: { one: 'Exported {count} conversation', other: 'Exported {count} conversations' },
+        fields: {
+            created: 'Created',
+            model: 'Model',
+            summary: 'Summary',
+            updated: 'Updated'
+        },
+        fileName: 'conversation',
+        fileNamePlural: 'conversations',
+        import: 'Import',
+        imported: { one: 'Imported {count} conversation', other: 'Imported {count} conversations' },
+        importedPrompts: { one: 'Imported {count} prompt', other: 'Imported {count} prompts' },
+        importedTitle: 'Imported conversation',
+        invalid: {
+            attachment: 'invalid attachment',
+            content: 'invalid message content',
+            cycle: 'loop in the message tree: {id}',
+            date: 'invalid date: {field}',
+            detached: 'message missing from the tree: {id}',
+            duplicate: 'repeated message id: {id}',
+            messageId: 'invalid message id',
+            missingId: 'missing id',
+            missingMessages: 'missing messages',
+            missingTitle: 'missing title',
+            model: 'invalid model id',
+            nodeId: 'inconsistent node: {id}',
+            notObject: 'not an object',
+            orphan: 'orphan node: {id}',
+            role: 'invalid role: {role}',
+            systemPrompt: 'invalid system prompt',
+            tree: 'invalid message tree'
+        },
+        merged: { one: '{count} merged', other: '{count} merged' },
+        nothingToExport: 'No conversations to export',
+        prompts: { one: '{count} prompt', other: '{count} prompts' },
+        skipped: { one: '{count} skipped', other: '{count} skipped' },
+        unchanged: { one: '{count} already there', other: '{count} already there' }
+    },
+    trash: {
+        deletedAt: 'Deleted {time}',
+        empty: 'The trash is empty',
+        emptyAction: 'Empty trash',
+        moveToTrash: 'Move to trash',
+        moved: { one: 'Conversation moved to the trash', other: '{count} conversations moved to the trash' },
+        purge: 'Delete permanently',
+        purged: { one: 'Conversation deleted permanently', other: '{count} conversations deleted permanently' },
+        restored: { one: 'Conversation restored', other: '{count} conversations restored' },
+        retention: { one: 'Deleted after {count} day', other: 'Deleted after {count} days' },
+        show: 'Show trash',
+        title: 'Trash'
+    },
+    undo: {
+        action: 'Undo',
+        done: 'Undone: {label}',
+        expired: 'This can no longer be undone',
+        nothing: 'Nothing to undo'
+    },
+    update: {
+        available: 'A new version is available',
+        reload: 'Reload',
+        waitForReply: 'Wait for the reply to finish before updating'
+    },
+    usage: {
+        breakdown: 'Input: {input} • Output: {output}',
+        breakdownEstimated: 'Input: {input} • Output: {output} (local estimate)',
+        budgetExceeded: 'Monthly budget exceeded: {spent} of {budget}',
+        budgetWarning: "You've used {spent} of your {budget} monthly budget",
+        chartLabel: 'Tokens used over the last days',
+        columns: {
+            cost: 'Estimated cost',
+            model: 'Model'
+        },
+        disclaimer: 'Counts come from the provider when available, otherwise from a local estimate. Costs are estimated from list prices and are not a bill.',
+        empty: 'No usage recorded yet',
+        monthCost: "This month's estimated cost",
+        ofBudget: 'of {budget}',
+        perDay: 'Tokens per day',
+        perModel: 'By model',
+        requests: 'Requests',
+        title: 'Usage',
+        tokens: { one: '{count} token', other: '{count} tokens' },
+        tokensInDays: { one: 'Tokens (last day)', other: 'Tokens ({count} days)' },
+        topConversations: 'Most expensive conversations'
+    },
+    vault: {
+        change: {
+            description: 'All stored data will be encrypted again with the new passphrase.',
+            done: 'Passphrase changed',
+            submit: 'Change and re-encrypt',
+            title: 'Change passphrase'
+        },
+        confirmPassphrase: 'Repeat the new passphrase',
+        currentPassphrase: 'Current passphrase',
+        disable: {
+            description: 'Your data will be decrypted and stored unencrypted in this browser.',
+            done: 'Vault disabled',
+            submit: 'Disable and decrypt',
+            title: 'Disable vault'
+        },
+        enable: {
+            description: 'Conversations, settings (API keys included) and JSON exports will be encrypted. If you forget the passphrase they cannot be recovered.',
+            done: 'Vault enabled: your data is encrypted',
+            submit: 'Enable and encrypt',
+            title: 'Enable vault'
+        },
+        errors: {
+            locked: 'The vault is locked',
+            mismatch: 'The passphrases do not match',
+            tooShort: 'The passphrase must be at least {min} characters long',
+            unavailable: 'Encryption requires a secure connection (HTTPS)',
+            wrongPassphrase: 'Wrong passphrase'
+        },
+        import: {
+            description: '"{name}" is encrypted. Enter the passphrase it was exported with.',
+            title: 'Encrypted file'
+        },
+        lock: {
+            confirmErase: 'Without the passphrase the data cannot be recovered. Erase all conversations and settings in this browser and start over?',
+            description: 'Enter your passphrase to decrypt the conversations stored in this browser.',
+            eraseFailed: "Could not erase the data. Close the app's other tabs and try again",
+            forgot: 'Forgot passphrase?',
+            title: 'Claude AI Suite is locked',
+            unlock: 'Unlock'
+        },
+        lockNow: 'Lock now',
+        newPassphrase: 'New passphrase',
+        passphrase: 'Passphrase',
+        plainExport: 'This format cannot be encrypted and anyone who opens the file can read it. Export anyway?',
+        status: {
+            disabled: 'Off: data is stored unencrypted in this browser',
+            enabled: 'On: conversations, settings and JSON exports are encrypted with your passphrase'
+        },
+        title: 'Vault'
+    },
+    welcome: {
+        features: {
+            code: {
+                text: 'Syntax highlighting and rich formatting',
+                title: 'Code support'
+            },
+            design: {
+                text: 'Professional design with light and dark themes',
+                title: 'Modern interface'
+            },
+            privacy: {
+                text: 'Your data stays on your device',
+                title: 'Privacy first'
+            },
+            speed: {
+                text: 'Instant answers from the most advanced Claude models',
+                title: 'Fast and powerful'
+            }
+        },
+        howItWorks: 'How it works',
+        newChat: 'Start a new chat',
+        subtitle: 'A professional interface for advanced AI conversations',
+        title: 'Welcome to Claude AI Suite'
+    }
+};
+
+if (typeof I18n !== 'undefined') {
+    I18n.register('en', LOCALE_EN);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LOCALE_EN;
+}
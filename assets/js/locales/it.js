@@ -0,0 +1,673 @@
+/**
+ * Claude AI Suite - Italian Messages
+ * Italian catalog, the source language: every key must exist here
+ */
+
+const LOCALE_IT = {
+    app: {
+        loading: 'Inizializzazione in corso...'
+    },
+    attachments: {
+        attach: 'Allega file',
+        chooseVisionModel: '{model} non supporta immagini e PDF: scegli un altro modello',
+        remove: 'Rimuovi {name}',
+        tooLarge: '{name}: il file supera il limite di {limit}',
+        tooMany: { one: 'Puoi allegare al massimo {count} file per messaggio', other: 'Puoi allegare al massimo {count} file per messaggio' },
+        unsupportedType: '{name}: tipo di file non supportato',
+        visionUnsupported: '{model} non supporta immagini e PDF'
+    },
+    branches: {
+        editMessage: 'Modifica messaggio',
+        next: 'Versione successiva',
+        offline: 'Connessione necessaria per inviare il messaggio modificato',
+        previous: 'Versione precedente',
+        stillPending: 'Il messaggio è ancora in attesa di invio'
+    },
+    chat: {
+        clear: 'Svuota messaggi',
+        cleared: 'Messaggi eliminati',
+        context: 'contesto: {included}/{total} (~{tokens} token)',
+        contextBudget: { one: 'Budget di contesto: {count} token', other: 'Budget di contesto: {count} token' },
+        copied: 'Messaggio copiato',
+        copyFailed: 'Impossibile copiare il messaggio',
+        estimatedCost: 'Costo stimato: {cost}',
+        generationFailed: 'Errore durante la generazione della risposta',
+        hiddenMessages: { one: '{count} messaggio precedente nascosto', other: '{count} messaggi precedenti nascosti' },
+        messageCount: { one: '{count} messaggio', other: '{count} messaggi' },
+        regenerate: 'Rigenera',
+        replyStopped: 'Risposta interrotta',
+        showAll: 'Mostra tutti',
+        stop: 'Interrompi generazione',
+        stopShort: 'Stop',
+        stopped: 'Generazione interrotta',
+        summaryIncluded: 'riepilogo incluso',
+        tokensUsed: { one: '{count} token usato', other: '{count} token usati' },
+        waitForReply: 'Attendi la fine della risposta'
+    },
+    commands: {
+        chat: {
+            copyLast: "Copia l'ultima risposta",
+            new: 'Nuova chat',
+            next: 'Conversazione successiva',
+            previous: 'Conversazione precedente',
+            regenerate: 'Rigenera la risposta',
+            stop: 'Interrompi la risposta'
+        },
+        help: {
+            show: 'Scorciatoie da tastiera'
+        },
+        input: {
+            focus: 'Scrivi un messaggio'
+        },
+        model: {
+            choose: 'Cambia modello'
+        },
+        palette: {
+            open: 'Apri la palette dei comandi'
+        },
+        search: {
+            focus: 'Cerca nelle conversazioni'
+        },
+        settings: {
+            open: 'Apri le impostazioni'
+        },
+        sidebar: {
+            toggle: 'Mostra/nascondi la barra laterale'
+        },
+        tour: {
+            show: 'Tour guidato'
+        },
+        undo: "Annulla l'ultima azione"
+    },
+    common: {
+        add: 'Aggiungi',
+        apply: 'Applica',
+        cancel: 'Annulla',
+        close: 'Chiudi',
+        copied: 'Copiato',
+        copy: 'Copia',
+        create: 'Crea',
+        delete: 'Elimina',
+        edit: 'Modifica',
+        export: 'Esporta',
+        import: 'Importa',
+        new: 'Nuovo',
+        rename: 'Rinomina',
+        restore: 'Ripristina',
+        save: 'Salva',
+        send: 'Invia'
+    },
+    connection: {
+        failed: 'Impossibile connettersi a {provider}',
+        notConnected: '{provider} non è connesso. Controlla le impostazioni e riprova'
+    },
+    context: {
+        summary: { one: 'Riepilogo del messaggio precedente', other: 'Riepilogo dei {count} messaggi precedenti' },
+        summaryOmitted: { one: 'Riepilogo del messaggio precedente, {omitted} omessi', other: 'Riepilogo dei {count} messaggi precedenti, {omitted} omessi' }
+    },
+    conversations: {
+        created: 'Nuova chat creata',
+        defaultTitle: 'Nuova Conversazione',
+        new: 'Nuova Chat',
+        notFound: 'Conversazione non trovata',
+        title: 'Conversazioni'
+    },
+    dates: {
+        month: 'Ultimi 30 giorni',
+        older: 'Più vecchie',
+        today: 'Oggi',
+        week: 'Ultimi 7 giorni',
+        yesterday: 'Ieri'
+    },
+    header: {
+        selectModel: 'Seleziona il modello',
+        selectProvider: 'Seleziona il provider',
+        toggleMenu: 'Mostra o nascondi il menu',
+        toggleTheme: 'Cambia tema'
+    },
+    health: {
+        errors: {
+            auth: '{provider} ha rifiutato le credenziali. Controlla la chiave API nelle impostazioni.',
+            network: 'Impossibile raggiungere {provider}. Controlla la connessione.',
+            offline: 'Sei offline: la risposta non è stata ricevuta.',
+            overloaded: '{provider} è sovraccarico in questo momento. Riprova tra poco.',
+            rateLimit: 'Troppe richieste a {provider}. Attendi qualche istante e riprova.',
+            rateLimitRetryAfter: 'Troppe richieste a {provider}. Riprova tra {seconds} s.',
+            server: '{provider} ha risposto con un errore del server. Riprova tra poco.'
+        },
+        noReply: 'Nessuna risposta ricevuta',
+        retry: 'Riprova',
+        status: {
+            checking: 'Verifica della connessione a {provider}…',
+            error: '{provider} non raggiungibile',
+            offline: 'Offline',
+            online: 'Connesso a {provider}',
+            rateLimited: 'Limite di richieste di {provider}: riprova tra {seconds} s',
+            rateLimitedNoWait: 'Limite di richieste di {provider} raggiunto',
+            retrying: 'Nuovo tentativo {attempt}/{max} tra {seconds} s'
+        }
+    },
+    keybindings: {
+        change: 'Cambia scorciatoia',
+        description: 'Fai clic su una scorciatoia e premi i nuovi tasti. Esc annulla, Backspace la rimuove.',
+        errors: {
+            conflict: '{keys} è già usata da «{command}»'
+        },
+        none: 'Nessuna',
+        recording: 'Premi i tasti…',
+        reset: 'Ripristina',
+        resetAll: 'Ripristina tutte',
+        title: 'Scorciatoie da tastiera'
+    },
+    markdown: {
+        copyCode: 'Copia codice',
+        copyFailed: 'Impossibile copiare il codice',
+        download: 'Scarica come file'
+    },
+    models: {
+        add: {
+            contextWindow: 'Finestra di contesto (token)',
+            id: 'ID modello',
+            maxTokens: 'Token massimi in uscita',
+            name: 'Nome visualizzato',
+            title: 'Aggiungi modello',
+            vision: 'Supporta immagini'
+        },
+        addOption: 'Aggiungi modello…',
+        added: 'Modello {name} aggiunto',
+        context: 'Contesto: {tokens} token',
+        cost: 'Costo: {cost}',
+        customDescription: 'Modello personalizzato',
+        customGroup: 'Personalizzati',
+        descriptions: {
+            'claude-3-haiku-20240307': 'Risposte rapide per compiti semplici',
+            'claude-3-opus-20240229': 'Il modello più potente per compiti complessi',
+            'claude-3-sonnet-20240229': 'Equilibrio tra prestazioni e velocità'
+        },
+        errors: {
+            contextWindow: 'Finestra di contesto non valida',
+            duplicate: 'Esiste già un modello con questo ID',
+            id: "L'ID del modello non può essere vuoto né contenere spazi, virgolette o i caratteri < > &",
+            maxTokens: 'Token massimi in uscita non validi',
+            maxTokensTooLarge: 'I token in uscita devono essere inferiori alla finestra di contesto'
+        },
+        output: 'Output: {tokens} token',
+        textOnly: 'Solo testo',
+        vision: 'Immagini supportate'
+    },
+    organizer: {
+        archive: 'Archivia',
+        archiveEmpty: 'Nessuna conversazione archiviata',
+        archiveTitle: 'Archivio',
+        archived: { one: 'Conversazione archiviata', other: '{count} conversazioni archiviate' },
+        clearSelection: 'Annulla selezione',
+        color: 'Colore',
+        conversations: { one: '{count} conversazione', other: '{count} conversazioni' },
+        deleteFolder: 'Elimina cartella',
+        deleteTag: 'Elimina tag',
+        folder: 'Cartella',
+        folderAndTags: 'Cartella e tag',
+        folderDeleted: 'Cartella "{name}" eliminata',
+        groupBy: 'Raggruppa per',
+        groupings: {
+            date: 'Data',
+            folder: 'Cartella',
+            tag: 'Tag'
+        },
+        moreActions: 'Altre azioni',
+        nameRequired: 'Il nome è obbligatorio',
+        newFolder: 'Nuova cartella',
+        newTag: 'Nuovo tag',
+        noFolder: 'Nessuna cartella',
+        noTags: 'Nessun tag',
+        pin: 'Fissa in alto',
+        pinned: 'Fissate',
+        renameFolder: 'Rinomina cartella',
+        select: 'Seleziona conversazione',
+        selected: { one: '{count} selezionata', other: '{count} selezionate' },
+        showArchive: 'Mostra archivio',
+        tagDeleted: 'Tag "{name}" eliminato',
+        tags: 'Tag',
+        unarchived: { one: 'Conversazione ripristinata', other: '{count} conversazioni ripristinate' },
+        unchanged: '(invariata)',
+        unpin: 'Sblocca',
+        withoutFolder: 'Senza cartella',
+        withoutTags: 'Senza tag'
+    },
+    outbox: {
+        pending: 'In attesa di invio',
+        queued: 'Sei offline: il messaggio verrà inviato al ritorno della connessione'
+    },
+    palette: {
+        current: 'attuale',
+        groups: {
+            command: 'Comando',
+            conversation: 'Conversazione',
+            model: 'Modello'
+        },
+        modelPlaceholder: 'Cerca un modello…',
+        noResults: 'Nessun risultato',
+        placeholder: 'Cerca comandi e conversazioni…',
+        title: 'Comandi'
+    },
+    providers: {
+        anthropic: {
+            name: 'Anthropic API'
+        },
+        errors: {
+            missingKey: '{provider}: chiave API mancante',
+            missingUrl: "{provider}: URL dell'endpoint mancante"
+        },
+        mock: {
+            model: 'Eco simulato',
+            name: 'Simulato (offline)',
+            reply: 'Risposta simulata a: "{prompt}"'
+        },
+        notConfigured: '{provider} (da configurare)',
+        openai: {
+            name: 'Compatibile OpenAI',
+            pdfUnsupported: '[PDF allegato omesso: questo provider non supporta i documenti]'
+        },
+        puter: {
+            name: 'Puter.js'
+        }
+    },
+    roles: {
+        assistant: 'Assistente',
+        user: 'Utente'
+    },
+    search: {
+        allModels: 'Tutti i modelli',
+        anyDate: 'Qualsiasi data',
+        filterDate: 'Filtra per data',
+        filterModel: 'Filtra per modello',
+        noResults: 'Nessun risultato',
+        placeholder: 'Cerca nelle conversazioni...'
+    },
+    settings: {
+        errors: {
+            integer: 'Inserisci un numero intero',
+            invalidOption: 'Opzione non valida',
+            invalidValue: 'Valore non valido',
+            max: 'Il massimo è {max}',
+            min: 'Il minimo è {min}',
+            number: 'Inserisci un numero',
+            unknownType: 'Tipo sconosciuto: {type}',
+            url: 'Inserisci un URL http o https valido'
+        },
+        fields: {
+            anthropicApiKey: {
+                description: 'Salvata solo in questo browser e inviata solo ad api.anthropic.com',
+                label: 'Chiave API Anthropic'
+            },
+            autoLockMinutes: {
+                description: "Con la cassaforte attiva, blocca l'app dopo questi minuti di inattività. 0 per disattivare",
+                label: 'Blocco automatico (minuti)'
+            },
+            autoSave: {
+                description: 'Salva le conversazioni a ogni modifica invece che solo alla chiusura',
+                label: 'Salvataggio automatico'
+            },
+            autoTitle: {
+                description: 'Genera titolo e riassunto con il modello più economico dopo il primo scambio',
+                label: 'Titoli automatici'
+            },
+            contextLength: {
+                description: 'Quanti messaggi recenti vengono inviati al modello',
+                label: 'Messaggi di contesto'
+            },
+            defaultProvider: {
+                description: 'Usato per le nuove conversazioni; ognuna ricorda il proprio',
+                label: 'Provider predefinito',
+                options: {
+                    anthropic: 'Anthropic API',
+                    mock: 'Simulato (offline)',
+                    openai: 'Compatibile OpenAI',
+                    puter: 'Puter.js (nessuna chiave)'
+                }
+            },
+            enterToSend: {
+                description: 'Maiusc+Invio per andare a capo. Ctrl+Invio invia sempre',
+                label: 'Invia con Invio'
+            },
+            language: {
+                description: "Lingua dell'interfaccia, delle date e dei numeri",
+                label: 'Lingua',
+                options: {
+                    auto: 'Automatica (lingua del browser)',
+                    en: 'English',
+                    it: 'Italiano'
+                }
+            },
+            maxOutputTokens: {
+                description: 'Lunghezza massima di ogni risposta',
+                label: 'Token massimi in uscita'
+            },
+            messageLimit: {
+                description: 'Numero massimo di messaggi mostrati quando si apre una conversazione',
+                label: 'Messaggi visualizzati'
+            },
+            monthlyBudget: {
+                description: "Avvisa all'80% e al 100% della spesa stimata del mese. 0 per disattivare",
+                label: 'Budget mensile (USD)'
+            },
+            openaiApiKey: {
+                description: 'Facoltativa per i server locali',
+                label: 'Chiave API compatibile OpenAI'
+            },
+            openaiBaseUrl: {
+                description: "Indirizzo base dell'API, ad esempio di Ollama, LM Studio o OpenAI",
+                label: 'URL endpoint compatibile OpenAI'
+            },
+            showTimestamps: {
+                description: "Visualizza l'ora di ogni messaggio",
+                label: 'Mostra orari'
+            },
+            temperature: {
+                description: 'Valori bassi danno risposte più deterministiche',
+                label: 'Temperatura'
+            },
+            trashRetentionDays: {
+                description: 'Le conversazioni eliminate vengono cancellate definitivamente dopo questo periodo',
+                label: 'Giorni nel cestino'
+            }
+        },
+        modelToConfigure: 'Modello da configurare',
+        removeModel: 'Rimuovi modello',
+        reset: 'Ripristina predefiniti',
+        resetDone: 'Impostazioni ripristinate',
+        sections: {
+            customModels: 'Modelli personalizzati',
+            general: 'Generali',
+            model: 'Modello',
+            providers: 'Provider',
+            security: 'Sicurezza'
+        },
+        title: 'Impostazioni'
+    },
+    share: {
+        unavailable: 'Il contenuto condiviso non è più disponibile'
+    },
+    storage: {
+        loadFailed: 'Impossibile caricare le conversazioni salvate',
+        quotaExceeded: 'Spazio di archiviazione esaurito: esporta o elimina alcune conversazioni',
+        saveFailed: 'Salvataggio delle conversazioni non riuscito'
+    },
+    sync: {
+        busyElsewhere: "Un'altra scheda sta già rispondendo in questa conversazione",
+        merged: { one: '"{title}" è stata modificata anche in un\'altra scheda: le modifiche sono state unite', other: "{count} conversazioni sono state modificate anche in un'altra scheda: le modifiche sono state unite" }
+    },
+    systemPrompt: {
+        chooseTemplate: 'Scegli un modello…',
+        content: 'Istruzioni',
+        description: 'Valgono solo per questa conversazione e vengono inviate prima dei messaggi.',
+        loadTemplate: 'Carica da un modello',
+        noTemplates: 'Nessun modello salvato',
+        placeholder: 'Es. Sei un revisore di codice esigente. Rispondi in italiano.',
+        removed: 'Istruzioni di sistema rimosse',
+        saveAsTemplate: 'Salva come modello',
+        title: 'Istruzioni di sistema',
+        updated: 'Istruzioni di sistema aggiornate'
+    },
+    templates: {
+        button: 'Prompt',
+        confirmDelete: 'Eliminare il prompt "{name}"?',
+        content: 'Testo',
+        contentDescription: 'Le parti tra doppie graffe, come {{lingua}}, vengono chieste ogni volta che usi il prompt.',
+        contentPlaceholder: 'Traduci in {{lingua}} il testo seguente: {{testo}}',
+        edit: 'Modifica prompt',
+        empty: 'Nessun prompt salvato. Usa {example} nel testo per creare campi da compilare.',
+        errors: {
+            contentRequired: 'Il testo è obbligatorio',
+            invalidType: 'Tipo non valido: {type}',
+            nameRequired: 'Il nome è obbligatorio',
+            notObject: 'non è un oggetto',
+            version: 'Versione dei modelli non supportata: {version}'
+        },
+        exported: { one: 'Esportato {count} prompt', other: 'Esportati {count} prompt' },
+        library: 'Libreria prompt',
+        name: 'Nome',
+        namePlaceholder: 'Revisione del codice',
+        new: 'Nuovo prompt',
+        nothingToExport: 'Nessun prompt da esportare',
+        saved: 'Prompt salvato',
+        type: 'Tipo',
+        types: {
+            prompt: 'Messaggio',
+            system: 'Istruzioni di sistema'
+        },
+        use: 'Usa',
+        variables: 'variabili: {names}'
+    },
+    theme: {
+        darkEnabled: 'Tema scuro attivato',
+        lightEnabled: 'Tema chiaro attivato'
+    },
+    titles: {
+        inputLabel: 'Titolo della conversazione',
+        prompt: 'Leggi la conversazione qui sotto e rispondi solo con un oggetto JSON {"title": "...", "summary": "..."}. Il titolo: al massimo 6 parole, senza virgolette né punto finale. Il riassunto: una frase di al massimo 25 parole. Usa la lingua della conversazione.',
+        rename: 'Rinomina conversazione',
+        renamed: 'Conversazione rinominata'
+    },
+    tour: {
+        back: 'Indietro',
+        close: 'Chiudi e riprendi più tardi',
+        completed: 'Tour completato: puoi rivederlo dalle impostazioni',
+        finish: 'Fine',
+        next: 'Avanti',
+        progress: '{current} di {total}',
+        restart: 'Rivedi il tour',
+        skip: 'Salta il tour',
+        status: {
+            completed: 'Completato. Ricomincia dal primo passo.',
+            notCompleted: 'Non ancora completato.'
+        },
+        steps: {
+            composer: {
+                text: 'Scrivi qui la domanda, allega file o immagini e invia. Puoi fermare una risposta in qualsiasi momento.',
+                title: 'Scrivi il messaggio'
+            },
+            import: {
+                text: 'Riporta qui conversazioni esportate in precedenza, anche da un altro dispositivo.',
+                title: 'Importa'
+            },
+            model: {
+                text: 'Ogni conversazione usa il modello selezionato qui. I modelli più grandi ragionano meglio, quelli più piccoli rispondono più in fretta.',
+                title: 'Scegli il modello'
+            },
+            newChat: {
+                text: 'Apre una conversazione vuota. Quelle precedenti restano nella barra laterale.',
+                title: 'Nuova chat'
+            },
+            palette: {
+                text: 'Premi {palette} per cercare comandi e conversazioni, e {shortcuts} per vedere e cambiare tutte le scorciatoie.',
+                title: 'Tutto dalla tastiera'
+            },
+            search: {
+                text: 'Trova qualsiasi conversazione per titolo o per contenuto dei messaggi.',
+                title: 'Cerca'
+            },
+            welcome: {
+                text: 'Un giro veloce tra le funzioni principali. Usa le frecce per spostarti o Esc per chiudere: riprenderai da qui.',
+                title: 'Benvenuto!'
+            }
+        },
+        title: 'Tour guidato'
+    },
+    transfer: {
+        errors: {
+            format: 'Formato di file non riconosciuto',
+            json: 'Il file non contiene JSON valido',
+            version: 'Versione di esportazione non supportata: {version}'
+        },
+        exportAll: 'Esporta Tutto',
+        exportConversation: 'Esporta conversazione',
+        exportFailed: 'Impossibile creare il file di esportazione',
+        exported: { one: 'Esportata {count} conversazione', other: 'Esportate {count} conversazioni' },
+        fields: {
+            created: 'Creata',
+            model: 'Modello',
+            summary: 'Riassunto',
+            updated: 'Aggiornata'
+        },
+        fileName: 'conversazione',
+        fileNamePlural: 'conversazioni',
+        import: 'Importazione',
+        imported: { one: 'Importata {count} conversazione', other: 'Importate {count} conversazioni' },
+        importedPrompts: { one: 'Importato {count} prompt', other: 'Importati {count} prompt' },
+        importedTitle: 'Conversazione importata',
+        invalid: {
+            attachment: 'allegato non valido',
+            content: 'contenuto del messaggio non valido',
+            cycle: "ciclo nell'albero dei messaggi: {id}",
+            date: 'data non valida: {field}',
+            detached: "messaggio assente dall'albero: {id}",
+            duplicate: 'id del messaggio ripetuto: {id}',
+            messageId: 'id del messaggio non valido',
+            missingId: 'id mancante',
+            missingMessages: 'messaggi mancanti',
+            missingTitle: 'titolo mancante',
+            model: 'id del modello non valido',
+            nodeId: 'nodo incoerente: {id}',
+            notObject: 'non è un oggetto',
+            orphan: 'nodo orfano: {id}',
+            role: 'ruolo non valido: {role}',
+            systemPrompt: 'istruzioni di sistema non valide',
+            tree: 'albero dei messaggi non valido'
+        },
+        merged: { one: '{count} unita', other: '{count} unite' },
+        nothingToExport: 'Nessuna conversazione da esportare',
+        prompts: { one: '{count} prompt', other: '{count} prompt' },
+        skipped: { one: '{count} scartata', other: '{count} scartate' },
+        unchanged: { one: '{count} già presente', other: '{count} già presenti' }
+    },
+    trash: {
+        deletedAt: 'Eliminata {time}',
+        empty: 'Il cestino è vuoto',
+        emptyAction: 'Svuota cestino',
+        moveToTrash: 'Sposta nel cestino',
+        moved: { one: 'Conversazione spostata nel cestino', other: '{count} conversazioni spostate nel cestino' },
+        purge: 'Elimina definitivamente',
+        purged: { one: 'Conversazione eliminata definitivamente', other: '{count} conversazioni eliminate definitivamente' },
+        restored: { one: 'Conversazione ripristinata', other: '{count} conversazioni ripristinate' },
+        retention: { one: 'Eliminate dopo {count} giorno', other: 'Eliminate dopo {count} giorni' },
+        show: 'Mostra cestino',
+        title: 'Cestino'
+    },
+    undo: {
+        action: 'Annulla',
+        done: 'Annullato: {label}',
+        expired: 'Non è più possibile annullare',
+        nothing: 'Niente da annullare'
+    },
+    update: {
+        available: 'È disponibile una nuova versione',
+        reload: 'Ricarica',
+        waitForReply: 'Attendi la fine della risposta prima di aggiornare'
+    },
+    usage: {
+        breakdown: 'Input: {input} • Output: {output}',
+        breakdownEstimated: 'Input: {input} • Output: {output} (stima locale)',
+        budgetExceeded: 'Budget mensile superato: {spent} su {budget}',
+        budgetWarning: 'Hai usato {spent} del budget mensile di {budget}',
+        chartLabel: 'Token utilizzati negli ultimi giorni',
+        columns: {
+            cost: 'Costo stimato',
+            model: 'Modello'
+        },
+        disclaimer: 'I conteggi usano i dati del provider quando disponibili, altrimenti una stima locale. I costi sono stimati sui prezzi di listino e non corrispondono a un addebito.',
+        empty: 'Nessun utilizzo registrato',
+        monthCost: 'Costo stimato del mese',
+        ofBudget: 'su {budget}',
+        perDay: 'Token al giorno',
+        perModel: 'Per modello',
+        requests: 'Richieste',
+        title: 'Utilizzo',
+        tokens: { one: '{count} token', other: '{count} token' },
+        tokensInDays: { one: 'Token (ultimo giorno)', other: 'Token ({count} giorni)' },
+        topConversations: 'Conversazioni più costose'
+    },
+    vault: {
+        change: {
+            description: 'Tutti i dati salvati verranno cifrati di nuovo con la nuova passphrase.',
+            done: 'Passphrase cambiata',
+            submit: 'Cambia e cifra di nuovo',
+            title: 'Cambia passphrase'
+        },
+        confirmPassphrase: 'Ripeti la nuova passphrase',
+        currentPassphrase: 'Passphrase attuale',
+        disable: {
+            description: 'I dati verranno decifrati e salvati in chiaro in questo browser.',
+            done: 'Cassaforte disattivata',
+            submit: 'Disattiva e decifra',
+            title: 'Disattiva cassaforte'
+        },
+        enable: {
+            description: 'Le conversazioni, le impostazioni (chiavi API comprese) e le esportazioni JSON verranno cifrate. Se dimentichi la passphrase non potrai recuperarle.',
+            done: 'Cassaforte attivata: i dati sono cifrati',
+            submit: 'Attiva e cifra',
+            title: 'Attiva cassaforte'
+        },
+        errors: {
+            locked: 'La cassaforte è bloccata',
+            mismatch: 'Le due passphrase non coincidono',
+            tooShort: 'La passphrase deve avere almeno {min} caratteri',
+            unavailable: 'La cifratura richiede una connessione sicura (HTTPS)',
+            wrongPassphrase: 'Passphrase errata'
+        },
+        import: {
+            description: '"{name}" è cifrato. Inserisci la passphrase con cui è stato esportato.',
+            title: 'File cifrato'
+        },
+        lock: {
+            confirmErase: 'Senza passphrase i dati non possono essere recuperati. Cancellare tutte le conversazioni e le impostazioni di questo browser e ricominciare?',
+            description: 'Inserisci la passphrase per decifrare le conversazioni salvate in questo browser.',
+            eraseFailed: "Impossibile cancellare i dati. Chiudi le altre schede dell'app e riprova",
+            forgot: 'Passphrase dimenticata?',
+            title: 'Claude AI Suite è bloccato',
+            unlock: 'Sblocca'
+        },
+        lockNow: 'Blocca ora',
+        newPassphrase: 'Nuova passphrase',
+        passphrase: 'Passphrase',
+        plainExport: 'Questo formato non può essere cifrato e il file sarà leggibile da chiunque lo apra. Esportare comunque?',
+        status: {
+            disabled: 'Disattivata: i dati sono salvati in chiaro in questo browser',
+            enabled: 'Attiva: conversazioni, impostazioni ed esportazioni JSON sono cifrate con la tua passphrase'
+        },
+        title: 'Cassaforte'
+    },
+    welcome: {
+        features: {
+            code: {
+                text: 'Syntax highlighting e formattazione avanzata',
+                title: 'Supporto Codice'
+            },
+            design: {
+                text: 'Design professionale con tema chiaro/scuro',
+                title: 'Interfaccia Moderna'
+            },
+            privacy: {
+                text: 'I tuoi dati rimangono sul tuo dispositivo',
+                title: 'Privacy First'
+            },
+            speed: {
+                text: 'Risposte istantanee con i modelli Claude più avanzati',
+                title: 'Veloce e Potente'
+            }
+        },
+        howItWorks: 'Come Funziona',
+        newChat: 'Inizia una Nuova Chat',
+        subtitle: 'Interfaccia professionale per conversazioni AI avanzate',
+        title: 'Benvenuto in Claude AI Suite'
+    }
+};
+
+if (typeof I18n !== 'undefined') {
+    I18n.register('it', LOCALE_IT);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LOCALE_IT;
+}
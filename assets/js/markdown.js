@@ -0,0 +1,138 @@
+/**
+ * Claude AI Suite - Markdown Renderer
+ * Sanitized Markdown with highlighted code blocks and KaTeX math
+ */
+
+class MarkdownRenderer {
+    constructor(options = {}) {
+        this.i18n = options.i18n || new I18n();
+        this.configured = false;
+    }
+
+    // The libraries come from a CDN; without them we fall back to escaped plain text
+    isAvailable() {
+        return typeof marked !== 'undefined' && typeof DOMPurify !== 'undefined';
+    }
+
+    static get EXTENSIONS() {
+        return {
+            javascript: 'js', typescript: 'ts', python: 'py', ruby: 'rb', rust: 'rs',
+            go: 'go', java: 'java', kotlin: 'kt', swift: 'swift', csharp: 'cs',
+            cpp: 'cpp', c: 'c', php: 'php', bash: 'sh', shell: 'sh', sh: 'sh',
+            powershell: 'ps1', sql: 'sql', html: 'html', xml: 'xml', css: 'css',
+            scss: 'scss', json: 'json', yaml: 'yml', yml: 'yml', markdown: 'md',
+            dockerfile: 'Dockerfile', plaintext: 'txt'
+        };
+    }
+
+    configure() {
+        if (this.configured) return;
+        
+        marked.use({
+            gfm: true,
+            breaks: true,
+            extensions: [this.mathExtension('block'), this.mathExtension('inline')],
+            renderer: {
+                code: (code, infostring) => this.renderCodeBlock(code, infostring)
+            }
+        });
+        
+        // Links in replies always open outside the app
+        DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+            if (node.tagName === 'A') {
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+        });
+        this.configured = true;
+    }
+
+    render(text) {
+        if (!this.isAvailable()) {
+            return this.escape(text).replace(/\n/g, '<br>');
+        }
+        
+        this.configure();
+        return DOMPurify.sanitize(marked.parse(text), {
+            FORBID_TAGS: ['style', 'form', 'input', 'button']
+        });
+    }
+
+    // $$…$$ on its own lines, or $…$ inline; a lone "$5" is left alone
+    mathExtension(level) {
+        const block = level === 'block';
+        const pattern = block ? /^\$\$\n?([\s\S]+?)\n?\$\$(?:\n|$)/ : /^\$(?!\s)((?:\\\$|[^$\n])+?)(?<!\s)\$(?!\d)/;
+        
+        return {
+            name: block ? 'mathBlock' : 'mathInline',
+            level,
+            start: (src) => src.indexOf(block ? '$$' : '$'),
+            tokenizer: (src) => {
+                const match = pattern.exec(src);
+                if (!match) return undefined;
+                return { type: block ? 'mathBlock' : 'mathInline', raw: match[0], text: match[1].trim() };
+            },
+            renderer: (token) => this.renderMath(token.text, block)
+        };
+    }
+
+    renderMath(tex, displayMode) {
+        if (typeof katex === 'undefined') {
+            const escaped = this.escape(tex);
+            return displayMode ? `<pre class="math-fallback">${escaped}</pre>` : `<code>${escaped}</code>`;
+        }
+        
+        const html = katex.renderToString(tex, { displayMode, throwOnError: false, output: 'htmlAndMathml' });
+        return displayMode ? `<div class="math-block">${html}</div>` : html;
+    }
+
+    renderCodeBlock(code, infostring) {
+        const language = (infostring || '').match(/^\S*/)[0].toLowerCase();
+        const label = language || 'testo';
+        const source = code.replace(/\n$/, '');
+        
+        return `
+            <div class="code-block" data-language="${this.escape(language)}">
+                <div class="code-block-header">
+                    <span class="code-block-language">${this.escape(label)}</span>
+                    <div class="code-block-actions">
+                        <span class="code-action" role="button" tabindex="0" data-code-action="copy" title="${this.i18n.t('markdown.copyCode')}"><i class="fas fa-copy"></i> ${this.i18n.t('common.copy')}</span>
+                        <span class="code-action" role="button" tabindex="0" data-code-action="download" title="${this.i18n.t('markdown.download')}"><i class="fas fa-download"></i></span>
+                    </div>
+                </div>
+                <pre><code class="hljs${language ? ` language-${this.escape(language)}` : ''}">${this.highlight(source, language)}</code></pre>
+            </div>
+        `;
+    }
+
+    // Only highlight languages highlight.js knows; auto-detection is too slow to run on every streamed chunk
+    highlight(code, language) {
+        if (typeof hljs !== 'undefined' && language && hljs.getLanguage(language)) {
+            try {
+                return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+            } catch (error) {
+                console.warn(`⚠️ Highlighting failed for ${language}:`, error);
+            }
+        }
+        return this.escape(code);
+    }
+
+    fileNameFor(language) {
+        const extension = MarkdownRenderer.EXTENSIONS[language] || language || 'txt';
+        return extension === 'Dockerfile' ? extension : `snippet.${extension}`;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
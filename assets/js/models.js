@@ -0,0 +1,187 @@
+/**
+ * Claude AI Suite - Model Registry
+ * Built-in models from CONFIG.MODELS plus user-defined model IDs
+ */
+
+class ModelRegistry {
+    constructor(options = {}) {
+        this.builtins = options.models || CONFIG.MODELS;
+        this.storageKey = options.storageKey || CONFIG.STORAGE_KEYS.CUSTOM_MODELS;
+        this.i18n = options.i18n || new I18n();
+        this.custom = this.loadCustom();
+        // Provider id -> models listed by that provider's endpoint, known for this session only
+        this.discovered = {};
+    }
+
+    loadCustom() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.warn('⚠️ Custom models are corrupted, ignoring them:', error);
+            return [];
+        }
+    }
+
+    saveCustom() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.custom));
+    }
+
+    list() {
+        const builtins = Object.entries(this.builtins).map(([id, model]) => ({ id, ...model, custom: false }));
+        return [...builtins, ...this.custom.map(model => ({ ...model, custom: true }))];
+    }
+
+    has(id) {
+        return Boolean(this.builtins[id]) || this.custom.some(model => model.id === id) ||
+            Object.values(this.discovered).some(models => models.some(model => model.id === id));
+    }
+
+    // Unknown IDs (e.g. from an imported or older conversation) still get usable defaults
+    get(id) {
+        if (this.builtins[id]) return { id, ...this.builtins[id], custom: false };
+        
+        const custom = this.custom.find(model => model.id === id);
+        if (custom) return { ...custom, custom: true };
+        
+        const discovered = Object.values(this.discovered).flat().find(model => model.id === id);
+        if (discovered) return { ...discovered, custom: false };
+        
+        return {
+            id,
+            name: id,
+            description: '',
+            contextWindow: CONFIG.DEFAULT_CONTEXT_WINDOW,
+            maxTokens: 4096,
+            vision: false,
+            relativeCost: null,
+            custom: true,
+            unknown: true
+        };
+    }
+
+    getDefault() {
+        return this.get(CONFIG.DEFAULT_MODEL);
+    }
+
+    // Cheapest known model, for background work such as health checks
+    cheapest() {
+        return this.list()
+            .filter(model => model.relativeCost)
+            .sort((a, b) => a.relativeCost - b.relativeCost)[0] || this.getDefault();
+    }
+
+    // Ids end up in markup and in files from other devices; nothing that could break out of an attribute
+    static isValidId(id) {
+        return typeof id === 'string' && id.length > 0 && !/[\s"'<>&]/.test(id);
+    }
+
+    // Returns a description of the problem, or null if the model can be added
+    validateCustom(model) {
+        if (!ModelRegistry.isValidId(model.id)) return this.i18n.t('models.errors.id');
+        if (this.has(model.id)) return this.i18n.t('models.errors.duplicate');
+        if (!Number.isInteger(model.contextWindow) || model.contextWindow < 1) return this.i18n.t('models.errors.contextWindow');
+        if (!Number.isInteger(model.maxTokens) || model.maxTokens < 1) return this.i18n.t('models.errors.maxTokens');
+        if (model.maxTokens >= model.contextWindow) return this.i18n.t('models.errors.maxTokensTooLarge');
+        return null;
+    }
+
+    addCustom(model) {
+        const error = this.validateCustom(model);
+        if (error) throw new Error(error);
+        
+        this.custom.push({
+            id: model.id,
+            name: model.name || model.id,
+            contextWindow: model.contextWindow,
+            maxTokens: model.maxTokens,
+            vision: Boolean(model.vision),
+            relativeCost: null
+        });
+        this.saveCustom();
+    }
+
+    removeCustom(id) {
+        this.custom = this.custom.filter(model => model.id !== id);
+        this.saveCustom();
+    }
+
+    // The endpoint's own model list, for providers that don't serve the built-in Claude models
+    setDiscovered(providerId, models) {
+        this.discovered[providerId] = models.filter(model => ModelRegistry.isValidId(model.id)).map(model => ({
+            id: model.id,
+            name: model.name || model.id,
+            contextWindow: CONFIG.DEFAULT_CONTEXT_WINDOW,
+            maxTokens: 4096,
+            vision: false,
+            relativeCost: null,
+            discovered: true
+        }));
+    }
+
+    discoveredFor(providerId) {
+        return this.discovered[providerId] || [];
+    }
+
+    /*
+     * Fills a <select>; `extraId` keeps an unknown model selectable for the conversation that uses it.
+     * `source` ({ label, models }) replaces the built-in models, e.g. with those of a local server.
+     */
+    populateSelect(select, { selected, extraId, addOption = false, source = null } = {}) {
+        const models = this.list();
+        const option = (model) =>
+            `<option value="${this.escape(model.id)}" title="${this.describe(model)}">${this.escape(model.name)}</option>`;
+        
+        const primary = source || { label: 'Anthropic', models: models.filter(m => !m.custom) };
+        let html = `<optgroup label="${this.escape(primary.label)}">${primary.models.map(option).join('')}</optgroup>`;
+        
+        const custom = models.filter(m => m.custom);
+        if (extraId && ![...primary.models, ...custom].some(model => model.id === extraId)) {
+            custom.push(this.get(extraId));
+        }
+        if (custom.length > 0) {
+            html += `<optgroup label="${this.i18n.t('models.customGroup')}">${custom.map(option).join('')}</optgroup>`;
+        }
+        if (addOption) {
+            html += `<option value="${ModelRegistry.ADD_OPTION}">＋ ${this.i18n.t('models.addOption')}</option>`;
+        }
+        
+        select.innerHTML = html;
+        const fallback = source ? primary.models[0]?.id || '' : CONFIG.DEFAULT_MODEL;
+        select.value = selected && [...primary.models, ...custom].some(model => model.id === selected) ? selected : fallback;
+    }
+
+    // Built-in descriptions can be translated under models.descriptions.<id>
+    description(model) {
+        if (model.unknown || model.discovered) return '';
+        if (model.custom) return this.i18n.t('models.customDescription');
+        const key = `models.descriptions.${model.id}`;
+        return this.i18n.has(key) ? this.i18n.t(key) : model.description;
+    }
+
+    describe(model) {
+        const parts = [
+            this.description(model),
+            this.i18n.t('models.context', { tokens: model.contextWindow }),
+            this.i18n.t('models.output', { tokens: model.maxTokens }),
+            this.i18n.t(model.vision ? 'models.vision' : 'models.textOnly')
+        ];
+        if (model.relativeCost) parts.push(this.i18n.t('models.cost', { cost: '€'.repeat(model.relativeCost) }));
+        return this.escape(parts.filter(Boolean).join(' • '));
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static get ADD_OPTION() { return '__add_custom_model__'; }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelRegistry;
+}
@@ -0,0 +1,243 @@
+/**
+ * Claude AI Suite - Conversation Organizer
+ * Folders, colored tags, pinning, archiving and sidebar grouping
+ */
+
+class ConversationOrganizer {
+    constructor(options = {}) {
+        this.storage = options.storage;
+        this.i18n = options.i18n || new I18n();
+        this.generateId = options.generateId || (() => Date.now().toString(36) + Math.random().toString(36).slice(2));
+        this.state = ConversationOrganizer.emptyState();
+    }
+
+    static get META_KEY() { return 'organizer'; }
+
+    static get GROUPINGS() {
+        return ['date', 'folder', 'tag'];
+    }
+
+    // Which conversations the sidebar lists
+    static get VIEWS() {
+        return ['active', 'archived', 'trash'];
+    }
+
+    // Sections of the date grouping, labelled by dates.<key> in the catalogs
+    static get DATE_GROUPS() {
+        return ['today', 'yesterday', 'week', 'month', 'older'];
+    }
+
+    static get COLORS() {
+        return ['#6366F1', '#10B981', '#F59E0B', '#EF4444', '#EC4899', '#0EA5E9', '#8B5CF6', '#6B7280'];
+    }
+
+    static emptyState() {
+        return { folders: [], tags: [], grouping: 'date', view: 'active' };
+    }
+
+    async load() {
+        try {
+            const saved = await this.storage.getMeta(ConversationOrganizer.META_KEY);
+            this.state = { ...ConversationOrganizer.emptyState(), ...saved };
+        } catch (error) {
+            console.error('❌ Failed to load folders and tags:', error);
+        }
+        if (!ConversationOrganizer.GROUPINGS.includes(this.state.grouping)) this.state.grouping = 'date';
+        if (!ConversationOrganizer.VIEWS.includes(this.state.view)) this.state.view = 'active';
+        return this.state;
+    }
+
+    save() {
+        return this.storage.setMeta(ConversationOrganizer.META_KEY, this.state);
+    }
+
+    // Folders
+    get folders() {
+        return [...this.state.folders].sort((a, b) => this.i18n.compare(a.name, b.name));
+    }
+
+    folder(id) {
+        return this.state.folders.find(folder => folder.id === id) || null;
+    }
+
+    addFolder(name) {
+        const folder = { id: this.generateId(), name: this.requireName(name) };
+        this.state.folders.push(folder);
+        this.save();
+        return folder;
+    }
+
+    renameFolder(id, name) {
+        const folder = this.folder(id);
+        if (!folder) return;
+        folder.name = this.requireName(name);
+        this.save();
+    }
+
+    // Conversations in the folder go back to "no folder"
+    removeFolder(id, conversations) {
+        this.state.folders = this.state.folders.filter(folder => folder.id !== id);
+        conversations.forEach(conv => {
+            if (conv.folderId === id) delete conv.folderId;
+        });
+        this.save();
+    }
+
+    // Tags
+    get tags() {
+        return [...this.state.tags].sort((a, b) => this.i18n.compare(a.name, b.name));
+    }
+
+    tag(id) {
+        return this.state.tags.find(tag => tag.id === id) || null;
+    }
+
+    addTag(name, color) {
+        const colors = ConversationOrganizer.COLORS;
+        const tag = {
+            id: this.generateId(),
+            name: this.requireName(name),
+            color: colors.includes(color) ? color : colors[this.state.tags.length % colors.length]
+        };
+        this.state.tags.push(tag);
+        this.save();
+        return tag;
+    }
+
+    removeTag(id, conversations) {
+        this.state.tags = this.state.tags.filter(tag => tag.id !== id);
+        conversations.forEach(conv => this.setTag([conv], id, false));
+        this.save();
+    }
+
+    // Tags of a conversation that still exist, e.g. after importing from another device
+    tagsOf(conversation) {
+        return (conversation.tags || []).map(id => this.tag(id)).filter(Boolean);
+    }
+
+    requireName(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error(this.i18n.t('organizer.nameRequired'));
+        return trimmed;
+    }
+
+    // Bulk operations on conversations
+    moveToFolder(conversations, folderId) {
+        conversations.forEach(conv => {
+            if (folderId && this.folder(folderId)) {
+                conv.folderId = folderId;
+            } else {
+                delete conv.folderId;
+            }
+        });
+    }
+
+    setTag(conversations, tagId, enabled) {
+        conversations.forEach(conv => {
+            const tags = new Set(conv.tags || []);
+            if (enabled) {
+                tags.add(tagId);
+            } else {
+                tags.delete(tagId);
+            }
+            if (tags.size > 0) {
+                conv.tags = [...tags];
+            } else {
+                delete conv.tags;
+            }
+        });
+    }
+
+    setFlag(conversations, flag, enabled) {
+        conversations.forEach(conv => {
+            if (enabled) {
+                conv[flag] = true;
+            } else {
+                delete conv[flag];
+            }
+        });
+    }
+
+    // View
+    setGrouping(grouping) {
+        if (!ConversationOrganizer.GROUPINGS.includes(grouping)) return;
+        this.state.grouping = grouping;
+        this.save();
+    }
+
+    setView(view) {
+        if (!ConversationOrganizer.VIEWS.includes(view)) return;
+        this.state.view = view;
+        this.save();
+    }
+
+    // Date section of a conversation, from its last activity
+    dateGroupOf(conversation, now = new Date()) {
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const days = Math.floor((today - new Date(conversation.updatedAt || conversation.createdAt)) / 86400000) + 1;
+        
+        if (days <= 0) return 'today';
+        if (days === 1) return 'yesterday';
+        if (days < 7) return 'week';
+        if (days < 30) return 'month';
+        return 'older';
+    }
+
+    /*
+     * Sidebar sections as [{ label, conversations, target }], pinned first. `target` says what
+     * dropping a conversation on the section does: { folderId } or { tagId }, or null for none.
+     */
+    group(conversations) {
+        const visible = conversations.filter(conv => Boolean(conv.archived) === (this.state.view === 'archived'));
+        const pinned = visible.filter(conv => conv.pinned);
+        const rest = visible.filter(conv => !conv.pinned);
+        const sections = [];
+        
+        if (pinned.length > 0) {
+            sections.push({ label: this.i18n.t('organizer.pinned'), conversations: pinned, target: null });
+        }
+        
+        switch (this.state.grouping) {
+            case 'folder':
+                this.folders.forEach(folder => sections.push({
+                    label: folder.name,
+                    folder,
+                    conversations: rest.filter(conv => conv.folderId === folder.id),
+                    target: { folderId: folder.id }
+                }));
+                sections.push({
+                    label: this.i18n.t('organizer.withoutFolder'),
+                    conversations: rest.filter(conv => !this.folder(conv.folderId)),
+                    target: { folderId: null }
+                });
+                break;
+            case 'tag':
+                this.tags.forEach(tag => sections.push({
+                    label: tag.name,
+                    tag,
+                    conversations: rest.filter(conv => conv.tags?.includes(tag.id)),
+                    target: { tagId: tag.id }
+                }));
+                sections.push({
+                    label: this.i18n.t('organizer.withoutTags'),
+                    conversations: rest.filter(conv => this.tagsOf(conv).length === 0),
+                    target: null
+                });
+                break;
+            default:
+                ConversationOrganizer.DATE_GROUPS.forEach(key => sections.push({
+                    label: this.i18n.t(`dates.${key}`),
+                    conversations: rest.filter(conv => this.dateGroupOf(conv) === key),
+                    target: null
+                }));
+        }
+        
+        // Empty folders and tags stay visible as drop targets
+        return sections.filter(section => section.conversations.length > 0 || section.folder || section.tag);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationOrganizer;
+}
@@ -0,0 +1,110 @@
+/**
+ * Claude AI Suite - Command Palette
+ * Fuzzy ranking of commands, conversations and models for the Ctrl+K palette
+ */
+
+class CommandPalette {
+    constructor(options = {}) {
+        this.maxResults = options.maxResults || CONFIG.PALETTE.MAX_RESULTS;
+    }
+
+    static get SCORES() {
+        return { MATCH: 1, CONSECUTIVE: 5, WORD_START: 8, FIRST_CHAR: 10, GAP: 1, MAX_GAP_PENALTY: 3 };
+    }
+
+    // One lowercase, unaccented character per code point, so match positions map back to the label
+    static fold(text) {
+        return Array.from(text, char => char.normalize('NFD')[0].toLowerCase());
+    }
+
+    static isWordStart(chars, i) {
+        if (i === 0) return true;
+        const previous = chars[i - 1];
+        return /[\s\-_./:()[\]]/.test(previous) || (previous === previous.toLowerCase() && chars[i] !== chars[i].toLowerCase());
+    }
+
+    /*
+     * Matches the query's characters in order anywhere in `text`, like most editors' pickers.
+     * Each query character takes its earliest occurrence, or a later word start when
+     * the rest of the query still matches after it.
+     * Returns { score, indices } or null.
+     */
+    static match(query, text) {
+        const needle = CommandPalette.fold(query).filter(char => !/\s/.test(char));
+        if (!needle.length) return { score: 0, indices: [] };
+        
+        const original = Array.from(text);
+        const haystack = CommandPalette.fold(text);
+        const { MATCH, CONSECUTIVE, WORD_START, FIRST_CHAR, GAP, MAX_GAP_PENALTY } = CommandPalette.SCORES;
+        const indices = [];
+        let score = 0;
+        let from = 0;
+        
+        for (let n = 0; n < needle.length; n++) {
+            let at = haystack.indexOf(needle[n], from);
+            if (at === -1) return null;
+            
+            // Jump ahead to a word start when the rest of the query still matches after it
+            if (at !== from || !indices.length) {
+                for (let i = at; i < haystack.length; i++) {
+                    if (haystack[i] === needle[n] && CommandPalette.isWordStart(original, i)) {
+                        if (CommandPalette.fits(needle, n + 1, haystack, i + 1)) at = i;
+                        break;
+                    }
+                }
+            }
+            
+            score += MATCH;
+            if (indices.length && at === indices[indices.length - 1] + 1) score += CONSECUTIVE;
+            if (CommandPalette.isWordStart(original, at)) score += WORD_START;
+            if (at === 0) score += FIRST_CHAR;
+            if (indices.length) score -= Math.min((at - from) * GAP, MAX_GAP_PENALTY);
+            
+            indices.push(at);
+            from = at + 1;
+        }
+        
+        // Shorter labels win ties
+        return { score: score - haystack.length / 100, indices };
+    }
+
+    static fits(needle, n, haystack, from) {
+        for (; n < needle.length; n++) {
+            from = haystack.indexOf(needle[n], from);
+            if (from === -1) return false;
+            from++;
+        }
+        return true;
+    }
+
+    /*
+     * `items` are { label, keywords? } plus whatever the caller needs; returns
+     * [{ item, indices }] best first. Keywords match too but highlight nothing.
+     * With an empty query the items keep their order.
+     */
+    filter(items, query) {
+        if (!query.trim()) {
+            return items.slice(0, this.maxResults).map(item => ({ item, indices: [] }));
+        }
+        
+        return items
+            .map((item, order) => {
+                const byLabel = CommandPalette.match(query, item.label);
+                const byKeywords = item.keywords ? CommandPalette.match(query, item.keywords) : null;
+                if (!byLabel && !byKeywords) return null;
+                
+                return byLabel && (!byKeywords || byLabel.score >= byKeywords.score)
+                    ? { item, order, score: byLabel.score, indices: byLabel.indices }
+                    : { item, order, score: byKeywords.score, indices: [] };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .slice(0, this.maxResults)
+            .map(({ item, indices }) => ({ item, indices }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandPalette;
+}
@@ -0,0 +1,89 @@
+/**
+ * Claude AI Suite - Anthropic Provider
+ * The Anthropic Messages API called from the browser with the user's own API key
+ */
+
+class AnthropicProvider extends AIProvider {
+    static get ID() { return 'anthropic'; }
+
+    get usesRegistryModels() {
+        return true;
+    }
+
+    isConfigured() {
+        return Boolean(this.settings.anthropicApiKey);
+    }
+
+    headers() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': this.settings.anthropicApiKey,
+            'anthropic-version': CONFIG.PROVIDERS.ANTHROPIC.VERSION,
+            // The key belongs to the user and never leaves their browser except to the API
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    }
+
+    async *stream(messages, options, signal) {
+        const { system, messages: turns } = this.splitSystem(messages);
+        const body = {
+            model: options.model,
+            max_tokens: options.max_tokens,
+            temperature: options.temperature,
+            messages: turns,
+            stream: true
+        };
+        if (system) body.system = system;
+        
+        const response = await this.request(`${CONFIG.PROVIDERS.ANTHROPIC.BASE_URL}/messages`, {
+            method: 'POST',
+            headers: this.headers(),
+            body: JSON.stringify(body)
+        }, signal);
+        
+        const usage = {};
+        for await (const { data } of this.readEventStream(response)) {
+            const event = JSON.parse(data);
+            
+            switch (event.type) {
+                case 'message_start':
+                    usage.input_tokens = event.message?.usage?.input_tokens;
+                    break;
+                case 'content_block_delta':
+                    if (event.delta?.type === 'text_delta') yield { text: event.delta.text };
+                    break;
+                case 'message_delta':
+                    usage.output_tokens = event.usage?.output_tokens;
+                    break;
+                case 'error': {
+                    const error = new Error(`${this.name}: ${event.error?.message || event.error?.type}`);
+                    // Overloaded errors arrive mid-stream with a 200 response
+                    error.status = event.error?.type === 'overloaded_error' ? 529 : 500;
+                    throw error;
+                }
+            }
+        }
+        
+        if (usage.input_tokens !== undefined) yield { usage };
+    }
+
+    async listModels() {
+        const response = await this.request(`${CONFIG.PROVIDERS.ANTHROPIC.BASE_URL}/models`, {
+            headers: this.headers()
+        });
+        const { data } = await response.json();
+        return (data || []).map(model => ({ id: model.id, name: model.display_name || model.id }));
+    }
+
+    // Listing models checks the key without spending tokens
+    async checkHealth() {
+        if (!this.isConfigured()) throw new Error(this.i18n.t('providers.errors.missingKey', { provider: this.name }));
+        await this.listModels();
+        return [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnthropicProvider;
+}
@@ -0,0 +1,49 @@
+/**
+ * Claude AI Suite - Mock Provider
+ * Canned, streamed replies with no network access, for trying out and testing the interface
+ */
+
+class MockProvider extends AIProvider {
+    static get ID() { return 'mock'; }
+
+    static get MODEL() { return 'mock-echo'; }
+
+    get requiresNetwork() {
+        return false;
+    }
+
+    // Quotes the last message back, with a code block so rendering can be checked too
+    reply(messages) {
+        const last = [...messages].reverse().find(msg => msg.role === 'user');
+        const text = typeof last?.content === 'string'
+            ? last.content
+            : (last?.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n');
+        const quoted = text.length > 200 ? `${text.slice(0, 200)}…` : text;
+        
+        return this.i18n.t('providers.mock.reply', { prompt: quoted.replace(/\n/g, ' ') }) +
+            '\n\n```js\nconsole.log(\'Claude AI Suite\');\n```';
+    }
+
+    async *stream(messages, options, signal) {
+        const words = this.reply(messages).split(/(?<=\s)/);
+        
+        for (const word of words) {
+            if (signal?.aborted) return;
+            await new Promise(resolve => setTimeout(resolve, CONFIG.PROVIDERS.MOCK_DELAY));
+            yield { text: word };
+        }
+        
+        // Rough counts, like the app's own estimates
+        const input = messages.reduce((sum, msg) => sum + JSON.stringify(msg.content).length, 0);
+        yield { usage: { input_tokens: Math.ceil(input / 4), output_tokens: Math.ceil(words.join('').length / 4) } };
+    }
+
+    async listModels() {
+        return [{ id: MockProvider.MODEL, name: this.i18n.t('providers.mock.model') }];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockProvider;
+}
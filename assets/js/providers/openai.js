@@ -0,0 +1,84 @@
+/**
+ * Claude AI Suite - OpenAI-Compatible Provider
+ * Any /chat/completions endpoint: OpenAI itself, or local servers such as Ollama, LM Studio and llama.cpp
+ */
+
+class OpenAICompatibleProvider extends AIProvider {
+    static get ID() { return 'openai'; }
+
+    get baseUrl() {
+        return (this.settings.openaiBaseUrl || '').replace(/\/+$/, '');
+    }
+
+    isConfigured() {
+        return Boolean(this.baseUrl);
+    }
+
+    get requiresNetwork() {
+        try {
+            return !['localhost', '127.0.0.1', '[::1]'].includes(new URL(this.baseUrl).hostname);
+        } catch (error) {
+            return true;
+        }
+    }
+
+    headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.settings.openaiApiKey) headers.Authorization = `Bearer ${this.settings.openaiApiKey}`;
+        return headers;
+    }
+
+    // Anthropic content blocks to OpenAI parts; PDFs have no equivalent and become a note
+    toOpenAI(message) {
+        if (typeof message.content === 'string') return message;
+        
+        const content = message.content.map(part => {
+            switch (part.type) {
+                case 'image':
+                    return { type: 'image_url', image_url: { url: `data:${part.source.media_type};base64,${part.source.data}` } };
+                case 'document':
+                    return { type: 'text', text: this.i18n.t('providers.openai.pdfUnsupported') };
+                default:
+                    return part;
+            }
+        });
+        return { role: message.role, content };
+    }
+
+    async *stream(messages, options, signal) {
+        const response = await this.request(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: this.headers(),
+            body: JSON.stringify({
+                model: options.model,
+                messages: messages.map(msg => this.toOpenAI(msg)),
+                temperature: options.temperature,
+                max_tokens: options.max_tokens,
+                stream: true,
+                stream_options: { include_usage: true }
+            })
+        }, signal);
+        
+        for await (const { data } of this.readEventStream(response)) {
+            if (data === '[DONE]') break;
+            
+            const chunk = JSON.parse(data);
+            const text = chunk.choices?.[0]?.delta?.content;
+            if (text) yield { text };
+            if (chunk.usage) yield { usage: chunk.usage };
+        }
+    }
+
+    async listModels() {
+        if (!this.isConfigured()) throw new Error(this.i18n.t('providers.errors.missingUrl', { provider: this.name }));
+        
+        const response = await this.request(`${this.baseUrl}/models`, { headers: this.headers() });
+        const { data } = await response.json();
+        return (data || []).map(model => ({ id: model.id, name: model.id }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpenAICompatibleProvider;
+}
@@ -0,0 +1,135 @@
+/**
+ * Claude AI Suite - AI Provider
+ * Base class for chat backends: streaming and one-shot chat, model listing and health checks
+ */
+
+class AIProvider {
+    constructor(options = {}) {
+        // () => current app settings, read on every request so key and URL changes apply at once
+        this.getSettings = options.getSettings || (() => ({}));
+        this.i18n = options.i18n || new I18n();
+    }
+
+    // Subclasses return their id: 'puter', 'anthropic', ...
+    static get ID() { return null; }
+
+    get id() {
+        return this.constructor.ID;
+    }
+
+    get name() {
+        return this.i18n.t(`providers.${this.id}.name`);
+    }
+
+    get settings() {
+        return this.getSettings();
+    }
+
+    // False while required settings such as an API key are missing
+    isConfigured() {
+        return true;
+    }
+
+    // Local servers and the mock keep working without an internet connection
+    get requiresNetwork() {
+        return true;
+    }
+
+    // Claude model IDs from the registry; otherwise the models come from listModels()
+    get usesRegistryModels() {
+        return false;
+    }
+
+    /*
+     * Yields { text } chunks as they arrive and, if the backend reports it, one { usage }.
+     * `messages` use Anthropic-style content blocks, with an optional leading { role: 'system' }.
+     * Options: { model, temperature, max_tokens }.
+     */
+    async *stream(messages, options, signal) {
+        throw new Error(`${this.id}: streaming not implemented`);
+    }
+
+    // One-shot completion built on stream(); returns { text, usage }
+    async chat(messages, options, signal) {
+        let text = '';
+        let usage = null;
+        
+        for await (const chunk of this.stream(messages, options, signal)) {
+            if (chunk.usage) {
+                usage = chunk.usage;
+            } else {
+                text += chunk.text;
+            }
+        }
+        
+        return { text, usage };
+    }
+
+    // [{ id, name }] for providers that don't use the registry's Claude models
+    async listModels() {
+        return [];
+    }
+
+    // Throws if the backend can't be used; resolves with its models when it lists them
+    async checkHealth() {
+        return this.listModels();
+    }
+
+    // System prompts travel as a leading { role: 'system' } message; some APIs want them apart
+    splitSystem(messages) {
+        const system = messages.filter(msg => msg.role === 'system').map(msg => msg.content).join('\n\n');
+        return { system, messages: messages.filter(msg => msg.role !== 'system') };
+    }
+
+    // fetch() that turns HTTP errors into Errors carrying `status` and the server's message
+    async request(url, init = {}, signal) {
+        const response = await fetch(url, { ...init, signal });
+        if (response.ok) return response;
+        
+        let detail = '';
+        try {
+            const body = await response.json();
+            detail = body?.error?.message || body?.message || '';
+        } catch (error) {
+            // Not JSON: the status alone will do
+        }
+        
+        const error = new Error(`${this.name}: HTTP ${response.status}${detail ? ` - ${detail}` : ''}`);
+        error.status = response.status;
+        error.retryAfter = Number(response.headers.get('retry-after')) || null;
+        throw error;
+    }
+
+    // Server-sent events as { event, data } with data still a string
+    async *readEventStream(response) {
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                
+                buffer += value;
+                const events = buffer.split(/\r?\n\r?\n/);
+                buffer = events.pop();
+                
+                for (const block of events) {
+                    const event = { event: 'message', data: '' };
+                    block.split(/\r?\n/).forEach(line => {
+                        if (line.startsWith('event:')) event.event = line.slice(6).trim();
+                        if (line.startsWith('data:')) event.data += (event.data ? '\n' : '') + line.slice(5).trimStart();
+                    });
+                    if (event.data) yield event;
+                }
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AIProvider;
+}
@@ -0,0 +1,47 @@
+/**
+ * Claude AI Suite - Puter.js Provider
+ * Claude through the Puter.js SDK, no API key needed
+ */
+
+class PuterProvider extends AIProvider {
+    static get ID() { return 'puter'; }
+
+    get usesRegistryModels() {
+        return true;
+    }
+
+    isConfigured() {
+        return typeof puter !== 'undefined';
+    }
+
+    // Puter.js takes Anthropic-style messages as they are, but has no abort: callers race the signal
+    async *stream(messages, options) {
+        const response = await puter.ai.chat(messages, { ...options, stream: true });
+        
+        for await (const part of response) {
+            if (part?.text) yield { text: part.text };
+            if (part?.usage) yield { usage: part.usage };
+        }
+    }
+
+    async chat(messages, options) {
+        const response = await puter.ai.chat(messages, { ...options, stream: false });
+        return {
+            text: response?.message?.content?.[0]?.text ?? String(response ?? ''),
+            usage: response?.usage || null
+        };
+    }
+
+    // The SDK is loaded and Puter's API answers; an opaque response is enough, and unlike a
+    // test prompt it costs nothing. fetch() only rejects when the server can't be reached
+    async checkHealth() {
+        if (!this.isConfigured()) throw new Error('Puter.js not loaded');
+        await fetch(CONFIG.PROVIDERS.PUTER.HEALTH_URL, { method: 'HEAD', mode: 'no-cors', cache: 'no-store' });
+        return [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PuterProvider;
+}
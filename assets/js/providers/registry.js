@@ -0,0 +1,81 @@
+/**
+ * Claude AI Suite - Provider Registry
+ * The available AI providers, which one a conversation uses and whether each one is reachable
+ */
+
+class ProviderRegistry {
+    constructor(options = {}) {
+        this.getSettings = options.getSettings || (() => ({}));
+        this.providers = new Map();
+        // Provider id -> 'ready' or 'error', from the last health check
+        this.status = new Map();
+        
+        (options.providers || ProviderRegistry.BUILTINS).forEach(Provider => {
+            this.register(new Provider({ getSettings: this.getSettings, i18n: options.i18n }));
+        });
+    }
+
+    static get BUILTINS() {
+        return [PuterProvider, AnthropicProvider, OpenAICompatibleProvider, MockProvider];
+    }
+
+    static get DEFAULT() { return 'puter'; }
+
+    register(provider) {
+        this.providers.set(provider.id, provider);
+    }
+
+    has(id) {
+        return this.providers.has(id);
+    }
+
+    // Unknown ids (e.g. from an import) fall back to the default provider
+    get(id) {
+        return this.providers.get(id) || this.providers.get(this.defaultId);
+    }
+
+    list() {
+        return [...this.providers.values()];
+    }
+
+    get defaultId() {
+        const preferred = this.getSettings().defaultProvider;
+        return this.has(preferred) ? preferred : ProviderRegistry.DEFAULT;
+    }
+
+    // Conversations that never picked a provider follow the default
+    forConversation(conversation) {
+        return this.get(conversation?.provider || this.defaultId);
+    }
+
+    isReady(id) {
+        return this.status.get(id) === 'ready';
+    }
+
+    // Resolves with the provider's models (empty for registry models); rethrows after recording the failure
+    async check(id, options) {
+        const provider = this.get(id);
+        try {
+            const models = await provider.checkHealth(options);
+            this.status.set(provider.id, 'ready');
+            return models;
+        } catch (error) {
+            this.status.set(provider.id, 'error');
+            throw error;
+        }
+    }
+
+    // Settings changes (a new key or URL) invalidate earlier checks
+    reset(id) {
+        if (id) {
+            this.status.delete(id);
+        } else {
+            this.status.clear();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProviderRegistry;
+}
@@ -0,0 +1,99 @@
+/**
+ * Claude AI Suite - Retry Policy
+ * Classifies request failures and retries the transient ones with exponential backoff and jitter
+ */
+
+class RetryPolicy {
+    constructor(options = {}) {
+        this.maxRetries = options.maxRetries ?? CONFIG.RETRY.MAX_RETRIES;
+        this.baseDelay = options.baseDelay || CONFIG.RETRY.BASE_DELAY;
+        this.maxDelay = options.maxDelay || CONFIG.RETRY.MAX_DELAY;
+        this.random = options.random || Math.random;
+    }
+
+    // Failures worth another attempt; the rest would fail the same way again
+    static get RETRYABLE() {
+        return ['rateLimit', 'overloaded', 'server', 'network'];
+    }
+
+    /*
+     * 'aborted', 'offline', 'rateLimit', 'overloaded', 'auth', 'server', 'request', 'network'
+     * or 'unknown'. Providers put the HTTP status on their errors (see AIProvider.request);
+     * SDK errors without one are recognized by their message.
+     */
+    static classify(error) {
+        if (error?.name === 'AbortError') return 'aborted';
+        
+        const status = error?.status;
+        if (status === 429) return 'rateLimit';
+        // 529 is Anthropic's "overloaded"
+        if (status === 503 || status === 529) return 'overloaded';
+        if (status === 401 || status === 403) return 'auth';
+        if (status >= 500) return 'server';
+        if (status >= 400) return 'request';
+        
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return 'offline';
+        
+        const message = String(error?.message || error || '');
+        if (/rate.?limit|too many requests/i.test(message)) return 'rateLimit';
+        if (/overloaded/i.test(message)) return 'overloaded';
+        // fetch() rejects with a TypeError when the request never got an answer
+        if (error instanceof TypeError || /network|failed to fetch|load failed/i.test(message)) return 'network';
+        return 'unknown';
+    }
+
+    // Half of the exponential delay is fixed and half random, so clients that failed together spread out
+    delay(attempt, error) {
+        if (error?.retryAfter) return error.retryAfter * 1000;
+        
+        const delay = Math.min(this.baseDelay * 2 ** attempt, this.maxDelay);
+        return delay / 2 + this.random() * delay / 2;
+    }
+
+    /*
+     * Runs `task` until it resolves, fails for good or `signal` aborts. Errors come out with
+     * their `kind` from classify(); tasks can set `retryable = false` on an error to stop early.
+     * `onRetry` gets { attempt, maxRetries, delay, kind, error } before each wait.
+     */
+    async run(task, { signal, onRetry } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await task(attempt);
+            } catch (error) {
+                const kind = RetryPolicy.classify(error);
+                if (error && typeof error === 'object') error.kind = kind;
+                
+                // A server asking for a longer wait than we'd ever make gets a clear error instead
+                const retryable = error?.retryable !== false && RetryPolicy.RETRYABLE.includes(kind) &&
+                    !(error?.retryAfter * 1000 > this.maxDelay);
+                if (!retryable || attempt >= this.maxRetries || signal?.aborted) throw error;
+                
+                const delay = this.delay(attempt, error);
+                onRetry?.({ attempt: attempt + 1, maxRetries: this.maxRetries, delay, kind, error });
+                await RetryPolicy.wait(delay, signal);
+            }
+        }
+    }
+
+    // Rejects with an AbortError as soon as the signal aborts
+    static wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Retry cancelled', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            
+            if (signal?.aborted) return onAbort();
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RetryPolicy;
+}
@@ -0,0 +1,249 @@
+/**
+ * Claude AI Suite - Search Index
+ * Incremental in-memory full-text index over conversation messages
+ */
+
+class SearchIndex {
+    constructor(options = {}) {
+        this.titleBoost = options.titleBoost || 2;
+        this.snippetRadius = options.snippetRadius || 60;
+        this.maxResults = options.maxResults || 50;
+        
+        // BM25 parameters
+        this.k1 = 1.2;
+        this.b = 0.75;
+        
+        this.docs = new Map();          // docId -> document
+        this.postings = new Map();      // term -> Map(docId -> term frequency)
+        this.conversations = new Map(); // conversationId -> { signature, docIds }
+        this.totalLength = 0;
+    }
+
+    // Lowercase, strip accents and split on anything that is not a letter or digit
+    tokenize(text) {
+        if (!text) return [];
+        return text
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(term => term.length > 1);
+    }
+
+    // Bring the index in line with the current conversations, touching only what changed
+    sync(conversations) {
+        const liveIds = new Set();
+        
+        conversations.forEach(conv => {
+            liveIds.add(conv.id);
+            const signature = this.signatureOf(conv);
+            if (this.conversations.get(conv.id)?.signature !== signature) {
+                this.indexConversation(conv, signature);
+            }
+        });
+        
+        [...this.conversations.keys()]
+            .filter(id => !liveIds.has(id))
+            .forEach(id => this.removeConversation(id));
+    }
+
+    // Everything indexed: the title and each message on the active path, in place edits included
+    signatureOf(conversation) {
+        return StorageManager.hash([
+            conversation.title,
+            ...conversation.messages.map(msg => `${msg.id}:${msg.timestamp || ''}:${msg.content || ''}`)
+        ].join('\u0000'));
+    }
+
+    indexConversation(conversation, signature = this.signatureOf(conversation)) {
+        const entry = this.conversations.get(conversation.id) || { docIds: new Set() };
+        const wanted = new Map();
+        
+        wanted.set(`${conversation.id}:title`, {
+            conversationId: conversation.id,
+            messageId: null,
+            role: 'title',
+            content: conversation.title,
+            boost: this.titleBoost
+        });
+        
+        conversation.messages.forEach(msg => {
+            if (!msg.content) return;
+            wanted.set(`${conversation.id}:${msg.id}`, {
+                conversationId: conversation.id,
+                messageId: msg.id,
+                role: msg.role,
+                content: msg.content,
+                timestamp: msg.timestamp,
+                boost: 1
+            });
+        });
+        
+        // Messages rarely change once written, so only diff by id and content
+        entry.docIds.forEach(docId => {
+            const doc = wanted.get(docId);
+            if (!doc || doc.content !== this.docs.get(docId)?.content) {
+                this.removeDocument(docId);
+                entry.docIds.delete(docId);
+            }
+        });
+        
+        wanted.forEach((doc, docId) => {
+            if (entry.docIds.has(docId)) return;
+            this.addDocument(docId, doc);
+            entry.docIds.add(docId);
+        });
+        
+        entry.signature = signature;
+        this.conversations.set(conversation.id, entry);
+    }
+
+    removeConversation(id) {
+        const entry = this.conversations.get(id);
+        if (!entry) return;
+        
+        entry.docIds.forEach(docId => this.removeDocument(docId));
+        this.conversations.delete(id);
+    }
+
+    addDocument(docId, doc) {
+        const terms = this.tokenize(doc.content);
+        const frequencies = new Map();
+        terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+        
+        frequencies.forEach((tf, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(docId, tf);
+        });
+        
+        this.docs.set(docId, { ...doc, length: terms.length, terms: [...frequencies.keys()] });
+        this.totalLength += terms.length;
+    }
+
+    removeDocument(docId) {
+        const doc = this.docs.get(docId);
+        if (!doc) return;
+        
+        doc.terms.forEach(term => {
+            const posting = this.postings.get(term);
+            posting?.delete(docId);
+            if (posting?.size === 0) this.postings.delete(term);
+        });
+        
+        this.totalLength -= doc.length;
+        this.docs.delete(docId);
+    }
+
+    // Every query term must match; the last one also matches as a prefix while typing
+    search(query, { filter } = {}) {
+        const queryTerms = [...new Set(this.tokenize(query))];
+        if (queryTerms.length === 0) return [];
+        
+        const docCount = this.docs.size || 1;
+        const avgLength = this.totalLength / docCount || 1;
+        const scores = new Map();
+        const matchedTerms = [];
+        
+        for (const [i, queryTerm] of queryTerms.entries()) {
+            const isLast = i === queryTerms.length - 1;
+            const terms = isLast ? this.expandPrefix(queryTerm) : (this.postings.has(queryTerm) ? [queryTerm] : []);
+            if (terms.length === 0) return [];
+            
+            const termScores = new Map();
+            terms.forEach(term => {
+                const posting = this.postings.get(term);
+                const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+                
+                posting.forEach((tf, docId) => {
+                    const doc = this.docs.get(docId);
+                    const norm = tf * (this.k1 + 1) / (tf + this.k1 * (1 - this.b + this.b * doc.length / avgLength));
+                    // Exact matches rank above prefix completions
+                    const weight = term === queryTerm ? 1 : 0.7;
+                    termScores.set(docId, Math.max(termScores.get(docId) || 0, idf * norm * weight * doc.boost));
+                });
+            });
+            
+            if (i === 0) {
+                termScores.forEach((score, docId) => scores.set(docId, score));
+            } else {
+                [...scores.keys()].forEach(docId => {
+                    if (termScores.has(docId)) {
+                        scores.set(docId, scores.get(docId) + termScores.get(docId));
+                    } else {
+                        scores.delete(docId);
+                    }
+                });
+            }
+            matchedTerms.push(...terms);
+        }
+        
+        return [...scores.entries()]
+            .map(([docId, score]) => ({ doc: this.docs.get(docId), score }))
+            .filter(({ doc }) => !filter || filter(doc))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.maxResults)
+            .map(({ doc, score }) => ({
+                conversationId: doc.conversationId,
+                messageId: doc.messageId,
+                role: doc.role,
+                score,
+                snippet: this.snippet(doc.content, matchedTerms)
+            }));
+    }
+
+    expandPrefix(prefix) {
+        const terms = [];
+        for (const term of this.postings.keys()) {
+            if (term.startsWith(prefix)) terms.push(term);
+        }
+        return terms;
+    }
+
+    // Escaped excerpt around the first match, with matches wrapped in <mark>
+    snippet(content, terms) {
+        const pattern = this.buildHighlightPattern(terms);
+        const match = pattern ? pattern.exec(content) : null;
+        const position = match ? match.index : 0;
+        
+        const start = Math.max(position - this.snippetRadius, 0);
+        const end = Math.min(position + this.snippetRadius * 2, content.length);
+        const excerpt = content.slice(start, end).replace(/\s+/g, ' ');
+        
+        // Highlight on the raw text so matches never land inside an HTML entity
+        let html = '';
+        let cursor = 0;
+        if (pattern) {
+            const global = new RegExp(pattern.source, 'giu');
+            for (const found of excerpt.matchAll(global)) {
+                html += this.escapeHtml(excerpt.slice(cursor, found.index));
+                html += `<mark>${this.escapeHtml(found[0])}</mark>`;
+                cursor = found.index + found[0].length;
+            }
+        }
+        html += this.escapeHtml(excerpt.slice(cursor));
+        
+        return `${start > 0 ? '…' : ''}${html}${end < content.length ? '…' : ''}`;
+    }
+
+    buildHighlightPattern(terms) {
+        const unique = [...new Set(terms)].sort((a, b) => b.length - a.length);
+        if (unique.length === 0) return null;
+        
+        const escaped = unique.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(escaped.join('|'), 'iu');
+    }
+
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+}
@@ -0,0 +1,160 @@
+/**
+ * Claude AI Suite - Settings
+ * Defaults, validation and migration driven by CONFIG.SETTINGS_SCHEMA
+ */
+
+class SettingsManager {
+    constructor(options = {}) {
+        this.schema = options.schema || CONFIG.SETTINGS_SCHEMA;
+        this.modelSchema = options.modelSchema || CONFIG.MODEL_SETTINGS_SCHEMA;
+        this.version = options.version || CONFIG.SETTINGS_VERSION;
+        this.getModel = options.getModel || ((id) => CONFIG.MODELS[id] || {});
+        this.i18n = options.i18n || new I18n();
+    }
+
+    // Stored settings upgrades, keyed by the version they upgrade from
+    static get MIGRATIONS() {
+        return {
+            // v1 was a flat object that also carried the theme, now stored on its own
+            1: (values) => {
+                const { theme, ...rest } = values;
+                return { ...rest, models: {} };
+            }
+        };
+    }
+
+    defaults() {
+        const values = {};
+        Object.entries(this.schema).forEach(([key, field]) => {
+            values[key] = field.default;
+        });
+        values.models = {};
+        return values;
+    }
+
+    modelDefaults(modelId) {
+        const values = {};
+        Object.entries(this.modelSchema).forEach(([key, field]) => {
+            values[key] = this.resolve(field.default, modelId);
+        });
+        return values;
+    }
+
+    // Schema values may depend on the model, e.g. `max: 'model.maxTokens'`
+    resolve(value, modelId) {
+        if (typeof value === 'string' && value.startsWith('model.')) {
+            const model = this.getModel(modelId);
+            return model[value.slice('model.'.length)] ?? 4096;
+        }
+        return value;
+    }
+
+    // Returns { value } with the coerced value, or { error } describing why it was rejected
+    validateField(field, raw, modelId) {
+        switch (field.type) {
+            case 'boolean':
+                if (typeof raw === 'boolean') return { value: raw };
+                if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+                return { error: this.i18n.t('settings.errors.invalidValue') };
+            
+            case 'number': {
+                const value = typeof raw === 'number' ? raw : Number(String(raw).replace(',', '.'));
+                const min = this.resolve(field.min, modelId);
+                const max = this.resolve(field.max, modelId);
+                
+                if (raw === '' || raw === null || !Number.isFinite(value)) return { error: this.i18n.t('settings.errors.number') };
+                if (field.integer && !Number.isInteger(value)) return { error: this.i18n.t('settings.errors.integer') };
+                if (min !== undefined && value < min) return { error: this.i18n.t('settings.errors.min', { min }) };
+                if (max !== undefined && value > max) return { error: this.i18n.t('settings.errors.max', { max }) };
+                return { value };
+            }
+            
+            case 'select':
+                if (field.options.some(option => option.value === raw)) return { value: raw };
+                return { error: this.i18n.t('settings.errors.invalidOption') };
+            
+            case 'text': {
+                if (typeof raw !== 'string') return { error: this.i18n.t('settings.errors.invalidValue') };
+                const value = raw.trim();
+                
+                if (value && field.format === 'url') {
+                    let url;
+                    try {
+                        url = new URL(value);
+                    } catch (error) {
+                        return { error: this.i18n.t('settings.errors.url') };
+                    }
+                    if (!['http:', 'https:'].includes(url.protocol)) return { error: this.i18n.t('settings.errors.url') };
+                }
+                return { value };
+            }
+            
+            default:
+                return { error: this.i18n.t('settings.errors.unknownType', { type: field.type }) };
+        }
+    }
+
+    // Invalid or unknown values fall back to their defaults
+    sanitize(values) {
+        const result = this.defaults();
+        
+        Object.entries(this.schema).forEach(([key, field]) => {
+            if (values[key] === undefined) return;
+            const { value, error } = this.validateField(field, values[key]);
+            if (error) {
+                console.warn(`⚠️ Ignoring invalid setting ${key}:`, values[key]);
+            } else {
+                result[key] = value;
+            }
+        });
+        
+        Object.entries(values.models || {}).forEach(([modelId, overrides]) => {
+            const clean = {};
+            Object.entries(this.modelSchema).forEach(([key, field]) => {
+                if (overrides?.[key] === undefined) return;
+                const { value, error } = this.validateField(field, overrides[key], modelId);
+                if (!error) clean[key] = value;
+            });
+            if (Object.keys(clean).length > 0) result.models[modelId] = clean;
+        });
+        
+        return result;
+    }
+
+    getModelSettings(settings, modelId) {
+        return { ...this.modelDefaults(modelId), ...settings.models?.[modelId] };
+    }
+
+    load(raw) {
+        if (!raw) return this.defaults();
+        
+        let stored;
+        try {
+            stored = JSON.parse(raw);
+        } catch (error) {
+            console.warn('⚠️ Stored settings are corrupted, using defaults:', error);
+            return this.defaults();
+        }
+        
+        // Unversioned data predates the schema
+        let version = stored.version || 1;
+        let values = stored.version ? stored.values : stored;
+        
+        while (version < this.version) {
+            const migrate = SettingsManager.MIGRATIONS[version];
+            if (migrate) values = migrate(values);
+            version++;
+        }
+        
+        return this.sanitize(values || {});
+    }
+
+    serialize(settings) {
+        return JSON.stringify({ version: this.version, values: settings });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsManager;
+}
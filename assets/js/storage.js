@@ -0,0 +1,473 @@
+/**
+ * Claude AI Suite - Storage Layer
+ * IndexedDB persistence, one record per conversation, encrypted when the vault is enabled
+ */
+
+class StorageManager {
+    constructor(options = {}) {
+        this.dbName = options.dbName || CONFIG.DATABASE.NAME;
+        this.dbVersion = options.dbVersion || CONFIG.DATABASE.VERSION;
+        this.legacyKey = options.legacyKey || CONFIG.STORAGE_KEYS.CONVERSATIONS;
+        this.templatesKey = options.templatesKey || CONFIG.STORAGE_KEYS.TEMPLATES;
+        this.onError = options.onError || (() => {});
+        // Optional Vault; conversations, templates and metadata are sealed while it's unlocked
+        this.vault = options.vault || null;
+        // Told about every successful write, e.g. to let other tabs know:
+        // { type: 'conversations', changed, removed } with ids, { type: 'templates' } or { type: 'meta', key }
+        this.onChange = options.onChange || (() => {});
+        
+        this.db = null;
+        this.fallback = false;
+        
+        // Last persisted signature of each conversation, used to skip unchanged records
+        this.signatures = new Map();
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        
+        if (typeof indexedDB === 'undefined') {
+            this.useFallback(new Error('IndexedDB not available'));
+            return null;
+        }
+        
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = (event) => this.upgrade(request.result, event.oldVersion);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+            });
+        } catch (error) {
+            this.useFallback(error);
+            return null;
+        }
+        
+        await this.migrateFromLocalStorage();
+        this.requestPersistence();
+        return this.db;
+    }
+
+    upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            const conversations = db.createObjectStore('conversations', { keyPath: 'id' });
+            conversations.createIndex('updatedAt', 'updatedAt');
+            db.createObjectStore('meta', { keyPath: 'key' });
+        }
+        if (oldVersion < 2) {
+            // Messages composed offline, shared with the service worker
+            db.createObjectStore('outbox', { keyPath: 'id' });
+        }
+        if (oldVersion < 3) {
+            db.createObjectStore('templates', { keyPath: 'id' });
+        }
+    }
+
+    useFallback(error) {
+        console.warn('⚠️ IndexedDB unavailable, falling back to localStorage:', error);
+        this.fallback = true;
+    }
+
+    // Ask the browser not to evict our data under storage pressure
+    async requestPersistence() {
+        try {
+            if (navigator.storage?.persist && !(await navigator.storage.persisted())) {
+                await navigator.storage.persist();
+            }
+        } catch (error) {
+            console.warn('⚠️ Persistent storage request failed:', error);
+        }
+    }
+
+    // One-time import of the old single-blob localStorage format
+    async migrateFromLocalStorage() {
+        const migrated = await this.getMeta('migratedFromLocalStorage');
+        if (migrated) return;
+        
+        const legacy = localStorage.getItem(this.legacyKey);
+        if (legacy) {
+            const conversations = JSON.parse(await this.openText(legacy));
+            await this.write(conversations, []);
+            console.log(`📦 Migrated ${conversations.length} conversations to IndexedDB`);
+        }
+        
+        await this.setMeta('migratedFromLocalStorage', new Date().toISOString());
+        localStorage.removeItem(this.legacyKey);
+    }
+
+    async loadConversations() {
+        let conversations;
+        
+        if (this.fallback) {
+            const saved = localStorage.getItem(this.legacyKey);
+            conversations = saved ? JSON.parse(await this.openText(saved)) : [];
+        } else {
+            const records = await this.request(
+                this.db.transaction('conversations').objectStore('conversations').getAll()
+            );
+            conversations = await Promise.all(records.map(record => this.unseal(record)));
+        }
+        
+        conversations.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        
+        this.signatures.clear();
+        conversations.forEach(conv => this.signatures.set(conv.id, this.signatureOf(conv)));
+        
+        return conversations;
+    }
+
+    // Persist only the conversations that changed since the last save
+    async saveConversations(conversations) {
+        const changed = conversations.filter(conv => this.isDirty(conv));
+        const liveIds = new Set(conversations.map(conv => conv.id));
+        const removed = [...this.signatures.keys()].filter(id => !liveIds.has(id));
+        
+        if (changed.length === 0 && removed.length === 0) return;
+        
+        if (this.fallback) {
+            return this.saveFallback(conversations, changed, removed);
+        }
+        if (!this.db) return;
+        
+        try {
+            await this.write(changed, removed);
+        } catch (error) {
+            this.reportError(error);
+        }
+    }
+
+    // Every record is written again, e.g. under a new vault key; rejects instead of reporting.
+    // `extras` come from loadExtras(), called while the old key was still active
+    async rewrite(conversations, { templates = [], meta = {} } = {}) {
+        if (this.fallback) {
+            localStorage.setItem(this.legacyKey, await this.sealText(JSON.stringify(conversations)));
+        } else if (this.db) {
+            await this.write(conversations, []);
+        } else {
+            return;
+        }
+        await this.writeTemplates(templates);
+        await this.writeMeta(meta);
+    }
+
+    // Everything besides conversations that the vault seals too
+    async loadExtras() {
+        return { templates: await this.loadTemplates(), meta: await this.loadMeta() };
+    }
+
+    async write(changed, removed) {
+        // Encrypt first: a transaction left waiting on anything but IndexedDB commits early
+        const records = await Promise.all(changed.map(conv => this.seal(conv)));
+        
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('conversations', 'readwrite');
+            const store = tx.objectStore('conversations');
+            
+            records.forEach(record => store.put(record));
+            removed.forEach(id => store.delete(id));
+            
+            tx.oncomplete = () => {
+                this.written(changed, removed);
+                resolve();
+            };
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async saveFallback(conversations, changed, removed) {
+        try {
+            localStorage.setItem(this.legacyKey, await this.sealText(JSON.stringify(conversations)));
+            this.written(changed, removed);
+        } catch (error) {
+            this.reportError(error);
+        }
+    }
+
+    written(changed, removed) {
+        changed.forEach(conv => this.signatures.set(conv.id, this.signatureOf(conv)));
+        removed.forEach(id => this.signatures.delete(id));
+        this.onChange({ type: 'conversations', changed: changed.map(conv => conv.id), removed });
+    }
+
+    // Fresh copies of some conversations, e.g. after another tab saved them; missing ids are skipped
+    async loadConversationsById(ids) {
+        let conversations;
+        
+        if (this.fallback) {
+            const saved = localStorage.getItem(this.legacyKey);
+            const all = saved ? JSON.parse(await this.openText(saved)) : [];
+            conversations = all.filter(conv => ids.includes(conv.id));
+        } else {
+            if (!this.db) return [];
+            const store = this.db.transaction('conversations').objectStore('conversations');
+            const records = await Promise.all(ids.map(id => this.request(store.get(id))));
+            conversations = await Promise.all(records.filter(Boolean).map(record => this.unseal(record)));
+        }
+        
+        conversations.forEach(conv => this.signatures.set(conv.id, this.signatureOf(conv)));
+        return conversations;
+    }
+
+    // Whether this copy differs from what was last loaded or written
+    isDirty(conversation) {
+        return this.signatures.get(conversation.id) !== this.signatureOf(conversation);
+    }
+
+    // Stop tracking conversations removed elsewhere, so they aren't deleted a second time
+    forget(ids) {
+        ids.forEach(id => this.signatures.delete(id));
+    }
+
+    // Sealed records keep only the key and the indexed field in the clear
+    async seal(conversation) {
+        if (!this.vault?.isUnlocked()) return conversation;
+        return { id: conversation.id, updatedAt: conversation.updatedAt, sealed: await this.vault.seal(conversation) };
+    }
+
+    // Records written before the vault was enabled are read as they are
+    async unseal(record) {
+        return record.sealed ? this.vault.open(record.sealed) : record;
+    }
+
+    sealText(text) {
+        return this.vault?.isUnlocked() ? this.vault.sealText(text) : text;
+    }
+
+    openText(stored) {
+        return Vault.isSealedText(stored) ? this.vault.openText(stored) : stored;
+    }
+
+    async getMeta(key) {
+        if (this.fallback) {
+            const saved = localStorage.getItem(`${this.legacyKey}.${key}`);
+            return saved ? JSON.parse(await this.openText(saved)) : undefined;
+        }
+        if (!this.db) return undefined;
+        const record = await this.request(this.db.transaction('meta').objectStore('meta').get(key));
+        return this.openMeta(record);
+    }
+
+    // Every entry by key, e.g. to write them again under a new vault key
+    async loadMeta() {
+        if (this.fallback) {
+            const prefix = `${this.legacyKey}.`;
+            const keys = Object.keys(localStorage).filter(key => key.startsWith(prefix) && key !== this.outboxKey);
+            return Object.fromEntries(await Promise.all(keys.map(async key =>
+                [key.slice(prefix.length), JSON.parse(await this.openText(localStorage.getItem(key)))])));
+        }
+        if (!this.db) return {};
+        const records = await this.request(this.db.transaction('meta').objectStore('meta').getAll());
+        return Object.fromEntries(await Promise.all(records.map(async record => [record.key, await this.openMeta(record)])));
+    }
+
+    async setMeta(key, value) {
+        if (!this.fallback && !this.db) return;
+        try {
+            await this.writeMeta({ [key]: value });
+            this.onChange({ type: 'meta', key });
+        } catch (error) {
+            this.reportError(error);
+        }
+    }
+
+    // Rejects instead of reporting
+    async writeMeta(entries) {
+        const pairs = Object.entries(entries);
+        if (this.fallback) {
+            for (const [key, value] of pairs) {
+                localStorage.setItem(`${this.legacyKey}.${key}`, await this.sealText(JSON.stringify(value)));
+            }
+            return;
+        }
+        if (!this.db) return;
+        
+        const records = await Promise.all(pairs.map(async ([key, value]) => this.vault?.isUnlocked()
+            ? { key, sealed: await this.vault.seal(value) }
+            : { key, value }));
+        const tx = this.db.transaction('meta', 'readwrite');
+        records.forEach(record => tx.objectStore('meta').put(record));
+        await this.transactionDone(tx);
+    }
+
+    // Entries written before the vault was enabled keep their value in the clear
+    openMeta(record) {
+        return record?.sealed ? this.vault.open(record.sealed) : record?.value;
+    }
+
+    // Prompt templates
+    async loadTemplates() {
+        if (this.fallback || !this.db) {
+            const saved = localStorage.getItem(this.templatesKey);
+            return saved ? JSON.parse(await this.openText(saved)) : [];
+        }
+        const records = await this.request(this.db.transaction('templates').objectStore('templates').getAll());
+        return Promise.all(records.map(record => this.unseal(record)));
+    }
+
+    async saveTemplates(templates) {
+        try {
+            if (this.fallback || !this.db) {
+                const byId = new Map((await this.loadTemplates()).map(t => [t.id, t]));
+                templates.forEach(t => byId.set(t.id, t));
+                await this.writeTemplates([...byId.values()]);
+            } else {
+                await this.writeTemplates(templates);
+            }
+            this.onChange({ type: 'templates' });
+        } catch (error) {
+            this.reportError(error);
+        }
+    }
+
+    async deleteTemplate(id) {
+        try {
+            if (this.fallback || !this.db) {
+                await this.writeTemplates((await this.loadTemplates()).filter(t => t.id !== id));
+            } else {
+                await this.request(this.db.transaction('templates', 'readwrite').objectStore('templates').delete(id));
+            }
+            this.onChange({ type: 'templates' });
+        } catch (error) {
+            this.reportError(error);
+        }
+    }
+
+    // In localStorage `templates` replaces the whole set; rejects instead of reporting
+    async writeTemplates(templates) {
+        if (this.fallback || !this.db) {
+            localStorage.setItem(this.templatesKey, await this.sealText(JSON.stringify(templates)));
+            return;
+        }
+        
+        const records = await Promise.all(templates.map(t => this.seal(t)));
+        const tx = this.db.transaction('templates', 'readwrite');
+        records.forEach(record => tx.objectStore('templates').put(record));
+        await this.transactionDone(tx);
+    }
+
+    // Offline outbox
+    // Without IndexedDB the outbox lives in localStorage, next to the fallback conversations
+    get outboxKey() {
+        return `${this.legacyKey}.outbox`;
+    }
+
+    readFallbackQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(this.outboxKey) || '[]');
+        } catch (error) {
+            console.warn('⚠️ Outbox is corrupted:', error);
+            return [];
+        }
+    }
+
+    // Resolves to whether the entry was stored
+    async enqueue(entry) {
+        try {
+            if (this.fallback || !this.db) {
+                const queue = this.readFallbackQueue().filter(queued => queued.id !== entry.id);
+                localStorage.setItem(this.outboxKey, JSON.stringify([...queue, entry]));
+            } else {
+                await this.request(this.db.transaction('outbox', 'readwrite').objectStore('outbox').put(entry));
+            }
+            return true;
+        } catch (error) {
+            this.reportError(error);
+            return false;
+        }
+    }
+
+    async getQueue() {
+        const entries = this.fallback || !this.db
+            ? this.readFallbackQueue()
+            : await this.request(this.db.transaction('outbox').objectStore('outbox').getAll());
+        return entries.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    async dequeue(id) {
+        if (this.fallback || !this.db) {
+            localStorage.setItem(this.outboxKey, JSON.stringify(this.readFallbackQueue().filter(entry => entry.id !== id)));
+            return;
+        }
+        await this.request(this.db.transaction('outbox', 'readwrite').objectStore('outbox').delete(id));
+    }
+
+    // Forgets everything stored here, e.g. when a vault passphrase is lost
+    async destroy() {
+        this.db?.close();
+        this.db = null;
+        this.signatures.clear();
+        
+        if (typeof indexedDB !== 'undefined') {
+            await new Promise((resolve, reject) => {
+                const request = indexedDB.deleteDatabase(this.dbName);
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Database deletion blocked by another tab'));
+            });
+        }
+        Object.keys(localStorage)
+            .filter(key => key === this.legacyKey || key === this.templatesKey || key.startsWith(`${this.legacyKey}.`))
+            .forEach(key => localStorage.removeItem(key));
+    }
+
+    signatureOf(conversation) {
+        return StorageManager.signatureOf(conversation);
+    }
+
+    /*
+     * Change detection over every field, so in-place edits (a message's status, a reply
+     * still streaming, a new branch choice) count too. Attachment payloads only count by
+     * length: they never change in place and would make every save hash megabytes.
+     */
+    static signatureOf(conversation) {
+        return StorageManager.hash(JSON.stringify(conversation, (key, value) =>
+            key === 'data' && typeof value === 'string' ? value.length : value));
+    }
+
+    // cyrb53: a fast 53-bit string hash, plenty to tell versions of one conversation apart
+    static hash(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const char = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ char, 2654435761);
+            h2 = Math.imul(h2 ^ char, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    reportError(error) {
+        console.error('❌ Storage write failed:', error);
+        this.onError(error, StorageManager.isQuotaError(error));
+    }
+
+    static isQuotaError(error) {
+        return error?.name === 'QuotaExceededError' ||
+            error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error?.code === 22;
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageManager;
+}
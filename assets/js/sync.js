@@ -0,0 +1,104 @@
+/**
+ * Claude AI Suite - Tab Sync
+ * Keeps open tabs in step over a BroadcastChannel, and lets only one tab at a time reply in a conversation
+ */
+
+class TabSync {
+    constructor(options = {}) {
+        this.channelName = options.channelName || CONFIG.SYNC.CHANNEL;
+        // Called with every message other than the lock bookkeeping below
+        this.onMessage = options.onMessage || (() => {});
+        // Called with a conversation id when another tab starts or stops replying in it
+        this.onBusyChange = options.onBusyChange || (() => {});
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        
+        // Conversation id -> id of the tab replying in it
+        this.busy = new Map();
+        // Conversations this tab is replying in
+        this.held = new Set();
+        this.channel = null;
+    }
+
+    // Resolved by run() instead of the task's result when another tab holds the conversation
+    static get BUSY() { return Symbol.for('claude-ai-suite.sync.busy'); }
+
+    start() {
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('⚠️ BroadcastChannel not available, tabs will not be kept in sync');
+            return;
+        }
+        
+        this.channel = new BroadcastChannel(this.channelName);
+        this.channel.addEventListener('message', (e) => this.receive(e.data));
+        window.addEventListener('pagehide', () => this.post({ type: 'bye' }));
+        
+        // Tabs that are already replying somewhere say so
+        this.post({ type: 'hello' });
+    }
+
+    post(message) {
+        this.channel?.postMessage({ ...message, from: this.tabId });
+    }
+
+    receive(message) {
+        if (!message || message.from === this.tabId) return;
+        
+        switch (message.type) {
+            case 'hello':
+                this.held.forEach(conversationId => this.post({ type: 'busy', conversationId }));
+                break;
+            case 'busy':
+                this.busy.set(message.conversationId, message.from);
+                this.onBusyChange(message.conversationId);
+                break;
+            case 'idle':
+                this.busy.delete(message.conversationId);
+                this.onBusyChange(message.conversationId);
+                break;
+            case 'bye':
+                [...this.busy].filter(([, tabId]) => tabId === message.from).forEach(([conversationId]) => {
+                    this.busy.delete(conversationId);
+                    this.onBusyChange(conversationId);
+                });
+                break;
+            default:
+                this.onMessage(message);
+        }
+    }
+
+    isBusyElsewhere(conversationId) {
+        return this.busy.has(conversationId);
+    }
+
+    /*
+     * Runs `task` holding the conversation's lock, or resolves to TabSync.BUSY without
+     * running it. Web Locks are released by the browser even if the holder crashes;
+     * where they're missing, the other tabs' announcements are the best we have.
+     */
+    async run(conversationId, task) {
+        const exclusive = async () => {
+            this.held.add(conversationId);
+            this.post({ type: 'busy', conversationId });
+            try {
+                return await task();
+            } finally {
+                this.held.delete(conversationId);
+                this.post({ type: 'idle', conversationId });
+            }
+        };
+        
+        if (!navigator.locks) {
+            return this.isBusyElsewhere(conversationId) ? TabSync.BUSY : exclusive();
+        }
+        return navigator.locks.request(
+            `${this.channelName}:${conversationId}`,
+            { ifAvailable: true },
+            (lock) => lock ? exclusive() : TabSync.BUSY
+        );
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabSync;
+}
@@ -0,0 +1,149 @@
+/**
+ * Claude AI Suite - Prompt Templates
+ * Saved system prompts and messages with {{variables}}, persisted next to the conversations
+ */
+
+class TemplateLibrary {
+    constructor(options = {}) {
+        this.storage = options.storage;
+        this.i18n = options.i18n || new I18n();
+        this.generateId = options.generateId || (() => Date.now().toString(36) + Math.random().toString(36).slice(2));
+        this.templates = [];
+    }
+
+    static get FORMAT() { return 'claude-ai-suite-templates'; }
+    static get VERSION() { return 1; }
+
+    // Labelled by templates.types.<type> in the catalogs
+    static get TYPES() {
+        return ['system', 'prompt'];
+    }
+
+    // {{name}}, with optional spaces inside the braces
+    static get VARIABLE_PATTERN() { return /\{\{\s*([^{}]+?)\s*\}\}/g; }
+
+    async load() {
+        try {
+            this.templates = await this.storage.loadTemplates();
+        } catch (error) {
+            console.error('❌ Failed to load templates:', error);
+            this.templates = [];
+        }
+        return this.templates;
+    }
+
+    list(type) {
+        return this.templates
+            .filter(template => !type || template.type === type)
+            .sort((a, b) => this.i18n.compare(a.name, b.name));
+    }
+
+    get(id) {
+        return this.templates.find(template => template.id === id) || null;
+    }
+
+    // Returns a description of the first problem found, or null if valid
+    validate(template) {
+        if (!template || typeof template !== 'object') return this.i18n.t('templates.errors.notObject');
+        if (typeof template.name !== 'string' || !template.name.trim()) return this.i18n.t('templates.errors.nameRequired');
+        if (!TemplateLibrary.TYPES.includes(template.type)) return this.i18n.t('templates.errors.invalidType', { type: template.type });
+        if (typeof template.content !== 'string' || !template.content.trim()) return this.i18n.t('templates.errors.contentRequired');
+        return null;
+    }
+
+    // Create or update; throws with a user-facing message if invalid
+    async save(template) {
+        const problem = this.validate(template);
+        if (problem) throw new Error(problem);
+        
+        const now = new Date().toISOString();
+        const existing = template.id && this.get(template.id);
+        const saved = {
+            id: template.id || this.generateId(),
+            name: template.name.trim(),
+            type: template.type,
+            content: template.content,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+        
+        this.templates = [...this.templates.filter(t => t.id !== saved.id), saved];
+        await this.storage.saveTemplates([saved]);
+        return saved;
+    }
+
+    async remove(id) {
+        this.templates = this.templates.filter(template => template.id !== id);
+        await this.storage.deleteTemplate(id);
+    }
+
+    // Variable names in order of first appearance
+    variablesOf(content) {
+        const names = [...content.matchAll(TemplateLibrary.VARIABLE_PATTERN)].map(match => match[1]);
+        return [...new Set(names)];
+    }
+
+    fill(content, values) {
+        return content.replace(TemplateLibrary.VARIABLE_PATTERN, (match, name) =>
+            Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match);
+    }
+
+    // Import / Export
+    serialize(templates = this.list()) {
+        return JSON.stringify({
+            format: TemplateLibrary.FORMAT,
+            version: TemplateLibrary.VERSION,
+            exportedAt: new Date().toISOString(),
+            templates
+        }, null, 2);
+    }
+
+    static isTemplateFile(data) {
+        return data?.format === TemplateLibrary.FORMAT && Array.isArray(data.templates);
+    }
+
+    // Newer copies replace older ones with the same id; returns counts like ConversationTransfer.merge
+    async import(data) {
+        if (data.version > TemplateLibrary.VERSION) {
+            throw new Error(this.i18n.t('templates.errors.version', { version: data.version }));
+        }
+        
+        const result = { added: 0, merged: 0, unchanged: 0, skipped: 0 };
+        const changed = [];
+        const now = new Date().toISOString();
+        
+        data.templates.forEach(template => {
+            if (this.validate(template)) {
+                result.skipped++;
+                return;
+            }
+            
+            const incoming = {
+                id: template.id || this.generateId(),
+                name: template.name.trim(),
+                type: template.type,
+                content: template.content,
+                createdAt: template.createdAt || now,
+                updatedAt: template.updatedAt || now
+            };
+            const current = this.get(incoming.id);
+            
+            if (current && new Date(incoming.updatedAt) <= new Date(current.updatedAt)) {
+                result.unchanged++;
+                return;
+            }
+            
+            result[current ? 'merged' : 'added']++;
+            this.templates = [...this.templates.filter(t => t.id !== incoming.id), incoming];
+            changed.push(incoming);
+        });
+        
+        if (changed.length > 0) await this.storage.saveTemplates(changed);
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateLibrary;
+}
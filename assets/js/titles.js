@@ -0,0 +1,88 @@
+/**
+ * Claude AI Suite - Conversation Titles
+ * Short titles and summaries generated by a cheap model, with a local fallback
+ */
+
+class ConversationTitler {
+    constructor(options = {}) {
+        // async (messages, conversation) => text of the model's reply
+        this.complete = options.complete;
+        this.limits = options.limits || CONFIG.TITLES;
+        this.i18n = options.i18n || new I18n();
+    }
+
+    // A title still at its default, in any language (the language setting may have changed since)
+    isDefaultTitle(title) {
+        return this.i18n.variants('conversations.defaultTitle').includes(title);
+    }
+
+    // titleSource: 'fallback' (first message), 'auto' (model) or 'manual' (renamed by the user)
+    needsTitle(conversation) {
+        const untitled = conversation.titleSource === 'fallback' ||
+            (!conversation.titleSource && this.isDefaultTitle(conversation.title));
+        return untitled && conversation.messages.some(msg => msg.role === 'assistant');
+    }
+
+    needsSummary(conversation) {
+        if (!conversation.messages.some(msg => msg.role === 'assistant')) return false;
+        if (!conversation.summary) return true;
+        return conversation.messages.length - (conversation.summaryMessageCount || 0) >= this.limits.SUMMARY_REFRESH_MESSAGES;
+    }
+
+    // Used right away so the sidebar never shows a row of identical titles
+    fallbackTitle(text) {
+        const line = text.replace(/\s+/g, ' ').trim();
+        if (!line) return this.i18n.t('conversations.defaultTitle');
+        return this.truncate(line, this.limits.MAX_LENGTH);
+    }
+
+    buildPrompt(conversation) {
+        let transcript = conversation.messages
+            .map(msg => `${this.i18n.t(msg.role === 'user' ? 'roles.user' : 'roles.assistant')}: ${msg.content}`)
+            .join('\n\n');
+        if (transcript.length > this.limits.TRANSCRIPT_CHARS) {
+            transcript = transcript.slice(0, this.limits.TRANSCRIPT_CHARS) + '…';
+        }
+        
+        return [{
+            role: 'user',
+            content: `${this.i18n.t('titles.prompt')}\n\n<conversation>\n${transcript}\n</conversation>`
+        }];
+    }
+
+    // Tolerates code fences and chatter around the JSON; returns { title, summary } with either possibly empty
+    parse(text) {
+        let data = {};
+        const match = String(text || '').match(/\{[\s\S]*\}/);
+        if (match) {
+            try {
+                data = JSON.parse(match[0]);
+            } catch (error) {
+                console.warn('⚠️ Unparseable title response:', text);
+            }
+        }
+        
+        const clean = (value) => String(value || '').replace(/\s+/g, ' ').replace(/^["'«\s]+|["'»\s]+$/g, '');
+        
+        return {
+            title: this.truncate(clean(data.title).replace(/\.$/, ''), this.limits.MAX_LENGTH),
+            summary: this.truncate(clean(data.summary), this.limits.SUMMARY_MAX_LENGTH)
+        };
+    }
+
+    async generate(conversation) {
+        return this.parse(await this.complete(this.buildPrompt(conversation), conversation));
+    }
+
+    truncate(text, max) {
+        if (text.length <= max) return text;
+        const cut = text.slice(0, max - 1);
+        const lastSpace = cut.lastIndexOf(' ');
+        return `${lastSpace > max / 2 ? cut.slice(0, lastSpace) : cut}…`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationTitler;
+}
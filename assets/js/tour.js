@@ -0,0 +1,70 @@
+/**
+ * Claude AI Suite - Onboarding Tour
+ * The guided tour's steps and how far the user got, so it can resume where it was closed
+ */
+
+class OnboardingTour {
+    constructor(options = {}) {
+        this.steps = options.steps || CONFIG.TOUR.STEPS;
+        this.storageKey = options.storageKey || CONFIG.STORAGE_KEYS.TOUR;
+        
+        // { step, completed }, or null if the tour was never opened
+        this.progress = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || null;
+        } catch (error) {
+            console.warn('⚠️ Tour progress is corrupted, starting over:', error);
+            return null;
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.progress));
+    }
+
+    get length() {
+        return this.steps.length;
+    }
+
+    step(index) {
+        return this.steps[index] || null;
+    }
+
+    hasStarted() {
+        return Boolean(this.progress);
+    }
+
+    isCompleted() {
+        return Boolean(this.progress?.completed);
+    }
+
+    // Where opening the tour picks up: the step it was closed on, or the start once it has been finished
+    get resumeStep() {
+        if (!this.progress || this.progress.completed) return 0;
+        return Math.min(Math.max(this.progress.step, 0), this.length - 1);
+    }
+
+    // Taking the tour again counts as unfinished until its last step
+    goTo(index) {
+        this.progress = { step: index, completed: false };
+        this.save();
+    }
+
+    complete() {
+        this.progress = { step: 0, completed: true };
+        this.save();
+    }
+
+    restart() {
+        this.progress = { step: 0, completed: false };
+        this.save();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OnboardingTour;
+}
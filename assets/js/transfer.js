@@ -0,0 +1,374 @@
+/**
+ * Claude AI Suite - Import / Export
+ * Versioned export schema, validation and third-party importers
+ */
+
+class ConversationTransfer {
+    constructor(options = {}) {
+        this.generateId = options.generateId || (() => Date.now().toString(36) + Math.random().toString(36).slice(2));
+        this.getModelName = options.getModelName || ((id) => CONFIG.MODELS[id]?.name || id);
+        this.i18n = options.i18n || new I18n();
+    }
+
+    static get FORMAT() { return 'claude-ai-suite'; }
+    static get VERSION() { return 2; }
+
+    // Export
+    exportAll(conversations) {
+        return {
+            format: ConversationTransfer.FORMAT,
+            version: ConversationTransfer.VERSION,
+            appVersion: CONFIG.APP_VERSION,
+            exportedAt: new Date().toISOString(),
+            conversations
+        };
+    }
+
+    toMarkdown(conversation) {
+        const lines = [
+            `# ${conversation.title}`,
+            '',
+            `- **${this.i18n.t('transfer.fields.model')}:** ${this.getModelName(conversation.model)}`,
+            `- **${this.i18n.t('transfer.fields.created')}:** ${this.i18n.formatDate(conversation.createdAt)}`,
+            `- **${this.i18n.t('transfer.fields.updated')}:** ${this.i18n.formatDate(conversation.updatedAt)}`,
+            ...(conversation.summary ? [`- **${this.i18n.t('transfer.fields.summary')}:** ${conversation.summary}`] : []),
+            ''
+        ];
+        
+        if (conversation.systemPrompt) {
+            lines.push(`### ⚙️ ${this.i18n.t('templates.types.system')}`, '', conversation.systemPrompt, '');
+        }
+        
+        conversation.messages.forEach(msg => {
+            lines.push('---', '', `### ${msg.role === 'user' ? `👤 ${this.i18n.t('roles.user')}` : `🤖 ${this.i18n.t('roles.assistant')}`}`, '');
+            (msg.attachments || []).forEach(attachment => lines.push(`📎 *${attachment.name}*`, ''));
+            lines.push(msg.content, '');
+        });
+        
+        return lines.join('\n');
+    }
+
+    toHTML(conversation) {
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        
+        const messages = conversation.messages.map(msg => `
+    <section class="message ${msg.role}">
+        <h3>${this.i18n.t(msg.role === 'user' ? 'roles.user' : 'roles.assistant')}</h3>
+        <div class="content">${escape(msg.content)}</div>
+    </section>`).join('');
+        
+        const system = conversation.systemPrompt ? `
+    <section class="message system">
+        <h3>${this.i18n.t('templates.types.system')}</h3>
+        <div class="content">${escape(conversation.systemPrompt)}</div>
+    </section>` : '';
+        
+        return `<!DOCTYPE html>
+<html lang="${this.i18n.locale}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escape(conversation.title)}</title>
+    <style>
+        body { font-family: -apple-system, 'Segoe UI', sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #111827; line-height: 1.6; }
+        .meta { color: #6B7280; font-size: 0.875rem; }
+        .message { border: 1px solid #E5E7EB; border-radius: 0.75rem; padding: 1rem 1.25rem; margin: 1rem 0; }
+        .message.user { background: #F3F4F6; }
+        .message.system { border-style: dashed; color: #4B5563; }
+        .message h3 { margin: 0 0 0.5rem; font-size: 0.875rem; color: #4F46E5; }
+        .content { white-space: pre-wrap; word-wrap: break-word; }
+    </style>
+</head>
+<body>
+    <h1>${escape(conversation.title)}</h1>
+    <p class="meta">${escape(this.getModelName(conversation.model))} • ${escape(this.i18n.formatDate(conversation.updatedAt))}</p>${system}${messages}
+</body>
+</html>
+`;
+    }
+
+    // Import
+    parse(text, { model } = {}) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(this.i18n.t('transfer.errors.json'));
+        }
+        
+        const source = this.detectSource(data);
+        let entries = data;
+        let convert = conv => conv;
+        
+        switch (source) {
+            case 'suite':
+                if (data.version > ConversationTransfer.VERSION) {
+                    throw new Error(this.i18n.t('transfer.errors.version', { version: data.version }));
+                }
+                entries = data.conversations;
+                break;
+            case 'chatgpt':
+                convert = conv => this.fromChatGPT(conv, model);
+                break;
+            case 'claude':
+                convert = conv => this.fromClaudeAI(conv, model);
+                break;
+            default:
+                throw new Error(this.i18n.t('transfer.errors.format'));
+        }
+        
+        const conversations = [];
+        const skipped = [];
+        entries.forEach((entry, index) => {
+            // A malformed entry in a third-party export is skipped like any other invalid one
+            const unreadable = this.checkSource(source, entry);
+            const conv = unreadable ? null : convert(entry);
+            const problem = unreadable || this.validate(conv);
+            if (problem) {
+                skipped.push({ index, title: conv?.title ?? entry?.title ?? entry?.name, reason: problem });
+            } else {
+                conversations.push(this.normalize(conv, model));
+            }
+        });
+        
+        return { source, conversations, skipped };
+    }
+
+    detectSource(data) {
+        if (data?.format === ConversationTransfer.FORMAT && Array.isArray(data.conversations)) {
+            return 'suite';
+        }
+        if (Array.isArray(data) && data.length > 0) {
+            if (data[0].mapping) return 'chatgpt';
+            if (data[0].chat_messages) return 'claude';
+        }
+        return null;
+    }
+
+    // What the third-party converters read without checking; null if it's there
+    checkSource(source, entry) {
+        if (source === 'suite') return null;
+        if (!entry || typeof entry !== 'object') return this.i18n.t('transfer.invalid.notObject');
+        if (source === 'chatgpt') {
+            if (!entry.mapping || typeof entry.mapping !== 'object') return this.i18n.t('transfer.invalid.tree');
+            if (!ConversationTransfer.chatGPTBranch(entry)) return this.i18n.t('transfer.invalid.cycle', { id: entry.current_node });
+        }
+        if (source === 'claude' && !Array.isArray(entry.chat_messages)) return this.i18n.t('transfer.invalid.missingMessages');
+        return null;
+    }
+
+    // Returns a description of the first problem found, or null if valid
+    validate(conv) {
+        if (!conv || typeof conv !== 'object') return this.i18n.t('transfer.invalid.notObject');
+        if (typeof conv.id !== 'string' || !conv.id) return this.i18n.t('transfer.invalid.missingId');
+        if (typeof conv.title !== 'string') return this.i18n.t('transfer.invalid.missingTitle');
+        if (!Array.isArray(conv.messages)) return this.i18n.t('transfer.invalid.missingMessages');
+        if (conv.systemPrompt !== undefined && typeof conv.systemPrompt !== 'string') return this.i18n.t('transfer.invalid.systemPrompt');
+        if (conv.model != null && !ModelRegistry.isValidId(conv.model)) return this.i18n.t('transfer.invalid.model');
+        
+        const messageIds = new Set();
+        for (const msg of conv.messages) {
+            if (!['user', 'assistant'].includes(msg?.role)) return this.i18n.t('transfer.invalid.role', { role: msg?.role });
+            // Missing ids are generated by normalize(); present ones key the message tree
+            if (msg.id !== undefined && (typeof msg.id !== 'string' || !msg.id)) return this.i18n.t('transfer.invalid.messageId');
+            if (msg.id !== undefined && messageIds.has(msg.id)) return this.i18n.t('transfer.invalid.duplicate', { id: msg.id });
+            messageIds.add(msg.id);
+            if (typeof msg.content !== 'string') return this.i18n.t('transfer.invalid.content');
+            if (msg.model != null && !ModelRegistry.isValidId(msg.model)) return this.i18n.t('transfer.invalid.model');
+            if (!this.hasValidAttachments(msg)) return this.i18n.t('transfer.invalid.attachment');
+        }
+        
+        if (conv.nodes !== undefined) {
+            if (!conv.nodes || typeof conv.nodes !== 'object' || Array.isArray(conv.nodes)) return this.i18n.t('transfer.invalid.tree');
+            if (conv.activeChildren !== undefined && !ConversationTransfer.isIdMap(conv.activeChildren)) return this.i18n.t('transfer.invalid.tree');
+            for (const [id, node] of Object.entries(conv.nodes)) {
+                if (node?.id !== id) return this.i18n.t('transfer.invalid.nodeId', { id });
+                if (!['user', 'assistant'].includes(node.role)) return this.i18n.t('transfer.invalid.role', { role: node.role });
+                if (typeof node.content !== 'string') return this.i18n.t('transfer.invalid.content');
+                if (node.model != null && !ModelRegistry.isValidId(node.model)) return this.i18n.t('transfer.invalid.model');
+                if (!this.hasValidAttachments(node)) return this.i18n.t('transfer.invalid.attachment');
+                if (node.parentId != null && (typeof node.parentId !== 'string' || !Object.hasOwn(conv.nodes, node.parentId))) {
+                    return this.i18n.t('transfer.invalid.orphan', { id });
+                }
+            }
+            
+            // Every node must lead back to the root, or walking up from it never ends
+            const rooted = new Set();
+            for (const id of Object.keys(conv.nodes)) {
+                const path = new Set();
+                for (let node = conv.nodes[id]; node && !rooted.has(node.id); node = node.parentId != null ? conv.nodes[node.parentId] : null) {
+                    if (path.has(node.id)) return this.i18n.t('transfer.invalid.cycle', { id });
+                    path.add(node.id);
+                }
+                path.forEach(pathId => rooted.add(pathId));
+            }
+            
+            // The tree replaces `messages` on load, so each message must be one of its nodes
+            const detached = conv.messages.find(msg => !Object.hasOwn(conv.nodes, msg.id ?? ''));
+            if (detached) return this.i18n.t('transfer.invalid.detached', { id: detached.id ?? '' });
+        }
+        
+        for (const field of ['createdAt', 'updatedAt']) {
+            if (conv[field] && isNaN(new Date(conv[field]))) return this.i18n.t('transfer.invalid.date', { field });
+        }
+        return null;
+    }
+
+    // { parentId or 'root': child id }
+    static isIdMap(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+            Object.values(value).every(id => typeof id === 'string');
+    }
+
+    // Attachments are opened and sent as they are stored, so they must look like ones read from a file
+    hasValidAttachments(msg) {
+        return msg.attachments === undefined ||
+            (Array.isArray(msg.attachments) && msg.attachments.every(attachment => AttachmentManager.isValid(attachment)));
+    }
+
+    normalize(conv, model) {
+        const now = new Date().toISOString();
+        return {
+            ...conv,
+            model: conv.model || model,
+            createdAt: conv.createdAt || now,
+            updatedAt: conv.updatedAt || conv.createdAt || now,
+            messages: conv.messages.map(msg => ({
+                ...msg,
+                id: msg.id || this.generateId(),
+                timestamp: msg.timestamp || conv.updatedAt || now
+            }))
+        };
+    }
+
+    // ChatGPT stores a tree; follow the branch that ends at current_node
+    fromChatGPT(conv, model) {
+        const messages = [];
+        
+        ConversationTransfer.chatGPTBranch(conv).forEach(node => {
+            const message = node.message;
+            const role = message?.author?.role;
+            const parts = message?.content?.parts || [];
+            const content = parts.filter(part => typeof part === 'string').join('\n').trim();
+            
+            if ((role === 'user' || role === 'assistant') && content) {
+                messages.unshift({
+                    id: message.id,
+                    role,
+                    content,
+                    timestamp: message.create_time ? new Date(message.create_time * 1000).toISOString() : undefined
+                });
+            }
+        });
+        
+        const id = conv.conversation_id || conv.id || this.generateId();
+        return {
+            id: `chatgpt-${id}`,
+            title: conv.title || this.i18n.t('transfer.importedTitle'),
+            messages,
+            model,
+            source: 'chatgpt',
+            createdAt: conv.create_time ? new Date(conv.create_time * 1000).toISOString() : undefined,
+            updatedAt: conv.update_time ? new Date(conv.update_time * 1000).toISOString() : undefined
+        };
+    }
+
+    // Nodes from current_node up to the root, newest first; null if a node is its own ancestor
+    static chatGPTBranch(conv) {
+        const branch = [];
+        const seen = new Set();
+        
+        for (let nodeId = conv.current_node; nodeId && Object.hasOwn(conv.mapping, nodeId); nodeId = conv.mapping[nodeId]?.parent) {
+            if (seen.has(nodeId)) return null;
+            seen.add(nodeId);
+            branch.push(conv.mapping[nodeId] || {});
+        }
+        return branch;
+    }
+
+    fromClaudeAI(conv, model) {
+        const messages = conv.chat_messages
+            .map(msg => {
+                const text = msg.text || (msg.content || [])
+                    .filter(part => part.type === 'text')
+                    .map(part => part.text)
+                    .join('\n');
+                return {
+                    id: msg.uuid,
+                    role: msg.sender === 'human' ? 'user' : 'assistant',
+                    content: (text || '').trim(),
+                    timestamp: msg.created_at
+                };
+            })
+            .filter(msg => msg.content);
+        
+        return {
+            id: `claude-${conv.uuid || this.generateId()}`,
+            title: conv.name || this.i18n.t('transfer.importedTitle'),
+            messages,
+            model,
+            source: 'claude.ai',
+            createdAt: conv.created_at,
+            updatedAt: conv.updated_at
+        };
+    }
+
+    // Merge into the existing list; conversations with the same id are combined message by message
+    merge(existing, incoming) {
+        const byId = new Map(existing.map(conv => [conv.id, conv]));
+        const result = { added: 0, merged: 0, unchanged: 0 };
+        
+        incoming.forEach(conv => {
+            const current = byId.get(conv.id);
+            if (!current) {
+                existing.push(conv);
+                byId.set(conv.id, conv);
+                result.added++;
+                return;
+            }
+            
+            const incomingIsNewer = new Date(conv.updatedAt) > new Date(current.updatedAt);
+            
+            // Branched conversations are merged node by node; the caller rebuilds `messages`
+            if (current.nodes && conv.nodes) {
+                const newNodes = Object.values(conv.nodes).filter(node => !current.nodes[node.id]);
+                if (newNodes.length === 0 && !incomingIsNewer) {
+                    result.unchanged++;
+                    return;
+                }
+                
+                newNodes.forEach(node => { current.nodes[node.id] = node; });
+                current.activeChildren = incomingIsNewer
+                    ? { ...current.activeChildren, ...conv.activeChildren }
+                    : { ...conv.activeChildren, ...current.activeChildren };
+            } else {
+                const knownIds = new Set(current.messages.map(msg => msg.id));
+                const newMessages = conv.messages.filter(msg => !knownIds.has(msg.id));
+                if (newMessages.length === 0 && !incomingIsNewer) {
+                    result.unchanged++;
+                    return;
+                }
+                
+                current.messages = [...current.messages, ...newMessages]
+                    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            }
+            
+            if (incomingIsNewer) {
+                current.title = conv.title;
+                current.updatedAt = conv.updatedAt;
+            }
+            result.merged++;
+        });
+        
+        existing.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationTransfer;
+}
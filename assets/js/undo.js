@@ -0,0 +1,46 @@
+/**
+ * Claude AI Suite - Undo Stack
+ * Reversible destructive operations: each entry carries the closure that restores what it removed
+ */
+
+class UndoStack {
+    constructor(options = {}) {
+        this.limit = options.limit || CONFIG.UNDO.LIMIT;
+        this.entries = [];
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    peek() {
+        return this.entries[this.entries.length - 1] || null;
+    }
+
+    // `undo` may be async; the oldest entries are forgotten past the limit
+    push(label, undo) {
+        const entry = { id: `${Date.now().toString(36)}-${this.entries.length}`, label, undo, createdAt: Date.now() };
+        this.entries.push(entry);
+        if (this.entries.length > this.limit) this.entries.shift();
+        return entry;
+    }
+
+    // Undo a specific entry (e.g. from its toast) or the most recent one; resolves to the entry or null
+    async undo(entry = this.peek()) {
+        const index = entry ? this.entries.indexOf(entry) : -1;
+        if (index === -1) return null;
+        
+        this.entries.splice(index, 1);
+        await entry.undo();
+        return entry;
+    }
+
+    clear() {
+        this.entries = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UndoStack;
+}
@@ -0,0 +1,171 @@
+/**
+ * Claude AI Suite - Usage Accounting
+ * Token counts per message, conversation and model, daily history, cost estimates and budget alerts
+ */
+
+class UsageTracker {
+    constructor(options = {}) {
+        this.getModel = options.getModel || ((id) => ({ id, name: id, ...CONFIG.MODELS[id] }));
+        this.historyDays = options.historyDays || CONFIG.USAGE.HISTORY_DAYS;
+        this.warningRatio = options.warningRatio || CONFIG.USAGE.BUDGET_WARNING_RATIO;
+    }
+
+    // Providers report usage in different shapes; returns { input, output } or null
+    static normalize(usage) {
+        if (!usage) return null;
+        
+        // Puter.js: [{ type: 'prompt', amount }, { type: 'completion', amount }]
+        if (Array.isArray(usage)) {
+            const amount = (type) => usage.find(entry => entry.type === type)?.amount;
+            return UsageTracker.normalize({ input_tokens: amount('prompt'), output_tokens: amount('completion') });
+        }
+        
+        const input = usage.input_tokens ?? usage.prompt_tokens;
+        const output = usage.output_tokens ?? usage.completion_tokens;
+        if (!Number.isFinite(input) && !Number.isFinite(output)) return null;
+        
+        return { input: input || 0, output: output || 0 };
+    }
+
+    static dayKey(date = new Date()) {
+        const local = new Date(date);
+        return `${local.getFullYear()}-${String(local.getMonth() + 1).padStart(2, '0')}-${String(local.getDate()).padStart(2, '0')}`;
+    }
+
+    // Add one completed request to the running stats (mutates and returns them)
+    record(stats, { model, input, output, date = new Date() }) {
+        stats.daily = stats.daily || {};
+        const day = UsageTracker.dayKey(date);
+        const perModel = stats.daily[day] = stats.daily[day] || {};
+        const entry = perModel[model] = perModel[model] || { requests: 0, input: 0, output: 0 };
+        
+        entry.requests++;
+        entry.input += input;
+        entry.output += output;
+        stats.totalTokens = (stats.totalTokens || 0) + input + output;
+        
+        this.prune(stats, date);
+        return stats;
+    }
+
+    prune(stats, now = new Date()) {
+        const cutoff = new Date(now);
+        cutoff.setDate(cutoff.getDate() - this.historyDays);
+        const oldest = UsageTracker.dayKey(cutoff);
+        
+        Object.keys(stats.daily || {}).forEach(day => {
+            if (day < oldest) delete stats.daily[day];
+        });
+    }
+
+    // USD, or null when the model has no known pricing
+    costOf(modelId, input, output) {
+        const pricing = this.getModel(modelId).pricing;
+        if (!pricing) return null;
+        return (input * pricing.input + output * pricing.output) / 1e6;
+    }
+
+    // Totals across every branch of a conversation
+    conversationTotals(conversation) {
+        const totals = { input: 0, output: 0, cost: 0, estimated: false };
+        const messages = conversation.nodes ? Object.values(conversation.nodes) : conversation.messages;
+        
+        messages.forEach(msg => {
+            if (!msg.usage) return;
+            totals.input += msg.usage.input;
+            totals.output += msg.usage.output;
+            totals.cost += this.costOf(msg.model || conversation.model, msg.usage.input, msg.usage.output) || 0;
+            if (msg.usage.estimated) totals.estimated = true;
+        });
+        
+        return totals;
+    }
+
+    // Per-day and per-model aggregates over the last `days` days (oldest first)
+    summarize(stats, { days, now = new Date() } = {}) {
+        const daily = stats.daily || {};
+        const series = [];
+        const byModel = {};
+        
+        for (let offset = days - 1; offset >= 0; offset--) {
+            const date = new Date(now);
+            date.setDate(date.getDate() - offset);
+            const day = UsageTracker.dayKey(date);
+            const point = { day, tokens: 0, cost: 0, requests: 0 };
+            
+            Object.entries(daily[day] || {}).forEach(([model, entry]) => {
+                const cost = this.costOf(model, entry.input, entry.output);
+                point.tokens += entry.input + entry.output;
+                point.cost += cost || 0;
+                point.requests += entry.requests;
+                
+                const total = byModel[model] = byModel[model] || { id: model, requests: 0, input: 0, output: 0, cost: 0, priced: cost !== null };
+                total.requests += entry.requests;
+                total.input += entry.input;
+                total.output += entry.output;
+                total.cost += cost || 0;
+            });
+            
+            series.push(point);
+        }
+        
+        const models = Object.values(byModel)
+            .map(total => ({ ...total, name: this.getModel(total.id).name }))
+            .sort((a, b) => (b.input + b.output) - (a.input + a.output));
+        
+        const totals = series.reduce((sum, point) => ({
+            tokens: sum.tokens + point.tokens,
+            cost: sum.cost + point.cost,
+            requests: sum.requests + point.requests
+        }), { tokens: 0, cost: 0, requests: 0 });
+        
+        return { series, models, totals };
+    }
+
+    // Estimated spend in the calendar month of `now`
+    monthToDate(stats, now = new Date()) {
+        const month = UsageTracker.dayKey(now).slice(0, 7);
+        let cost = 0;
+        
+        Object.entries(stats.daily || {}).forEach(([day, perModel]) => {
+            if (!day.startsWith(month)) return;
+            Object.entries(perModel).forEach(([model, entry]) => {
+                cost += this.costOf(model, entry.input, entry.output) || 0;
+            });
+        });
+        
+        return cost;
+    }
+
+    // Returns 'warning' or 'exceeded' the first time a level is crossed in a month, otherwise null
+    checkBudget(stats, budget, now = new Date()) {
+        if (!budget) return null;
+        
+        const spent = this.monthToDate(stats, now);
+        const level = spent >= budget ? 'exceeded' : spent >= budget * this.warningRatio ? 'warning' : null;
+        if (!level) return null;
+        
+        const month = UsageTracker.dayKey(now).slice(0, 7);
+        stats.budgetAlerts = stats.budgetAlerts || {};
+        const previous = stats.budgetAlerts[month];
+        if (previous === level || previous === 'exceeded') return null;
+        
+        stats.budgetAlerts = { [month]: level };
+        return level;
+    }
+
+    static formatCost(cost, locale) {
+        if (cost === null) return '—';
+        return cost.toLocaleString(locale, {
+            style: 'currency',
+            currency: 'USD',
+            minimumFractionDigits: cost > 0 && cost < 0.01 ? 4 : 2,
+            maximumFractionDigits: cost > 0 && cost < 0.01 ? 4 : 2
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UsageTracker;
+}
@@ -0,0 +1,205 @@
+/**
+ * Claude AI Suite - Vault
+ * Passphrase-derived AES-GCM key (PBKDF2) for the data stored in this browser and for exports
+ */
+
+class Vault {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || CONFIG.STORAGE_KEYS.VAULT;
+        this.iterations = options.iterations || CONFIG.VAULT.ITERATIONS;
+        this.minLength = options.minLength || CONFIG.VAULT.MIN_PASSPHRASE_LENGTH;
+        this.i18n = options.i18n || new I18n();
+        
+        // { version, salt, iterations, check }: everything needed to re-derive and verify the key, never the key itself
+        this.header = this.loadHeader();
+        // Only ever in memory; locking forgets it
+        this.key = null;
+    }
+
+    static get FORMAT() { return 'claude-ai-suite-vault'; }
+    static get VERSION() { return 1; }
+
+    // Encrypted with the key so a wrong passphrase is detected before touching any data
+    static get VERIFIER() { return 'claude-ai-suite'; }
+
+    static get available() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    }
+
+    loadHeader() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || null;
+        } catch (error) {
+            console.warn('⚠️ Vault header is corrupted:', error);
+            return null;
+        }
+    }
+
+    saveHeader() {
+        if (this.header) {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.header));
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+
+    isEnabled() {
+        return Boolean(this.header);
+    }
+
+    isUnlocked() {
+        return Boolean(this.key);
+    }
+
+    // A new salt and key for `passphrase`, not yet in use; see activate()
+    async create(passphrase) {
+        if (!Vault.available) throw new Error(this.i18n.t('vault.errors.unavailable'));
+        if (passphrase.length < this.minLength) throw new Error(this.i18n.t('vault.errors.tooShort', { min: this.minLength }));
+        
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(passphrase, salt, this.iterations);
+        const header = {
+            version: Vault.VERSION,
+            salt: Vault.toBase64(salt),
+            iterations: this.iterations,
+            check: await this.encryptWith(key, Vault.VERIFIER)
+        };
+        return { header, key };
+    }
+
+    // The key for `passphrase` if it matches the header, otherwise null
+    async verify(passphrase, header = this.header) {
+        if (!header) return null;
+        const key = await this.deriveKey(passphrase, Vault.fromBase64(header.salt), header.iterations);
+        try {
+            return (await this.decryptWith(key, header.check)) === Vault.VERIFIER ? key : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async unlock(passphrase) {
+        const key = await this.verify(passphrase);
+        if (!key) throw new Error(this.i18n.t('vault.errors.wrongPassphrase'));
+        this.key = key;
+    }
+
+    lock() {
+        this.key = null;
+    }
+
+    current() {
+        return this.header ? { header: this.header, key: this.key } : null;
+    }
+
+    // Switches to another key (or to none) in memory; callers re-encrypt and then saveHeader()
+    activate(session) {
+        this.header = session?.header || null;
+        this.key = session?.key || null;
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Text to { iv, data }, both base64, with a fresh IV every time
+    async encryptWith(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        return { iv: Vault.toBase64(iv), data: Vault.toBase64(new Uint8Array(data)) };
+    }
+
+    // Rejects if the key is wrong or the data was tampered with
+    async decryptWith(key, { iv, data }) {
+        const text = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: Vault.fromBase64(iv) }, key, Vault.fromBase64(data)
+        );
+        return new TextDecoder().decode(text);
+    }
+
+    requireKey() {
+        if (!this.key) throw new Error(this.i18n.t('vault.errors.locked'));
+        return this.key;
+    }
+
+    // Any JSON value, e.g. a conversation record
+    async seal(value) {
+        return this.encryptWith(this.requireKey(), JSON.stringify(value));
+    }
+
+    async open(envelope) {
+        return JSON.parse(await this.decryptWith(this.requireKey(), envelope));
+    }
+
+    // Strings kept in localStorage; plaintext written before the vault was enabled reads as it is
+    async sealText(text) {
+        return JSON.stringify({ vault: await this.encryptWith(this.requireKey(), text) });
+    }
+
+    async openText(stored) {
+        if (!Vault.isSealedText(stored)) return stored;
+        return this.decryptWith(this.requireKey(), JSON.parse(stored).vault);
+    }
+
+    static isSealedText(stored) {
+        return typeof stored === 'string' && stored.startsWith('{"vault":');
+    }
+
+    // Exports carry their salt, so they open with the passphrase alone on any device
+    async sealExport(text) {
+        return {
+            format: Vault.FORMAT,
+            version: Vault.VERSION,
+            salt: this.header.salt,
+            iterations: this.header.iterations,
+            ...(await this.encryptWith(this.requireKey(), text))
+        };
+    }
+
+    static isSealedExport(data) {
+        return data?.format === Vault.FORMAT;
+    }
+
+    // Exports made by this vault open with the current key; anything else needs its passphrase
+    needsPassphrase(data) {
+        return !this.key || data.salt !== this.header?.salt;
+    }
+
+    async openExport(data, passphrase) {
+        const key = this.needsPassphrase(data)
+            ? await this.deriveKey(passphrase, Vault.fromBase64(data.salt), data.iterations)
+            : this.key;
+        try {
+            return await this.decryptWith(key, data);
+        } catch (error) {
+            throw new Error(this.i18n.t('vault.errors.wrongPassphrase'));
+        }
+    }
+
+    // In chunks: spreading a large attachment into fromCharCode would overflow the stack
+    static toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Vault;
+}
@@ -0,0 +1,59 @@
+/**
+ * Claude AI Suite - Precache Manifest
+ * Writes precache-manifest.js for the service worker: every file of the app shell with a content hash.
+ * Run on the built site, after minification, so the hashes match what is served:
+ *
+ *     node scripts/precache-manifest.js _site
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT = 'precache-manifest.js';
+
+// Relative to the site root; directories are walked recursively
+const INCLUDE = ['index.html', 'offline.html', 'manifest.json', 'manifest.en.json', 'assets/css', 'assets/js'];
+const EXTENSIONS = ['.html', '.json', '.css', '.js'];
+
+function walk(root, relative) {
+    const absolute = path.join(root, relative);
+    if (!fs.existsSync(absolute)) return [];
+    if (fs.statSync(absolute).isFile()) return [relative];
+
+    return fs.readdirSync(absolute)
+        .sort()
+        .flatMap(name => walk(root, path.posix.join(relative, name)))
+        .filter(file => EXTENSIONS.includes(path.extname(file)));
+}
+
+// The icons manifest.json declares, so notifications and the installed app have them offline
+function manifestIcons(root) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(root, 'manifest.json'), 'utf8'));
+    const icons = [
+        ...(manifest.icons || []),
+        ...(manifest.shortcuts || []).flatMap(shortcut => shortcut.icons || [])
+    ];
+    return [...new Set(icons.map(icon => path.posix.normalize(icon.src)))];
+}
+
+function revision(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 16);
+}
+
+function main(root = '.') {
+    const entries = [...new Set([...INCLUDE, ...manifestIcons(root)])]
+        .flatMap(relative => walk(root, relative))
+        .map(url => ({ url, revision: revision(path.join(root, url)) }));
+
+    // The page is also requested as the bare scope URL
+    const index = entries.find(entry => entry.url === 'index.html');
+    if (index) entries.unshift({ url: './', revision: index.revision });
+
+    const source = `// Generated by scripts/precache-manifest.js, do not edit\n` +
+        `self.__PRECACHE_MANIFEST = ${JSON.stringify(entries, null, 4)};\n`;
+    fs.writeFileSync(path.join(root, OUTPUT), source);
+    console.log(`✅ ${OUTPUT}: ${entries.length} files`);
+}
+
+main(process.argv[2]);
@@ -1,52 +1,118 @@
 /**
  * Service Worker for Claude AI Suite
- * Handles offline functionality and caching
+ * Precaches the app shell from a build-generated manifest and picks a caching strategy per route
  */
 
-const CACHE_NAME = 'claude-ai-v1.0.0';
-const RUNTIME_CACHE = 'claude-ai-runtime';
+// Written by scripts/precache-manifest.js at deploy time: [{ url, revision }] with content hashes
+try {
+    importScripts('precache-manifest.js');
+} catch (error) {
+    console.warn('[SW] No precache manifest (unbuilt checkout), caching at runtime only');
+}
 
-// Files to cache on install
-const STATIC_ASSETS = [
-    '/',
-    '/index.html',
-    '/assets/css/style.css',
-    '/assets/js/app.js',
-    '/assets/js/config.js',
-    '/manifest.json',
-    '/assets/images/icon-192.png',
-    '/assets/images/icon-512.png',
-    '/assets/images/favicon.ico'
+// Only the shell is precached without a manifest; every URL is relative to the registration scope
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || [
+    { url: './', revision: null },
+    { url: 'index.html', revision: null },
+    { url: 'offline.html', revision: null }
 ];
 
-// External resources to cache
+const PRECACHE_PREFIX = 'claude-ai-precache-';
+const PRECACHE_VERSION = hashString(PRECACHE_MANIFEST.map(entry => `${entry.url}@${entry.revision}`).join('|'));
+const PRECACHE_NAME = `${PRECACHE_PREFIX}${PRECACHE_VERSION}`;
+const RUNTIME_CACHE = 'claude-ai-runtime';
+const CDN_CACHE = 'claude-ai-cdn';
+// Shared content between the share_target POST and the app claiming it
+const SHARE_CACHE = 'claude-ai-share';
+// Cache entry holding the revision of every precached URL, to skip unchanged files on update
+const REVISIONS_KEY = '__revisions';
+
+const RUNTIME_MAX_ENTRIES = 60;
+const NAVIGATION_TIMEOUT = 4000;
+
+// IndexedDB outbox, written by the app (see assets/js/storage.js)
+const DB_NAME = 'claudeAISuite';
+const OUTBOX_STORE = 'outbox';
+
+// Pinned CDN versions never change, so they are served cache-first
+const CDN_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com', 'cdn.jsdelivr.net'];
+
 const EXTERNAL_ASSETS = [
     'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=JetBrains+Mono:wght@400;600&display=swap',
-    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css'
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css',
+    'https://cdn.jsdelivr.net/npm/marked@12.0.2/marked.min.js',
+    'https://cdn.jsdelivr.net/npm/dompurify@3.1.6/dist/purify.min.js',
+    'https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.9.0/highlight.min.js',
+    'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.js',
+    'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.css'
 ];
 
-// Install event - cache static assets
+function scoped(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+// Short, stable id for the manifest contents (djb2)
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+// Install event - precache the shell. The new worker then waits until the page asks it to take over
 self.addEventListener('install', event => {
-    console.log('[SW] Installing Service Worker...');
+    console.log(`[SW] Installing precache ${PRECACHE_VERSION}...`);
     
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(cache => {
-                console.log('[SW] Caching static assets');
-                return Promise.all([
-                    cache.addAll(STATIC_ASSETS),
-                    cache.addAll(EXTERNAL_ASSETS.map(url => 
-                        fetch(url, { mode: 'cors' })
-                            .then(response => cache.put(url, response))
-                            .catch(err => console.warn(`[SW] Failed to cache: ${url}`, err))
-                    ))
-                ]);
-            })
-            .then(() => self.skipWaiting())
-    );
+    event.waitUntil(Promise.all([
+        precache(),
+        warmCdnCache()
+    ]));
 });
 
-// Activate event - clean old caches
+async function precache() {
+    const cache = await caches.open(PRECACHE_NAME);
+    const previous = await previousPrecache();
+    
+    await Promise.all(PRECACHE_MANIFEST.map(async ({ url, revision }) => {
+        const key = scoped(url);
+        
+        // Unchanged files are copied from the running version instead of downloaded again
+        if (revision && previous?.revisions[url] === revision) {
+            const cached = await previous.cache.match(key);
+            if (cached) return cache.put(key, cached);
+        }
+        
+        const response = await fetch(key, { cache: 'reload' });
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return cache.put(key, response);
+    }));
+    
+    const revisions = Object.fromEntries(PRECACHE_MANIFEST.map(entry => [entry.url, entry.revision]));
+    await cache.put(scoped(REVISIONS_KEY), new Response(JSON.stringify(revisions), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+async function previousPrecache() {
+    const name = (await caches.keys()).find(key => key.startsWith(PRECACHE_PREFIX) && key !== PRECACHE_NAME);
+    if (!name) return null;
+    
+    const cache = await caches.open(name);
+    const revisions = await cache.match(scoped(REVISIONS_KEY));
+    return revisions ? { cache, revisions: await revisions.json() } : null;
+}
+
+// Best effort: the app still works online if a CDN is unreachable during install
+function warmCdnCache() {
+    return caches.open(CDN_CACHE).then(cache => Promise.all(EXTERNAL_ASSETS.map(url =>
+        cache.match(url).then(cached => cached || fetch(url, { mode: 'cors' })
+            .then(response => response.ok && cache.put(url, response))
+            .catch(err => console.warn(`[SW] Failed to cache: ${url}`, err)))
+    )));
+}
+
+// Activate event - drop older precaches and caches from previous layouts
 self.addEventListener('activate', event => {
     console.log('[SW] Activating Service Worker...');
     
@@ -55,7 +121,7 @@ self.addEventListener('activate', event => {
             .then(cacheNames => {
                 return Promise.all(
                     cacheNames
-                        .filter(name => name !== CACHE_NAME && name !== RUNTIME_CACHE)
+                        .filter(name => ![PRECACHE_NAME, RUNTIME_CACHE, CDN_CACHE, SHARE_CACHE].includes(name))
                         .map(name => {
                             console.log(`[SW] Deleting old cache: ${name}`);
                             return caches.delete(name);
@@ -66,78 +132,111 @@ self.addEventListener('activate', event => {
     );
 });
 
-// Fetch event - serve from cache, fallback to network
+/*
+ * Fetch event - one strategy per route:
+ *   navigations       network first (with a timeout), then the cached shell, then offline.html
+ *   precached files   cache first
+ *   CDN libraries     cache first, filled on demand
+ *   other same-origin stale-while-revalidate
+ *   anything else     network only (Puter.js and model APIs must never be cached)
+ */
 self.addEventListener('fetch', event => {
     const { request } = event;
     const url = new URL(request.url);
     
-    // Skip non-GET requests
-    if (request.method !== 'GET') {
+    // Manifest share_target
+    if (request.method === 'POST' && url.pathname === new URL(scoped('share')).pathname) {
+        event.respondWith(receiveShare(request));
         return;
     }
     
-    // Skip Puter.js API calls
-    if (url.hostname.includes('puter.com') || url.hostname.includes('api.puter')) {
-        return;
-    }
+    if (request.method !== 'GET') return;
     
-    event.respondWith(
-        caches.match(request)
-            .then(cachedResponse => {
-                if (cachedResponse) {
-                    console.log(`[SW] Serving from cache: ${request.url}`);
-                    // Update cache in background
-                    fetchAndCache(request);
-                    return cachedResponse;
-                }
-                
-                console.log(`[SW] Fetching: ${request.url}`);
-                return fetchAndCache(request);
-            })
-            .catch(error => {
-                console.error('[SW] Fetch failed:', error);
-                
-                // Return offline page for navigation requests
-                if (request.mode === 'navigate') {
-                    return caches.match('/offline.html');
-                }
-                
-                // Return placeholder for images
-                if (request.destination === 'image') {
-                    return caches.match('/assets/images/placeholder.png');
-                }
-                
-                return new Response('Offline', {
-                    status: 503,
-                    statusText: 'Service Unavailable',
-                    headers: new Headers({
-                        'Content-Type': 'text/plain'
-                    })
-                });
-            })
-    );
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(handleSameOrigin(request, event));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, CDN_CACHE));
+    }
 });
 
-// Helper function to fetch and cache
-async function fetchAndCache(request) {
+async function handleNavigation(request) {
+    try {
+        const response = await withTimeout(fetch(request), NAVIGATION_TIMEOUT);
+        if (response.ok) return response;
+        throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+        console.warn(`[SW] Navigation offline, serving the cached app: ${request.url}`, error);
+        
+        // Launch URLs such as ./?action=new-chat are the same page as ./
+        const cache = await caches.open(PRECACHE_NAME);
+        return await cache.match(request, { ignoreSearch: true }) ||
+            await cache.match(scoped('index.html')) ||
+            await cache.match(scoped('offline.html')) ||
+            offlineResponse();
+    }
+}
+
+async function handleSameOrigin(request, event) {
+    const precached = await caches.open(PRECACHE_NAME).then(cache => cache.match(request));
+    if (precached) return precached;
+    
     const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone()).then(() => trimCache(cache, RUNTIME_MAX_ENTRIES));
+            }
+            return response;
+        });
+    
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network.catch(() => offlineResponse());
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
     
     try {
         const response = await fetch(request);
-        
-        // Only cache successful responses
-        if (response.status === 200) {
-            // Clone the response before caching
-            cache.put(request, response.clone());
-        }
-        
+        // Opaque responses (no-cors fonts) have status 0 but are still usable
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
         return response;
     } catch (error) {
-        console.error(`[SW] Network request failed: ${request.url}`, error);
-        throw error;
+        return offlineResponse();
     }
 }
 
+function withTimeout(promise, ms) {
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => setTimeout(() => reject(new Error('Timed out')), ms))
+    ]);
+}
+
+// Oldest entries go first; Cache.keys() keeps insertion order
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+function offlineResponse() {
+    return new Response('Offline', {
+        status: 503,
+        statusText: 'Service Unavailable',
+        headers: new Headers({
+            'Content-Type': 'text/plain'
+        })
+    });
+}
+
 // Handle messages from clients
 self.addEventListener('message', event => {
     const { type, payload } = event.data;
@@ -160,6 +259,18 @@ self.addEventListener('message', event => {
             );
             break;
             
+        case 'TAKE_SHARE':
+            event.waitUntil(
+                takeShare(payload.id)
+                    .then(share => {
+                        event.ports[0].postMessage({ success: true, share });
+                    })
+                    .catch(error => {
+                        event.ports[0].postMessage({ success: false, error: error.message });
+                    })
+            );
+            break;
+            
         case 'CACHE_URLS':
             event.waitUntil(
                 cacheUrls(payload.urls)
@@ -190,6 +301,64 @@ async function cacheUrls(urls) {
     );
 }
 
+// Share target: keep the shared text and files, then open the app on them
+async function receiveShare(request) {
+    const id = Date.now().toString(36) + Math.random().toString(36).slice(2);
+    
+    try {
+        const data = await request.formData();
+        const files = data.getAll('files').filter(file => file instanceof File && file.size > 0);
+        const cache = await caches.open(SHARE_CACHE);
+        
+        await Promise.all(files.map((file, index) => cache.put(shareUrl(id, index), new Response(file, {
+            headers: {
+                'Content-Type': file.type || 'application/octet-stream',
+                'X-File-Name': encodeURIComponent(file.name)
+            }
+        }))));
+        await cache.put(shareUrl(id, 'data'), new Response(JSON.stringify({
+            title: data.get('title') || '',
+            text: data.get('text') || '',
+            url: data.get('url') || '',
+            files: files.length
+        }), { headers: { 'Content-Type': 'application/json' } }));
+        
+        console.log(`[SW] Received share with ${files.length} files`);
+        return Response.redirect(scoped(`./?action=share&share=${id}`), 303);
+    } catch (error) {
+        console.error('[SW] Failed to store shared content:', error);
+        return Response.redirect(scoped('./?action=share'), 303);
+    }
+}
+
+function shareUrl(id, part) {
+    return scoped(`share/${id}/${part}`);
+}
+
+// Returns { title, text, url, files } once, or null if unknown or already taken
+async function takeShare(id) {
+    const cache = await caches.open(SHARE_CACHE);
+    const response = await cache.match(shareUrl(id, 'data'));
+    if (!response) return null;
+    
+    const share = await response.json();
+    const files = [];
+    for (let index = 0; index < share.files; index++) {
+        const file = await cache.match(shareUrl(id, index));
+        if (!file) continue;
+        files.push(new File([await file.blob()], decodeURIComponent(file.headers.get('X-File-Name')), {
+            type: file.headers.get('Content-Type')
+        }));
+    }
+    
+    const entries = await cache.keys();
+    await Promise.all(entries
+        .filter(entry => entry.url.startsWith(shareUrl(id, '')))
+        .map(entry => cache.delete(entry)));
+    
+    return { ...share, files };
+}
+
 // Background sync for offline messages
 self.addEventListener('sync', event => {
     if (event.tag === 'send-messages') {
@@ -197,47 +366,66 @@ self.addEventListener('sync', event => {
     }
 });
 
+// Puter.js only runs in a page, so the service worker hands the outbox to an open client
 async function sendQueuedMessages() {
-    // Get queued messages from IndexedDB
     const messages = await getQueuedMessages();
+    if (messages.length === 0) return;
     
-    for (const message of messages) {
-        try {
-            // Attempt to send message
-            const response = await fetch('/api/send-message', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(message)
-            });
-            
-            if (response.ok) {
-                // Remove from queue if successful
-                await removeFromQueue(message.id);
-            }
-        } catch (error) {
-            console.error('[SW] Failed to send queued message:', error);
-        }
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length === 0) {
+        console.log('[SW] No open client, outbox will be sent on next launch');
+        return;
     }
+    
+    console.log(`[SW] Asking client to send ${messages.length} queued messages`);
+    windows[0].postMessage({ type: 'FLUSH_OUTBOX', count: messages.length });
 }
 
-// Placeholder functions for IndexedDB operations
-async function getQueuedMessages() {
-    // TODO: Implement IndexedDB logic
-    return [];
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        // No version: never create or upgrade the schema from here
+        const request = indexedDB.open(DB_NAME);
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 }
 
-async function removeFromQueue(id) {
-    // TODO: Implement IndexedDB logic
+async function getQueuedMessages() {
+    try {
+        const db = await openDatabase();
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+            db.close();
+            return [];
+        }
+        
+        const messages = await new Promise((resolve, reject) => {
+            const request = db.transaction(OUTBOX_STORE).objectStore(OUTBOX_STORE).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        db.close();
+        return messages;
+    } catch (error) {
+        console.warn('[SW] Outbox not available:', error);
+        return [];
+    }
 }
 
 // Push notifications
+// The worker has no message catalog, so the text comes from the payload, localized by the sender:
+// { title, body } as JSON or the body as plain text. Without one only the app name is shown.
 self.addEventListener('push', event => {
+    event.waitUntil(showPushNotification(event.data));
+});
+
+async function showPushNotification(data) {
+    const payload = readPushPayload(data);
+    const icon = await manifestIcon();
     const options = {
-        body: event.data ? event.data.text() : 'Nuovo messaggio da Claude AI',
-        icon: '/assets/images/icon-192.png',
-        badge: '/assets/images/icon-192.png',
+        body: payload.body,
+        icon,
+        badge: icon,
         vibrate: [200, 100, 200],
         data: {
             dateOfArrival: Date.now(),
@@ -245,16 +433,39 @@ self.addEventListener('push', event => {
         }
     };
     
-    event.waitUntil(
-        self.registration.showNotification('Claude AI Suite', options)
-    );
-});
+    return self.registration.showNotification(payload.title || 'Claude AI Suite', options);
+}
+
+// The icon the app is installed with, from the (precached) web app manifest; none if it can't be read
+async function manifestIcon() {
+    try {
+        const url = scoped('manifest.json');
+        const response = await caches.match(url) || await fetch(url);
+        const { icons = [] } = await response.json();
+        const icon = icons.find(entry => String(entry.sizes).split(' ').includes('192x192')) || icons[0];
+        return icon ? scoped(icon.src) : undefined;
+    } catch (error) {
+        console.warn('[SW] Manifest icons not available:', error);
+        return undefined;
+    }
+}
+
+function readPushPayload(data) {
+    if (!data) return {};
+    try {
+        const json = data.json();
+        if (json && typeof json === 'object') return { title: json.title, body: json.body };
+    } catch (error) {
+        // Not JSON: the whole payload is the body
+    }
+    return { body: data.text() };
+}
 
 // Notification click
 self.addEventListener('notificationclick', event => {
     event.notification.close();
     
     event.waitUntil(
-        clients.openWindow('/')
+        clients.openWindow(scoped('./'))
     );
 });
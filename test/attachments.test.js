@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { englishI18n } = require('./setup');
+const AttachmentManager = require('../assets/js/attachments.js');
+
+function createManager() {
+    return new AttachmentManager({ i18n: englishI18n(), generateId: () => 'attachment-1' });
+}
+
+describe('AttachmentManager.kindOf', () => {
+    it('recognizes images, PDFs and text by type or extension', () => {
+        const manager = createManager();
+        
+        assert.equal(manager.kindOf({ name: 'a.png', type: 'image/png' }), 'image');
+        assert.equal(manager.kindOf({ name: 'a.pdf', type: 'application/pdf' }), 'pdf');
+        assert.equal(manager.kindOf({ name: 'notes.md', type: '' }), 'text');
+        assert.equal(manager.kindOf({ name: 'app.exe', type: 'application/octet-stream' }), null);
+    });
+});
+
+describe('AttachmentManager.toContentParts', () => {
+    it('turns attachments into content blocks before the message text', () => {
+        const parts = createManager().toContentParts({
+            content: 'What is this?',
+            attachments: [
+                { kind: 'image', mimeType: 'image/png', data: 'aGVsbG8=' },
+                { kind: 'pdf', mimeType: 'application/pdf', data: 'aGVsbG8=' },
+                { kind: 'text', name: 'a.txt', text: 'plain' }
+            ]
+        });
+        
+        assert.deepEqual(parts.map(part => part.type), ['image', 'document', 'text', 'text']);
+        assert.equal(parts[2].text, 'File: a.txt\n```\nplain\n```');
+        assert.equal(parts[3].text, 'What is this?');
+    });
+
+    it('fences text with more backticks than any run inside it', () => {
+        const [part] = createManager().toContentParts({
+            attachments: [{ kind: 'text', name: 'README.md', text: 'Example:\n````js\ncode\n````' }]
+        });
+        
+        assert.ok(part.text.startsWith('File: README.md\n`````\n'));
+        assert.ok(part.text.endsWith('\n`````'));
+    });
+});
+
+describe('AttachmentManager.isValid', () => {
+    const valid = {
+        image: { name: 'a.png', kind: 'image', mimeType: 'image/png', data: 'aGVsbG8=' },
+        pdf: { name: 'a.pdf', kind: 'pdf', mimeType: 'application/pdf', data: 'aGVsbG8=' },
+        text: { name: 'a.py', kind: 'text', mimeType: 'text/x-python', text: 'print()' }
+    };
+
+    it('accepts what read() produces', () => {
+        Object.values(valid).forEach(attachment => assert.ok(AttachmentManager.isValid(attachment)));
+    });
+
+    it('rejects unknown kinds', () => {
+        assert.ok(!AttachmentManager.isValid({ ...valid.pdf, kind: 'html' }));
+        assert.ok(!AttachmentManager.isValid({ ...valid.pdf, kind: 'constructor' }));
+    });
+
+    it('rejects types outside the kind\'s allow-list', () => {
+        assert.ok(!AttachmentManager.isValid({ ...valid.pdf, mimeType: 'text/html' }));
+        assert.ok(!AttachmentManager.isValid({ ...valid.image, mimeType: 'image/svg+xml' }));
+        assert.ok(!AttachmentManager.isValid({ ...valid.text, mimeType: 'text/html; charset=utf-8' }));
+        assert.ok(!AttachmentManager.isValid({ ...valid.image, mimeType: undefined }));
+    });
+
+    it('rejects a text attachment without text', () => {
+        assert.ok(!AttachmentManager.isValid({ ...valid.text, text: undefined }));
+        assert.ok(!AttachmentManager.isValid({ ...valid.text, text: 42 }));
+    });
+
+    it('rejects images and PDFs without base64 data', () => {
+        assert.ok(!AttachmentManager.isValid({ ...valid.image, data: undefined }));
+        assert.ok(!AttachmentManager.isValid({ ...valid.pdf, data: null }));
+        assert.ok(!AttachmentManager.isValid({ ...valid.pdf, data: '<script>alert(1)</script>' }));
+    });
+
+    it('rejects attachments without a name', () => {
+        assert.ok(!AttachmentManager.isValid({ ...valid.text, name: undefined }));
+        assert.ok(!AttachmentManager.isValid(null));
+    });
+});
+
+describe('AttachmentManager.blobType', () => {
+    it('follows the kind instead of the stored type', () => {
+        assert.equal(AttachmentManager.blobType({ kind: 'pdf', mimeType: 'text/html' }), 'application/pdf');
+        assert.equal(AttachmentManager.blobType({ kind: 'image', mimeType: 'image/webp' }), 'image/webp');
+        assert.equal(AttachmentManager.blobType({ kind: 'image', mimeType: 'text/html' }), 'application/octet-stream');
+        assert.equal(AttachmentManager.blobType({ kind: 'text', mimeType: 'text/html' }), 'text/plain');
+    });
+});
+
+describe('AttachmentManager.estimateTokens', () => {
+    it('estimates by kind', () => {
+        const manager = createManager();
+        
+        assert.equal(manager.estimateTokens({ kind: 'image' }), 1600);
+        assert.equal(manager.estimateTokens({ kind: 'pdf', size: 5000 }), 100);
+        assert.equal(manager.estimateTokens({ kind: 'text', text: '12345678' }), 2);
+    });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { englishI18n } = require('./setup');
+const ContextBuilder = require('../assets/js/context.js');
+
+function createBuilder() {
+    return new ContextBuilder({
+        i18n: englishI18n(),
+        getModel: () => ({ contextWindow: 100000, maxTokens: 1000 })
+    });
+}
+
+function conversation(messages) {
+    return { model: 'test', messages: messages.map((msg, i) => ({ id: `m${i}`, ...msg })) };
+}
+
+describe('ContextBuilder.build', () => {
+    it('keeps the whole history when it fits', () => {
+        const { messages, stats } = createBuilder().build(conversation([
+            { role: 'user', content: 'Hi' },
+            { role: 'assistant', content: 'Hello' }
+        ]));
+        
+        assert.equal(messages.length, 2);
+        assert.equal(stats.dropped, 0);
+    });
+
+    it('summarizes dropped turns that have no text', () => {
+        const { messages, stats } = createBuilder().build(conversation([
+            { role: 'user', attachments: [{ kind: 'image' }] },
+            { role: 'assistant', status: 'failed' },
+            { role: 'user', content: 'Earlier question' },
+            { role: 'assistant', content: 'Earlier answer' },
+            { role: 'user', content: 'Latest question' }
+        ]), { messageWindow: 1 });
+        
+        assert.equal(stats.dropped, 3);
+        assert.ok(stats.summarized);
+        assert.ok(messages[0].content.endsWith('\n\nLatest question'));
+        assert.ok(!messages[0].content.includes('undefined'));
+    });
+
+    it('summarizes into a first turn that only has attachments', () => {
+        const { messages } = createBuilder().build(conversation([
+            { role: 'user', content: 'Earlier question' },
+            { role: 'assistant', content: 'Earlier answer' },
+            { role: 'user', attachments: [{ kind: 'image' }] }
+        ]), { messageWindow: 1 });
+        
+        assert.ok(!messages[0].content.includes('undefined'));
+    });
+});
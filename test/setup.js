@@ -0,0 +1,43 @@
+/**
+ * Claude AI Suite - Test Setup
+ * Loads the browser scripts the modules under test expect as globals, with an in-memory localStorage
+ */
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+global.localStorage = global.localStorage || new MemoryStorage();
+global.CONFIG = require('../assets/js/config.js');
+global.I18n = require('../assets/js/i18n.js');
+require('../assets/js/locales/it.js');
+require('../assets/js/locales/en.js');
+global.ModelRegistry = require('../assets/js/models.js');
+global.AttachmentManager = require('../assets/js/attachments.js');
+
+// English messages, so assertions don't depend on the source catalog
+function englishI18n() {
+    const i18n = new I18n();
+    i18n.setLocale('en');
+    return i18n;
+}
+
+module.exports = { englishI18n };
@@ -0,0 +1,205 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { englishI18n } = require('./setup');
+const ConversationTransfer = require('../assets/js/transfer.js');
+
+function createTransfer() {
+    let next = 0;
+    return new ConversationTransfer({ i18n: englishI18n(), generateId: () => `generated-${++next}` });
+}
+
+function suiteExport(conversations) {
+    return JSON.stringify({ format: ConversationTransfer.FORMAT, version: ConversationTransfer.VERSION, conversations });
+}
+
+function conversation(overrides = {}) {
+    return {
+        id: 'conv-1',
+        title: 'Test',
+        model: 'claude-sonnet-4',
+        createdAt: '2026-01-01T10:00:00.000Z',
+        updatedAt: '2026-01-01T11:00:00.000Z',
+        messages: [
+            { id: 'm1', role: 'user', content: 'Hello', timestamp: '2026-01-01T10:00:00.000Z' },
+            { id: 'm2', role: 'assistant', content: 'Hi', timestamp: '2026-01-01T10:00:01.000Z' }
+        ],
+        ...overrides
+    };
+}
+
+describe('ConversationTransfer.parse', () => {
+    it('reads its own export format', () => {
+        const { source, conversations, skipped } = createTransfer().parse(suiteExport([conversation()]));
+        
+        assert.equal(source, 'suite');
+        assert.equal(conversations.length, 1);
+        assert.deepEqual(skipped, []);
+    });
+
+    it('rejects text that is not JSON or not a known export', () => {
+        const transfer = createTransfer();
+        
+        assert.throws(() => transfer.parse('{'), { message: englishI18n().t('transfer.errors.json') });
+        assert.throws(() => transfer.parse('{"hello":1}'), { message: englishI18n().t('transfer.errors.format') });
+    });
+
+    it('skips invalid conversations with a reason and keeps the rest', () => {
+        const { conversations, skipped } = createTransfer().parse(suiteExport([
+            conversation(),
+            conversation({ id: 'conv-2', messages: [{ id: 'x', role: 'system', content: 'nope' }] })
+        ]));
+        
+        assert.equal(conversations.length, 1);
+        assert.equal(skipped.length, 1);
+        assert.equal(skipped[0].index, 1);
+        assert.match(skipped[0].reason, /role/);
+    });
+
+    it('follows the current branch of a ChatGPT export', () => {
+        const data = [{
+            id: 'abc',
+            title: 'From ChatGPT',
+            current_node: 'b',
+            mapping: {
+                a: { id: 'a', parent: null, message: { id: 'a', author: { role: 'user' }, content: { parts: ['Question'] } } },
+                b: { id: 'b', parent: 'a', message: { id: 'b', author: { role: 'assistant' }, content: { parts: ['Answer'] } } }
+            }
+        }];
+        const { source, conversations } = createTransfer().parse(JSON.stringify(data));
+        
+        assert.equal(source, 'chatgpt');
+        assert.equal(conversations[0].id, 'chatgpt-abc');
+        assert.deepEqual(conversations[0].messages.map(msg => msg.content), ['Question', 'Answer']);
+    });
+
+    it('reads a claude.ai export, generating an id when the uuid is missing', () => {
+        const data = [{ name: 'From Claude', chat_messages: [{ uuid: 'u1', sender: 'human', text: 'Hi' }] }];
+        const { source, conversations } = createTransfer().parse(JSON.stringify(data));
+        
+        assert.equal(source, 'claude');
+        assert.match(conversations[0].id, /^claude-generated-/);
+    });
+
+    it('skips third-party entries missing their messages instead of throwing', () => {
+        const chatgpt = createTransfer().parse(JSON.stringify([{ mapping: {}, current_node: null, title: 'ok' }, { title: 'broken' }]));
+        const claude = createTransfer().parse(JSON.stringify([{ chat_messages: [], name: 'ok' }, { name: 'broken' }]));
+        
+        assert.deepEqual(chatgpt.skipped.map(item => item.title), ['broken']);
+        assert.deepEqual(claude.skipped.map(item => item.title), ['broken']);
+    });
+});
+
+describe('ConversationTransfer.validate attachments', () => {
+    const withAttachment = (attachment) => conversation({
+        messages: [{ id: 'm1', role: 'user', content: 'See file', attachments: [attachment] }]
+    });
+    const malformed = {
+        'an HTML page posing as a PDF': { name: 'x.pdf', kind: 'pdf', mimeType: 'text/html', data: 'PHNjcmlwdD4=' },
+        'an unknown kind': { name: 'x.html', kind: 'html', mimeType: 'text/html', text: '<script></script>' },
+        'a text file without text': { name: 'x.txt', kind: 'text', mimeType: 'text/plain' },
+        'an image without data': { name: 'x.png', kind: 'image', mimeType: 'image/png' },
+        'a PDF without data': { name: 'x.pdf', kind: 'pdf', mimeType: 'application/pdf' }
+    };
+
+    Object.entries(malformed).forEach(([label, attachment]) => {
+        it(`skips a conversation with ${label}`, () => {
+            const { conversations, skipped } = createTransfer().parse(suiteExport([withAttachment(attachment)]));
+            
+            assert.equal(conversations.length, 0);
+            assert.equal(skipped[0].reason, englishI18n().t('transfer.invalid.attachment'));
+        });
+    });
+
+    it('checks attachments in branch nodes too', () => {
+        const attachments = [malformed['an image without data']];
+        const conv = conversation({
+            nodes: { m1: { id: 'm1', parentId: null, role: 'user', content: 'See file', attachments } },
+            activeChildren: {}
+        });
+        
+        assert.equal(createTransfer().validate(conv), englishI18n().t('transfer.invalid.attachment'));
+    });
+
+    it('keeps conversations whose attachments are well formed', () => {
+        const attachment = { name: 'a.txt', kind: 'text', mimeType: 'text/plain', text: 'hello', size: 5 };
+        const { conversations } = createTransfer().parse(suiteExport([withAttachment(attachment)]));
+        
+        assert.equal(conversations.length, 1);
+    });
+});
+
+describe('ConversationTransfer tree checks', () => {
+    const i18n = englishI18n();
+    const node = (id, parentId, role = 'user') => ({ id, parentId, role, content: id, timestamp: '2026-01-01T10:00:00.000Z' });
+
+    it('skips a ChatGPT conversation whose nodes loop instead of following them forever', () => {
+        const data = [{
+            title: 'Loop',
+            current_node: 'b',
+            mapping: {
+                a: { id: 'a', parent: 'b', message: { id: 'a', author: { role: 'user' }, content: { parts: ['Question'] } } },
+                b: { id: 'b', parent: 'a', message: { id: 'b', author: { role: 'assistant' }, content: { parts: ['Answer'] } } }
+            }
+        }];
+        const { conversations, skipped } = createTransfer().parse(JSON.stringify(data));
+        
+        assert.equal(conversations.length, 0);
+        assert.equal(skipped[0].reason, i18n.t('transfer.invalid.cycle', { id: 'b' }));
+    });
+
+    it('rejects message ids that are not strings or repeat', () => {
+        const transfer = createTransfer();
+        
+        assert.equal(transfer.validate(conversation({ messages: [{ id: 7, role: 'user', content: 'x' }] })), i18n.t('transfer.invalid.messageId'));
+        assert.equal(transfer.validate(conversation({
+            messages: [{ id: 'm1', role: 'user', content: 'x' }, { id: 'm1', role: 'assistant', content: 'y' }]
+        })), i18n.t('transfer.invalid.duplicate', { id: 'm1' }));
+    });
+
+    it('rejects parent ids that are not strings or point outside the tree', () => {
+        const transfer = createTransfer();
+        const messages = [node('m1', null)];
+        
+        assert.equal(transfer.validate(conversation({ messages, nodes: { m1: node('m1', null), m2: node('m2', 5) } })),
+            i18n.t('transfer.invalid.orphan', { id: 'm2' }));
+        assert.equal(transfer.validate(conversation({ messages, nodes: { m1: node('m1', null), m2: node('m2', 'constructor') } })),
+            i18n.t('transfer.invalid.orphan', { id: 'm2' }));
+    });
+
+    it('rejects nodes that are their own ancestors', () => {
+        const nodes = { m1: node('m1', null), a: node('a', 'b'), b: node('b', 'a') };
+        
+        assert.equal(createTransfer().validate(conversation({ messages: [node('m1', null)], nodes })),
+            i18n.t('transfer.invalid.cycle', { id: 'a' }));
+    });
+
+    it('rejects messages that are not nodes of the tree', () => {
+        const nodes = { m1: node('m1', null) };
+        const messages = [node('m1', null), node('m2', 'm1', 'assistant')];
+        
+        assert.equal(createTransfer().validate(conversation({ messages, nodes })), i18n.t('transfer.invalid.detached', { id: 'm2' }));
+    });
+
+    it('rejects branch choices that are not ids', () => {
+        const nodes = { m1: node('m1', null) };
+        
+        assert.equal(createTransfer().validate(conversation({ messages: [node('m1', null)], nodes, activeChildren: 'm1' })),
+            i18n.t('transfer.invalid.tree'));
+    });
+
+    it('accepts a consistent tree with branches', () => {
+        const nodes = { m1: node('m1', null), m2: node('m2', 'm1', 'assistant'), m3: node('m3', 'm1', 'assistant') };
+        const conv = conversation({ messages: [nodes.m1, nodes.m3], nodes, activeChildren: { root: 'm1', m1: 'm3' } });
+        
+        assert.equal(createTransfer().validate(conv), null);
+    });
+});
+
+describe('ConversationTransfer.toMarkdown', () => {
+    it('labels replies with the catalog name for the assistant', () => {
+        const markdown = createTransfer().toMarkdown(conversation());
+        
+        assert.ok(markdown.includes('### 👤 User\n'));
+        assert.ok(markdown.includes('### 🤖 Assistant\n'));
+    });
+});